@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+"use strict";
+
+var Blackstar = require('../blackstar');
+var build = require('../lib/build').build;
+
+var USAGE = [
+    'Usage: blackstar-build <server url> [--out <dir>] [--name <name>] [--token <token>] [--no-media]',
+    '',
+    'Fetches every chunk, tag and referenced media item from a Blackstar server into <dir>/<name>.<hash>.json',
+    'and writes a manifest naming it to <dir>/<name>.json. <dir> defaults to the current directory and <name>',
+    'to "blackstar". The token defaults to the BLACKSTAR_TOKEN environment variable.',
+    '',
+    'Needs Node 18 or later, for its global fetch.'
+].join('\n');
+
+function parse(args) {
+    var options = { out: '.', name: 'blackstar', token: process.env.BLACKSTAR_TOKEN || null, media: true };
+    for (var i = 0; i < args.length; i++) {
+        var arg = args[i];
+        if (arg === '--no-media')
+            options.media = false;
+        else if (arg === '--out' || arg === '--name' || arg === '--token')
+            options[arg.slice(2)] = args[++i];
+        else if (arg === '--help' || arg === '-h')
+            options.help = true;
+        else if (!options.url && arg.indexOf('--') !== 0)
+            options.url = arg;
+        else
+            throw new Error('Unknown argument ' + arg);
+    }
+    return options;
+}
+
+var options;
+try {
+    options = parse(process.argv.slice(2));
+} catch (e) {
+    console.error(e.message + '\n\n' + USAGE);
+    process.exit(2);
+}
+if (options.help || !options.url) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 2);
+}
+
+if (typeof fetch === 'undefined') {
+    console.error('blackstar-build needs Node 18 or later, for its global fetch. This is Node ' + process.versions.node + '.');
+    process.exit(1);
+}
+
+var client = new Blackstar.Client(options.url, { token: options.token, tokenStorage: 'memory', retry: true });
+build(client, options.out, { name: options.name, media: options.media }).then(function (result) {
+    console.log('Wrote ' + result.file + ' (' + result.hash + ')');
+}, function (error) {
+    console.error('Build failed: ' + error.message);
+    process.exit(1);
+});
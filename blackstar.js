@@ -2,6 +2,30 @@
 
 var Promise = require('es6-promise').Promise;
 require('whatwg-fetch');
+var cache = require('./lib/cache');
+var GetBatcher = require('./lib/batcher').GetBatcher;
+var Query = require('./lib/query').Query;
+var errors = require('./lib/errors');
+var retry = require('./lib/retry');
+var RetryPolicy = retry.RetryPolicy;
+var fetchOnce = retry.fetchOnce;
+var token = require('./lib/token');
+var ErrorReporter = require('./lib/errorReporter').ErrorReporter;
+var render = require('./lib/render');
+var Subscription = require('./lib/subscription').Subscription;
+var media = require('./lib/media');
+var EditOverlay = require('./lib/overlay').EditOverlay;
+var InlineEditor = require('./lib/editor').InlineEditor;
+var sanitize = require('./lib/sanitize');
+var AutoBinder = require('./lib/autobind').AutoBinder;
+var LocaleResolver = require('./lib/locale').LocaleResolver;
+var bundleFetch = require('./lib/static').bundleFetch;
+var Bulk = require('./lib/bulk').Bulk;
+var Pipeline = require('./lib/middleware').Pipeline;
+var revisions = require('./lib/revisions');
+var TypeRegistry = require('./lib/types').TypeRegistry;
+
+var HTTP_UNAUTHORIZED = 401;
 
 /**
  * Blackstar module.
@@ -12,12 +36,27 @@ require('whatwg-fetch');
 * A Blackstar CMS client.
 * @constructor
 * @param {string} url - the url of the blackstar server. E.g. http://localhost:2999
-* @param {object} options - an options object with type `{ showEditControls: boolean, token: string, authCallback: Response -> void }`
+ * @param {object} options - an options object with type `{ showEditControls: boolean, overlay: { theme, renderToolbox, renderEditLink, iconStylesheet, inlineEditing: { editor, onSave, onError } }, token: string, authCallback: Response -> void, cache: boolean | { ttl: number, store: object }, batch: boolean | { wait: number, maxUrlLength: number }, timeout: number, retry: boolean | { retries: number, minDelay: number, maxDelay: number, factor: number, statuses: number[], methods: string[] }, errorReporting: boolean | { endpoint: string, sampleRate: number, maxPerMinute: number, dedupeWindow: number, unhandledRejections: boolean, beforeSend: report -> report }, sanitize: boolean | { tags: string[], attributes: object, schemes: string[] }, trustedTypesPolicy: string, locale: string, localeOptions: { fallbacks: object | string[], tags: object, locales: string[] }, fetch: function, middleware: object[], preview: boolean | string, types: object }`.
+ * Chunk html is sanitised before it is bound unless `sanitize` is `false`; `trustedTypesPolicy` names the Trusted Types policy (default `blackstar`).
+ * With `locale`, chunks fetched by name or tag and bound are resolved to their variant for the locale; see `LocaleResolver` for `localeOptions`.
+ * `fetch` replaces the global `fetch` for this client's requests, and `middleware` is added as by `use`.
+ * With `restoreToken`, the token kept by `tokenStorage`, e.g. by an earlier page, is sent when neither `token` nor `tokenProvider` supplies one.
+ * With `preview`, reads return draft content; see `setPreview`.
+ * `types` adds chunk types to the built-in ones; see `TypeRegistry`.
 * @example
 * var blackstar = new Client('https://localhost:2999', { token: '9f7sd9f7sf...', 
 authCallback: function (response) {
     // response is HTTP 401 unauthorized. 
 });  
+* @example
+* // refresh expired tokens and keep them out of cookies
+* var blackstar = new Client('https://localhost:2999', {
+*     tokenProvider: {
+*         getToken: function () { return session.accessToken; },
+*         refreshToken: function () { return session.renew().then(function () { return session.accessToken; }); }
+*     },
+*     tokenStorage: 'memory'
+* });
 */
 function Client(url, options) {
     this.serverUrl = url + (endsWithForwardSlash(url) ? '' : '/');
@@ -29,27 +68,167 @@ function Client(url, options) {
     };
     this.options.showEditControls = this.options.showEditControls || false;
     this.options.authCallback = this.options.authCallback || function () {};
+    this.options.sanitize = this.options.sanitize === undefined ? true : this.options.sanitize;
+    this.options.trustedTypesPolicy = this.options.trustedTypesPolicy || 'blackstar';
+    this.cache = this.options.cache ? new cache.ChunkCache(this.options.cache === true ? {} : this.options.cache) : null;
+    this.batcher = this.options.batch ? new GetBatcher(this, this.options.batch === true ? {} : this.options.batch) : null;
+    this.fetch = this.options.fetch || null;
+    this.pipeline = new Pipeline(this.options.middleware);
+    this.types = new TypeRegistry(this.options.types);
+    this.retryPolicy = this.options.retry ? new RetryPolicy(this.options.retry === true ? {} : this.options.retry) : RetryPolicy.none;
+    this.tokens = new token.TokenManager(
+        this.options.tokenProvider || new token.StaticTokenProvider(this.options.token),
+        token.createTokenStore(this.options.tokenStorage, this.options.cookie),
+        { restore: this.options.restoreToken });
+    this.overlay = null;
+    this.autoBinders = [];
+    this.localeResolver = this.options.locale ? new LocaleResolver(this.options.locale, this.options.localeOptions) : null;
+    this.hydrated = null;
+    if (typeof window === 'object' && window[render.HYDRATION_GLOBAL])
+        this.hydrate(window[render.HYDRATION_GLOBAL]);
+    this.errorReporter = null;
+    if (this.options.errorReporting)
+        this.enableErrorReporting(this.options.errorReporting === true ? {} : this.options.errorReporting);
 }
 
-// Wrap fetch to add Authorization header if a token is supplied. 
+// Wrap fetch to add an Authorization header when a token is available. A 401 response triggers one token refresh and
+// a replay of the request. GET requests go through the cache when one is configured, unless their `cache` option is
+// `no-store` or `reload`.
+// Requests time out after `options.timeout` milliseconds and idempotent requests are retried according to `options.retry`.
+// In preview mode, reads of content ask for drafts. The request and its outcome pass through the client's middleware;
+// see `use`. A `fetch` option sends this request with its own fetch function rather than the client's.
+// Resolves with the response when it succeeds and rejects with a `BlackstarError` when it fails.
 Client.prototype.blackstarFetch = function blackstarFetch(url, options) {
-    var tokenSupplied = this.options.token && this.options.token.length > 0; 
-    var options = options || {};
+    var options = Object.assign({}, options);
     var client = this;
-    options.headers = options.headers || {};
-    if (tokenSupplied) {
-        options.headers['Authorization'] = 'Bearer ' + this.options.token;
-        docCookies.setItem('t', this.options.token, undefined,undefined,undefined,undefined);
+    var timeout = options.timeout !== undefined ? options.timeout : client.options.timeout;
+    delete options.timeout;
+    var method = (options.method || 'GET').toUpperCase();
+    var headers = Object.assign({}, options.headers);
+    if (method === 'GET' && client.options.preview && client.isContentUrl(url)) {
+        url += (url.indexOf('?') === -1 ? '?' : '&') + 'preview=true';
+        if (typeof client.options.preview === 'string')
+            headers['X-Blackstar-Preview-Token'] = client.options.preview;
     }
+    var initial = {
+        method: method,
+        url: url,
+        headers: headers,
+        body: options.body,
+        options: options
+    };
+    delete options.method;
+    delete options.headers;
+    delete options.body;
     options.credentials = options.credentials || 'include';
-    return fetch(url, options).then(function (response) {
-        const HTTP_UNAUTHORIZED = 401;
-        if (response.status === HTTP_UNAUTHORIZED) {
-            client.options.authCallback(response);
-        }
-        return response;
+    return client.pipeline.request(initial).then(function (request) {
+        return client.send(request, timeout).then(function (response) {
+            return client.pipeline.response(response, request);
+        }).then(function (response) {
+            if (response.status === HTTP_UNAUTHORIZED) {
+                client.options.authCallback(response);
+            }
+            if (response.status >= 400)
+                return errors.errorForResponse(response, request.url).then(function (error) { throw error; });
+            return response;
+        }).then(null, function (error) {
+            return client.pipeline.error(error, request);
+        });
+    }, function (error) {
+        return client.pipeline.error(error, initial);
+    });
+};
+Client.prototype.send = function (request, timeout) {
+    var client = this;
+    var url = request.url;
+    var method = request.method;
+    var options = Object.assign({}, request.options, { method: method, headers: request.headers });
+    var fetchImpl = options.fetch || client.fetch;
+    delete options.fetch;
+    if (request.body !== undefined)
+        options.body = request.body;
+    function sendWith(accessToken) {
+        if (accessToken)
+            options.headers['Authorization'] = 'Bearer ' + accessToken;
+        return client.retryPolicy.run(method, function () { return fetchOnce(url, options, timeout, fetchImpl); });
+    }
+    function send() {
+        return client.tokens.token().then(function (accessToken) {
+            return sendWith(accessToken).then(function (response) {
+                if (response.status !== HTTP_UNAUTHORIZED || !client.tokens.canRefresh())
+                    return response;
+                return client.tokens.replace(accessToken).then(function (replacement) {
+                    return replacement && replacement !== accessToken ? sendWith(replacement) : response;
+                }, function () { return response; });
+            });
+        });
+    }
+    return client.cache && method === 'GET' && options.cache !== 'no-store' && options.cache !== 'reload'
+        ? client.cache.fetch(url, function (headers) {
+            Object.keys(headers).forEach(function (name) { options.headers[name] = headers[name]; });
+            return send();
+        })
+        : send();
+};
+// Whether `url` reads content that may have drafts: chunks, tags and admin search results.
+Client.prototype.isContentUrl = function (url) {
+    var serverUrl = this.serverUrl;
+    return [this.apiUrl.slice(0, -1), serverUrl + 'api/tags', serverUrl + 'api/adminSearch/'].some(function (prefix) {
+        return url.indexOf(prefix) === 0;
     });
 };
+/**
+ * Add a middleware that sees every request of this client and its outcome, e.g. to add tracing headers, log timings or
+ * rewrite URLs for a proxy. Same as passing `middleware` to the constructor.
+ * @example
+ * client.use({
+ *     request: function (request) { request.headers['X-Request-Id'] = uuid(); request.startedAt = Date.now(); },
+ *     response: function (response, request) { console.log(request.method, request.url, Date.now() - request.startedAt); },
+ *     error: function (error, request) { if (error instanceof Blackstar.NotFoundError) return new Response('[]'); }
+ * });
+ * @param {object} middleware - `{ request: request -> request, response: (response, request) -> response, error: (error, request) -> response }`.
+ * Every hook is optional and may return a promise. See `Pipeline` for when they run. The `Authorization` header is
+ * added after the request hooks run.
+ * @returns {function} a function that removes the middleware.
+ */
+Client.prototype.use = function (middleware) {
+    return this.pipeline.use(middleware);
+};
+
+/**
+ * Replace the token sent with requests, e.g. after the user logs in. The token is persisted to the configured token
+ * storage. Pass `null` to forget the current token, e.g. on logout.
+ * @param {string} accessToken - the new token.
+ */
+Client.prototype.setToken = function (accessToken) {
+    if (this.tokens.provider instanceof token.StaticTokenProvider)
+        this.tokens.provider.token = accessToken || null;
+    this.tokens.use(accessToken || null);
+};
+
+/**
+ * Report uncaught errors and unhandled promise rejections on this page to the Blackstar server. Existing `window.onerror`
+ * handlers keep working. Does nothing outside the browser. Same as passing `errorReporting` to the constructor.
+ * @example
+ * client.enableErrorReporting({ sampleRate: 0.5, beforeSend: function (report) { delete report.context; return report; } });
+ * @param {object} [options] - `{ endpoint: string, sampleRate: number, maxPerMinute: number, dedupeWindow: number, unhandledRejections: boolean, beforeSend: report -> report }`.
+ * See `ErrorReporter` for the defaults.
+ */
+Client.prototype.enableErrorReporting = function (options) {
+    if (typeof window === 'undefined')
+        return;
+    this.disableErrorReporting();
+    this.errorReporter = new ErrorReporter(this, options);
+    this.errorReporter.install(window);
+};
+/**
+ * Stop reporting errors and restore the previous `window.onerror` handler.
+ */
+Client.prototype.disableErrorReporting = function () {
+    if (this.errorReporter)
+        this.errorReporter.uninstall();
+    this.errorReporter = null;
+};
 
 /*
 * Retrieve all content chunks.
@@ -58,12 +237,18 @@ Client.prototype.blackstarFetch = function blackstarFetch(url, options) {
 Client.prototype.getAll = function () {
     return this.blackstarFetch(this.apiUrl.slice(0, -1))
         .then(function (response) { return response.json(); })
-        .then(this.enrichCollectionWithByMethods);
+        .then(this.enrichCollectionWithByMethods.bind(this));
 };
 /**
  * Query for content chunks. Request can be by ids OR by tags OR by names. 
  * 
  * Querying by ids or by names is an OR query. I.e get the chunks with the name 'heading' or 'footer'. Querying by tags is an AND query. I.e. get the chunks with tags 'blackstarpedia' and 'english'.
+ *
+ * When the client is created with the `batch` option, ids and names requests made in the same tick are sent as a single request and each caller receives only its own chunks.
+ *
+ * Ids and names requests are answered without contacting the server when every requested chunk was supplied by `hydrate`.
+ *
+ * With the `locale` option, names and tags requests return one chunk per name: the variant for the current locale.
  * @example
  * client.get({ ids: [1,2,3] });
  * @example
@@ -74,10 +259,50 @@ Client.prototype.getAll = function () {
  * @returns {Array} A collection of chunks.   
  */
 Client.prototype.get = function (request) {
-    var url = this.requestToUrl(request);
-    return this.blackstarFetch(url)
-        .then(function (response) { return response.json(); })
-        .then(this.enrichCollectionWithByMethods);
+    var client = this;
+    var kind = this.requestKind(request);
+    // hydrated chunks are published content
+    var hydrated = kind !== 'tags' && !this.options.preview && this.fromHydrated(kind, request[kind]);
+    var chunks;
+    if (hydrated)
+        chunks = Promise.resolve(hydrated);
+    else if (this.batcher && kind !== 'tags')
+        chunks = this.batcher.add(kind, request[kind]);
+    else
+        chunks = this.blackstarFetch(this.requestToUrl(request)).then(function (response) { return response.json(); });
+    return chunks.then(function (found) {
+        return client.enrichCollectionWithByMethods(kind === 'ids' ? found : client.localise(found));
+    });
+};
+/**
+ * Start a composable query. Unlike `get`, a query can combine ids, names and tags, match any or all of a set of tags,
+ * exclude chunks, and sort and page the results.
+ * @example
+ * client.query().tags.all('blog').tags.any('en', 'fr').names('heading').exec();
+ * @example
+ * client.query().tags.any('english').not.names('footer').sortBy('name', 'desc').offset(10).limit(10).exec();
+ * @returns {Query} a new query. Call `exec()` to run it.
+ */
+Client.prototype.query = function () {
+    return new Query(this);
+};
+/**
+ * Receive chunk changes made by editors as they happen. Changes are pushed by the server over server-sent events or a
+ * WebSocket, falling back to polling `getAll` when push is not available.
+ * @example
+ * var subscription = client.subscribe({ names: ['heading', 'footer'] }, function (event) {
+ *     console.log(event.type, event.chunk.name); // e.g. 'updated heading'
+ * }, { bind: true });
+ * // later
+ * subscription.unsubscribe();
+ * @param {object|Query|null} query - a `get` request, a `Query`, or `null` for every chunk.
+ * @param {function} callback - called with `{ type: 'created' | 'updated' | 'deleted', chunk: object }` for each matching change.
+ * @param {object} [options] - `{ transport: string, bind: boolean, pollInterval: number }` and the other options of
+ * `Subscription`. With `bind` the affected elements on the page are re-rendered in place.
+ * @returns {Subscription} the subscription. Call `unsubscribe()` to stop receiving changes.
+ */
+Client.prototype.subscribe = function (query, callback, options) {
+    return new Subscription(this, query, callback, options).start();
 };
 /*
  * Retrieve all chunk tags.
@@ -87,20 +312,187 @@ Client.prototype.getAllTags = function () {
     return this.blackstarFetch(this.serverUrl + 'api/tags').then(function (response) { return response.json(); });
 };
 /*
- * Update an existing chunk.
+ * Update an existing chunk. Like `create` and `delete`, resolves with the response and rejects with a `BlackstarError`
+ * (e.g. a `ValidationError`) if the server refuses the change. Chunks with a `type` are validated against it first and
+ * rejected with a `ValidationError` without being sent if they are not valid; see `TypeRegistry`.
  */
 Client.prototype.update = function (chunk) {
-    return this.post(this.apiUrl + chunk.id, chunk);
+    var client = this;
+    return this.serialize(chunk)
+        .then(function (body) { return client.post(client.apiUrl + chunk.id, body); })
+        .then(function (response) { return client.invalidateAfterWrite(response, chunk); });
 };
 Client.prototype.create = function (chunk) {
-    return this.post(this.apiUrl.replace(/\/$/g, ''), chunk);
+    var client = this;
+    return this.serialize(chunk)
+        .then(function (body) { return client.post(client.apiUrl.replace(/\/$/g, ''), body); })
+        .then(function (response) { return client.invalidateAfterWrite(response, chunk); });
+};
+// Validate a chunk against its type before it is sent.
+Client.prototype.serialize = function (chunk) {
+    var types = this.types;
+    return new Promise(function (resolve) { resolve(types.serialize(chunk)); });
 };
 Client.prototype.delete = function (id) {
+    var client = this;
     return this.blackstarFetch(this.apiUrl + id, {
         method: 'DELETE',
         headers: {
             'Content-Type': 'application/json'
         }
+    }).then(function (response) { return client.invalidateAfterWrite(response, { id: id }); });
+};
+/**
+ * Start a batch of writes. Queue creates, updates, deletes and tag changes on it, then call `run()`.
+ * @example
+ * client.bulk({ rollback: true })
+ *     .create({ name: 'banner', html: '<p>Sale</p>', tags: ['home'] })
+ *     .addTag('archived', ['news', '2019'])
+ *     .run()
+ *     .then(function (report) { if (report.failed > 0) console.warn(report.results); });
+ * @param {object} [options] - `{ concurrency: number, dryRun: boolean, rollback: boolean, onResult: function }`.
+ * @returns {Bulk} a new batch.
+ */
+Client.prototype.bulk = function (options) {
+    return new Bulk(this, options);
+};
+/**
+ * List the revisions of a chunk, newest first. Every publish and every saved draft is a revision.
+ * @param {number|string} id - the chunk id.
+ * @returns {Promise} a promise of `{ revision: number, savedAt: string, status: 'published' | 'draft' }` for each
+ * revision, with any other details the server keeps, such as the author.
+ */
+Client.prototype.revisions = function (id) {
+    return this.blackstarFetch(this.apiUrl + encodeURIComponent(id) + '/revisions')
+        .then(function (response) { return response.json(); });
+};
+/**
+ * Retrieve a revision of a chunk.
+ * @param {number|string} id - the chunk id.
+ * @param {number} revision - the revision number, as listed by `revisions`.
+ * @returns {Promise} a promise of the chunk as it was in that revision, with the revision's metadata. Rejects with a
+ * `NotFoundError` if there is no such revision.
+ */
+Client.prototype.getRevision = function (id, revision) {
+    return this.blackstarFetch(this.apiUrl + encodeURIComponent(id) + '/revisions/' + encodeURIComponent(revision))
+        .then(function (response) { return response.json(); });
+};
+/**
+ * Compare two revisions of a chunk.
+ * @example
+ * client.diffRevisions(6, 3, 4).then(function (changes) {
+ *     changes.forEach(function (change) { console.log(change.field, change.before, '->', change.after); });
+ * });
+ * @param {number|string} id - the chunk id.
+ * @param {number} from - the earlier revision.
+ * @param {number} to - the later revision.
+ * @returns {Promise} a promise of the changes, as returned by `diffChunks`.
+ */
+Client.prototype.diffRevisions = function (id, from, to) {
+    return Promise.all([this.getRevision(id, from), this.getRevision(id, to)]).then(function (found) {
+        return revisions.diffChunks(found[0], found[1]);
+    });
+};
+/**
+ * Publish the content of an earlier revision again, with `update`. The restore is itself a new revision.
+ * @param {number|string} id - the chunk id.
+ * @param {number} revision - the revision to restore.
+ * @returns {Promise} a promise of the response to the update.
+ */
+Client.prototype.restoreRevision = function (id, revision) {
+    var client = this;
+    return client.getRevision(id, revision).then(function (found) {
+        return client.update(Object.assign(revisions.revisionContent(found), { id: found.id !== undefined ? found.id : id }));
+    });
+};
+/**
+ * Save changes to a chunk as a draft, without publishing them. Drafts are returned by reads in preview mode and are
+ * published by `update`.
+ * @param {object} chunk - the chunk, with its `id`.
+ * @returns {Promise} a promise of the response.
+ */
+Client.prototype.saveDraft = function (chunk) {
+    var client = this;
+    return this.serialize(chunk)
+        .then(function (body) { return client.post(client.apiUrl + encodeURIComponent(chunk.id) + '/draft', body); })
+        .then(function (response) { return client.invalidateAfterWrite(response, chunk); });
+};
+/**
+ * Throw away the draft of a chunk.
+ * @param {number|string} id - the chunk id.
+ * @returns {Promise} a promise of the response.
+ */
+Client.prototype.discardDraft = function (id) {
+    var client = this;
+    return this.blackstarFetch(this.apiUrl + encodeURIComponent(id) + '/draft', { method: 'DELETE' })
+        .then(function (response) { return client.invalidateAfterWrite(response, { id: id }); });
+};
+/**
+ * Turn preview mode on or off and rebind the page. In preview mode `get`, `getAll`, `getAllTags` and `adminSearch`
+ * return draft content where there is some, and the toolbox shows that the page is a preview.
+ * @example
+ * client.setPreview(true);            // drafts the signed-in editor may see
+ * client.setPreview(sharedPreviewToken);
+ * @param {boolean|string} preview - `true`, a preview token for readers who are not signed in, or `false`.
+ * @returns {Promise} a promise that resolves once the page is rebound.
+ */
+Client.prototype.setPreview = function (preview) {
+    this.options.preview = preview || false;
+    // hydrated chunks are published content
+    this.hydrated = null;
+    if (this.overlay)
+        this.overlay.refreshToggles();
+    return this.rebind();
+};
+Client.prototype.invalidateAfterWrite = function (response, chunk) {
+    return this.invalidateCache(chunk).then(function () { return response; });
+};
+/**
+ * Remove cached responses that may contain `chunk`: responses that include a chunk with the same id, name or a shared tag,
+ * `byids`/`bynames`/`bytags` queries naming it, and listings such as `getAll`, `getAllTags` and `adminSearch`.
+ *
+ * **Normally you don't need to call this function because `create`, `update` and `delete` call it.** It is exposed for
+ * the benefit of those who change content by other means.
+ * @param {object} chunk - the changed chunk. Only `id`, `name` and `tags` are used and each is optional.
+ * @returns {Promise} resolved once the affected entries have been removed.
+ */
+Client.prototype.invalidateCache = function (chunk) {
+    if (this.hydrated) {
+        this.hydrated = this.hydrated.filter(function (item) {
+            return String(item.id) !== String(chunk.id) && (chunk.name === undefined || item.name !== chunk.name);
+        });
+    }
+    if (!this.cache)
+        return Promise.resolve();
+    var id = chunk.id === undefined || chunk.id === null ? null : String(chunk.id);
+    var tags = chunk.tags || [];
+    var apiUrl = this.apiUrl;
+    var mediaUrl = this.serverUrl + 'api/media';
+    function queryTerms(url, kind) {
+        var prefix = apiUrl + kind + '/';
+        return url.indexOf(prefix) === 0 ? url.slice(prefix.length).split('?')[0].split('/').map(decodeURIComponent) : null;
+    }
+    function intersects(a, b) {
+        return a.some(function (item) { return b.indexOf(item) !== -1; });
+    }
+    return this.cache.invalidate(function (entry) {
+        var refs = entry.refs;
+        if (id !== null && refs.ids.map(String).indexOf(id) !== -1)
+            return true;
+        if (chunk.name !== undefined && refs.names.indexOf(chunk.name) !== -1)
+            return true;
+        if (intersects(refs.tags, tags))
+            return true;
+        var ids = queryTerms(entry.url, 'byids');
+        if (ids)
+            return id !== null && ids.indexOf(id) !== -1;
+        var names = queryTerms(entry.url, 'bynames');
+        if (names)
+            return names.indexOf(chunk.name) !== -1;
+        var queryTags = queryTerms(entry.url, 'bytags');
+        if (queryTags)
+            return queryTags.every(function (tag) { return tags.indexOf(tag) !== -1; });
+        return entry.url.indexOf(mediaUrl) !== 0;
     });
 };
 Client.prototype.post = function post(url, data) {
@@ -116,39 +508,103 @@ Client.prototype.post = function post(url, data) {
 Client.prototype.adminSearch = function (query) {
     return this.blackstarFetch(this.serverUrl + 'api/adminSearch/' + query)
         .then(function (response) { return response.json(); })
-        .then(this.enrichCollectionWithByMethods);
+        .then(this.enrichCollectionWithByMethods.bind(this));
 };
 
+/**
+ * Search the media library.
+ * @param {string} query - the search text.
+ * @returns {Array} the matching media items. Each has the properties sent by the server, including its `hash`, and a
+ * `url` from which it can be downloaded.
+ */
 Client.prototype.mediaSearch = function (query) {
-    return this.blackstarFetch(this.serverUrl + 'api/mediaSearch/' + query)
-        .then(function (response) { return response.json(); });
+    var serverUrl = this.serverUrl;
+    return this.blackstarFetch(serverUrl + 'api/mediaSearch/' + query)
+        .then(function (response) { return response.json(); })
+        .then(function (data) { return media.parseMediaItems(serverUrl, data); });
 };
-
+/**
+ * Retrieve a single media item.
+ * @param {string} hash - the hash identifying the media item.
+ * @returns {object} the media item, as returned by `mediaSearch`. Rejects with a `NotFoundError` if there is none.
+ */
+Client.prototype.getMedia = function (hash) {
+    var client = this;
+    return this.mediaSearch(encodeURIComponent(hash)).then(function (items) {
+        var item = items.find(function (candidate) { return candidate.hash === String(hash); });
+        if (!item)
+            throw new errors.NotFoundError('No media with hash ' + hash, { status: 404, url: client.mediaUrlFor(hash) });
+        return item;
+    });
+};
+/**
+ * Build the url from which a media item can be downloaded, e.g. for the `src` of an image.
+ * @param {string} hash - the hash identifying the media item.
+ * @returns {string} the full url of the media item.
+ */
+Client.prototype.mediaUrlFor = function (hash) {
+    return media.mediaUrl(this.serverUrl, hash);
+};
+/**
+ * Upload files to the media library, with progress events, validation and cancellation. Files larger than `chunkSize`
+ * are uploaded in chunks and can be resumed after a failure.
+ * @example
+ * var upload = client.uploadMedia(input.files, { maxSize: 10 * 1024 * 1024, accept: ['image/*'] })
+ *     .on('progress', function (event) { bars[event.index].value = event.loaded / event.total; });
+ * cancelButton.onclick = function () { upload.cancel(); };
+ * upload.then(function (items) { items.forEach(function (item) { console.log(item.hash, item.url); }); });
+ * @param {Array} files - a `FileList` or array of `File` objects.
+ * @param {object} [options] - `{ maxSize: number, accept: string[], chunkSize: number, onProgress: function }`. See `Upload`.
+ * @returns {Upload} the upload, a promise of the stored media items. Rejects with a `ValidationError` if a file is too
+ * large or of a type that is not accepted, and with a `CancelledError` if cancelled.
+ */
+Client.prototype.uploadMedia = function (files, options) {
+    return new media.Upload(this, files, options).start();
+};
+/*
+ * Upload files to the media library in a single request. Resolves with the raw response; `uploadMedia` is usually more
+ * convenient.
+ */
 Client.prototype.createMedia = function (files) {
-  var data = new FormData();
-  for (var i = 0; i<files.length; i++) {
-    let file = files[i];
-    data.append(i.toString() + 'file', file);
-    data.append(i.toString() + 'filename', file.name);
-    data.append(i.toString() + 'type', file.type);
-  }
+  var client = this;
   return this.blackstarFetch(this.serverUrl + 'api/media', {
     method: 'POST',
-    body: data
-  });
+    body: media.mediaFormData(files)
+  }).then(function (response) { return client.invalidateMedia().then(function () { return response; }); });
 };
 
 Client.prototype.deleteMedia = function (hash) {
+    var client = this;
     return this.blackstarFetch(this.serverUrl + 'api/media/' + hash, {
         method: 'DELETE',
         headers: {
             'Content-Type': 'application/json'
         }
-    });
+    }).then(function (response) { return client.invalidateMedia().then(function () { return response; }); });
+};
+/**
+ * Remove cached media search results, which `mediaSearch` and `getMedia` would otherwise keep returning after media is
+ * uploaded or deleted. Called by `uploadMedia`, `createMedia` and `deleteMedia`.
+ * @returns {Promise} resolved once the entries have been removed.
+ */
+Client.prototype.invalidateMedia = function () {
+    if (!this.cache)
+        return Promise.resolve();
+    var searchUrl = this.serverUrl + 'api/mediaSearch/';
+    return this.cache.invalidate(function (entry) { return entry.url.indexOf(searchUrl) === 0; });
 };
 
+// Parse typed chunks and add the byName, byId and byTag lookups to a collection.
 Client.prototype.enrichCollectionWithByMethods = function(data) { 
-    data.byName = function (name) { return data.find(function (item) { return item.name === name; }); };
+    var resolver = this && this.localeResolver;
+    var types = this && this.types;
+    if (types)
+        data.forEach(function (chunk) { types.parse(chunk); });
+    data.byName = function (name) {
+        if (resolver)
+            return resolver.find(data, name);
+        return data.find(function (item) { return item.name === name; });
+    };
     data.byId = function (id) { return data.find(function (item) { return item.id === id; }); };
     data.byTag = function (tag) { return data.filter(function (item) { return item.tags.some(function (t) { return t === tag; }); }); };
     return data;
@@ -186,31 +642,204 @@ Client.prototype.requestKind = function (request) {
         return 'tags';
     throw new Error("A request must include exactly one of the following collections: ids, names, tags");
 };
-Client.prototype.bind = function (chunks, selector) {
+/**
+ * Supply chunks rendered into the page by the server, so that `get` can answer ids and names requests for them without
+ * fetching them again. Called automatically with the chunks serialised by `bindToString` with the `hydrate` option.
+ * @param {Array} chunks - the chunks rendered by the server.
+ */
+Client.prototype.hydrate = function (chunks) {
+    this.hydrated = Array.prototype.slice.call(chunks);
+};
+Client.prototype.fromHydrated = function (kind, values) {
+    if (!this.hydrated)
+        return null;
+    var hydrated = this.hydrated;
+    var found = [];
+    var complete = values.every(function (value) {
+        var matches = hydrated.filter(function (chunk) { return String(kind === 'ids' ? chunk.id : chunk.name) === String(value); });
+        found = found.concat(matches.filter(function (chunk) { return found.indexOf(chunk) === -1; }));
+        return matches.length > 0;
+    });
+    return complete ? found : null;
+};
+/**
+ * Bind chunks into an HTML string, for server-side rendering. The contents of every element with a
+ * `data-blackstar-name` attribute are replaced by the chunk with that name, rendered by `chunkHtml`, and the element is stamped with
+ * `data-blackstar-id`, as `bind` does in the browser.
+ * @example
+ * client.get({ names: ['heading', 'footer'] }).then(function (chunks) {
+ *     response.send(client.bindToString(template, chunks, { hydrate: true }));
+ * });
+ * @param {string} html - the page or template markup.
+ * @param {Array} chunks - the chunks to bind.
+ * @param {object} [options] - `{ hydrate: boolean, sanitize: boolean | object }`. With `hydrate` the chunks are serialised
+ * into the page so that the browser client does not fetch them again. `sanitize` overrides the client's `sanitize` option.
+ * @returns {string} the bound markup.
+ */
+Client.prototype.bindToString = function (html, chunks, options) {
+    return render.bindHtml(html, chunks, this.renderOptions(options));
+};
+/**
+ * Like `bindToString`, for markup read from a stream.
+ * @example
+ * fs.createReadStream('index.html').pipe(client.bindStream(chunks)).pipe(response);
+ * @param {Array} chunks - the chunks to bind.
+ * @param {object} [options] - as for `bindToString`.
+ * @returns {stream.Transform} a transform stream of the bound markup.
+ */
+Client.prototype.bindStream = function (chunks, options) {
+    return render.bindStream(chunks, this.renderOptions(options));
+};
+Client.prototype.renderOptions = function (options) {
+    options = Object.assign({ render: this.chunkHtml.bind(this) }, options);
+    if (options.sanitize === undefined)
+        options.sanitize = this.options.sanitize;
+    return options;
+};
+/**
+ * Bind chunks into the page: the contents of the element for each chunk are replaced by the chunk's html, sanitised
+ * unless the client or this binding opts out.
+ * @example
+ * client.bind(chunks);
+ * client.bind(chunks, function (chunk) { return document.getElementById(chunk.name); });
+ * client.bind(trustedChunks, null, { sanitize: false });
+ * @param {Array} chunks - the chunks to bind.
+ * @param {function} [selector] - returns the element for a chunk. Defaults to the element whose `data-blackstar-name` is the chunk name.
+ * @param {object} [options] - `{ sanitize: boolean | object }`, overriding the client's `sanitize` option.
+ */
+Client.prototype.bind = function (chunks, selector, options) {
     if (typeof window === 'undefined')
         return;
     if (typeof window.document === 'undefined')
         return;
+    var client = this;
+    var sanitizeOptions = client.renderOptions(options).sanitize;
+    chunks = client.localise(chunks);
     chunks.forEach(function (chunk) {
         var el = !!selector ? selector(chunk) : document.querySelector('[data-blackstar-name="' + chunk.name + '"]');
-        if (el) {
-            el.setAttribute('data-blackstar-id', chunk.id);
-            el.innerHTML = chunk.html;
-        }
+        if (el)
+            client.bindElement(el, chunk, sanitizeOptions);
     });
+    this.decorate(chunks);
+};
+Client.prototype.bindElement = function (el, chunk, sanitizeOptions) {
+    el.setAttribute('data-blackstar-id', chunk.id);
+    el.innerHTML = this.trustedHtml(this.chunkHtml(chunk), sanitizeOptions);
+};
+/**
+ * The HTML a chunk is bound as: its `html`, or for typed chunks the rendering of its type, e.g. Markdown rendered to
+ * HTML or an `<img>` for an image chunk. Not yet sanitised.
+ * @param {object} chunk
+ * @returns {string} the HTML.
+ */
+Client.prototype.chunkHtml = function (chunk) {
+    return this.types.render(chunk, this);
+};
+// Add the editing overlay for chunks just bound.
+Client.prototype.decorate = function (chunks) {
+    if (this.options.showEditControls)
+        this.editOverlay().editor.remember(chunks);
     this.addEditLinks();
     this.addToolbox();
 };
+/**
+ * Bind every element under `root` that names its content with a `data-blackstar-name`, `data-blackstar-id` or
+ * `data-blackstar-tag` attribute, fetching the chunks in as few requests as possible, and keep binding elements as they
+ * are added to the page. `data-blackstar-field` binds the chunk into attributes such as `alt`, `title` or `href`.
+ * @example
+ * <h1 data-blackstar-name="heading">Welcome</h1>
+ * <img data-blackstar-name="logo-caption" data-blackstar-field="alt title" src="logo.png">
+ * <ul data-blackstar-tag="news english"><template><li></li></template></ul>
+ *
+ * client.autoBind(document.body, { placeholder: '<span class="spinner"></span>' }).ready.then(function () { ... });
+ * @param {Element} [root] - defaults to `document.body`.
+ * @param {object} [options] - `{ placeholder: string, sanitize: boolean | object, observe: boolean, onError: function }`.
+ * `placeholder` is shown while loading; elements keep their content if their chunk is missing or cannot be fetched.
+ * @returns {AutoBinder|undefined} the binder, or `undefined` when there is no DOM. Its `ready` promise resolves once the
+ * elements on the page are bound; call `disconnect()` to stop binding new elements.
+ */
+Client.prototype.autoBind = function (root, options) {
+    if (typeof window === 'undefined')
+        return;
+    if (typeof window.document === 'undefined')
+        return;
+    var binder = new AutoBinder(this, root || document.body, options);
+    this.autoBinders.push(binder);
+    return binder;
+};
+/**
+ * Keep the variant of each chunk for the current locale, when the client has a `locale`.
+ * @param {Array} chunks
+ * @returns {Array} the chunks for the current locale.
+ */
+Client.prototype.localise = function (chunks) {
+    return this.localeResolver ? this.localeResolver.resolve(chunks) : Array.prototype.slice.call(chunks);
+};
+/**
+ * Switch to another locale and rebind the page in it.
+ * @example
+ * languageSelect.onchange = function () { client.setLocale(languageSelect.value); };
+ * @param {string} locale - e.g. `fr-CA`.
+ * @returns {Promise} a promise that resolves once the page is rebound.
+ */
+Client.prototype.setLocale = function (locale) {
+    if (this.localeResolver)
+        this.localeResolver.setLocale(locale);
+    else
+        this.localeResolver = new LocaleResolver(locale, this.options.localeOptions);
+    this.options.locale = locale;
+    // hydrated chunks were chosen for the locale the page was rendered in
+    this.hydrated = null;
+    return this.rebind();
+};
+/**
+ * Fetch and bind again every chunk bound to the page, by `bind` or `autoBind`. Elements bound by name receive the
+ * variant for the current locale.
+ * @returns {Promise} a promise that resolves once the page is rebound.
+ */
+Client.prototype.rebind = function () {
+    if (typeof window === 'undefined' || typeof window.document === 'undefined')
+        return Promise.resolve();
+    var client = this;
+    var rebinding = client.autoBinders.map(function (binder) { return binder.rebind(); });
+    var els = Array.prototype.filter.call(document.querySelectorAll('[data-blackstar-name][data-blackstar-id]'), function (el) {
+        return !el.hasAttribute('data-blackstar-field') && !client.autoBinders.some(function (binder) { return binder.owns(el); });
+    });
+    var names = els.map(function (el) { return el.getAttribute('data-blackstar-name'); })
+        .filter(function (name, index, all) { return all.indexOf(name) === index; });
+    if (names.length > 0) {
+        rebinding.push(client.get({ names: names }).then(function (chunks) {
+            els.forEach(function (el) {
+                var chunk = chunks.byName(el.getAttribute('data-blackstar-name'));
+                if (chunk)
+                    client.bindElement(el, chunk, client.options.sanitize);
+            });
+            client.decorate(chunks);
+        }));
+    }
+    return Promise.all(rebinding).then(function () { });
+};
+/**
+ * Prepare html for assignment to `innerHTML`: sanitise it and, where the browser supports Trusted Types, wrap it in a
+ * `TrustedHTML` created by the client's policy.
+ * @param {string} html
+ * @param {boolean|object} [sanitizeOptions] - sanitiser options, or `false` for trusted content. Defaults to the client's `sanitize` option.
+ * @returns {string|TrustedHTML}
+ */
+Client.prototype.trustedHtml = function (html, sanitizeOptions) {
+    return sanitize.toHtml(html, sanitizeOptions === undefined ? this.options.sanitize : sanitizeOptions, this.options.trustedTypesPolicy);
+};
 /**
  * Build the edit url for a chunk. Useful when implementing your own binding of content to UI, e.g. when binding content via Angular or React.
  * @param {object} chunk - the chunk to be edited.
  * @returns {string} the full edit url for chunk. 
  */
 Client.prototype.urlFor = function (chunk) {
-    return this.serverUrl + 'chunk/' + chunk.id;
+    return this.serverUrl + 'chunk/' + encodeURIComponent(chunk.id);
 };
 /**
  * Adds edit links to all DOM elements having an attribute `data-blackstar-id` containing a chunk id. The hyperlink added to each element has the css class `blackstar-edit-link` to allow styling.
+ * Edit links are only added when the client was created with `showEditControls`, and each element gets at most one edit link however often this is called.
  * 
  * **Normally you don't need to call this function because it is called within `bind`.** It is exposed for the benefit of those manually binding their content without using the `bind` method.
  * @example
@@ -221,123 +850,111 @@ Client.prototype.addEditLinks = function () {
         return;
     if (typeof window.document === 'undefined')
         return;
-    var els = document.querySelectorAll('[data-blackstar-id]');
-    for (var i = 0; i < els.length; i++) {
-        var el = els[i];
-        var chunkId = el.getAttribute('data-blackstar-id');
-        el.innerHTML += this.options.showEditControls ? ' <a class="blackstar-edit-link" target="_admin" href="' + this.serverUrl + 'chunk/' + chunkId + '" class="blackstar-link"><img style="width: 15px;opacity:0.4" src="data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAE0AAABFCAYAAAAPWmvdAAAAAXNSR0IArs4c6QAAAARnQU1BAACxjwv8YQUAAAAJcEhZcwAADsMAAA7DAcdvqGQAAAAYdEVYdFNvZnR3YXJlAHBhaW50Lm5ldCA0LjAuOWwzfk4AAAK7SURBVHhe7dqxahtBFIVhv5OaBRVCjQpBWoOdIpA3iIqQRrgS2KQxpEkbSCNDajUpXKTRM6TJa6iazDUee2d1PHNnd1Z752qLD7FHuwL9eGWDdWGMGSWC4ygMjqMwOI7C4DgKg+O52G639gE/FwJH7fb3l6aaTMzkydysHv7aGZ+LwFEzP1i7cHDUCgdz+OHgqNH+27WZwlh1vHBw1IYXzImHg6M2adFIOBwcNcoZ7mjQLFc47+AcpId7by/zX8M70GD/47t9wM85qeFWvw72stfrvRcrnYtRvVvbQ3yOww5XfbSn+9d6ByVrRqgWn+2Mz3Wi4apLs/n9z57qX+cdlOqtN98p3PTaPo2vgWNJYj8trcLNj2/JOjiWInp7PUsKN1/ZQ3yOA8cScIM5rHCM37wEjtKlBnM44TjgKFnbYE6OcHCUqmswp2s4OEqUK9gLxgf+W+AoTfZgRHM0acEIHKWQGIzAUQKpwQgch9ZHsFx/oxE4Dkl6MALHoZQQjMBxCKUEI3A8tZKCETieUmnBCBxPpcRgBI6nUGowAse+lRyMwLFPpQcjcOyLhmAEjn3QEozAMTdNwQgcc9IWjMAxF43BCBxz0BqMwDGH3NGkBCNwzCVXOEnBCBxz6hpOWjACx9zahpMYjMAx1e5rxm8ePpMajMAx1Xpm3yjjPz3ccJKDETimOOzWZubecIZwnO/LDg2OKXbrmf/GO4QrIRiBY4qnW7MZoEW4UoIROHJ5t2YD53PJhSspGIEj1+NmAYM5rHDMr2xKAkeuzQLHqpP+m7ANOHIcHjdmASIh2sLBkSN2azZpCgdHDs6t2aQlHBxjUm7NF9Ol+fDl3l6OX7MkcIxh35qKQtXBMeZuCQI5SkPVwTFmeRRqbq4+6Q5VB8eQP3fLswxVB8eQnze39gE/dy7gOAqD4yjEXPwH/g5Basn3SRIAAAAASUVORK5CYII="/></a>' : '';
-    }
+    if (this.options.showEditControls)
+        this.editOverlay().renderEditLinks();
 };
 /**
- * Adds the blackstar toolbox to the page. 
+ * Adds the blackstar toolbox to the page, unless it is already there. The toolbox is keyboard accessible and its "Toggle edit links" button shows and hides the edit links.
+ * It shows when preview mode is on, and with `showEditControls` its "Preview drafts" button turns preview mode on and off.
+ * Its appearance is configured with the `overlay` option of the client.
  * 
  * **Normally you don't need to call this function because it is called within `bind`.** It is exposed for the benefit of those manually binding their content without using the `bind` method.
  */
 Client.prototype.addToolbox = function () {
-    var link = document.createElement("link");
-    link.setAttribute('rel', 'stylesheet');
-    link.setAttribute('href', this.serverUrl + 'styles/pe-icons/pe-icon-7-stroke.css');
-    document.body.appendChild(link);
-
-    var container = document.createElement("div");
-    container.setAttribute('id','blackstar-toolbox');
-    container.setAttribute('style', 'color:rgb(148, 155, 162);position:fixed;top:10px;right:10px;background-color:#373942;padding:5px;opacity:0.5;border-radius:6px;z-index:99999;text-align:right;font-size:35px;margin:6px;');
-    container.onmouseover = function () {
-        this.style.opacity = 1;
-    };
-    container.onmouseout = function () {
-        this.style.opacity = 0.5;
-    };
-    container.innerHTML = '<h3 style="color:#ffffff;margin:6px;padding:0;font-size:16px;">Blackstar CMS</h3>'
-    container.innerHTML += '<a style="color:rgb(148, 155, 162)" target="_admin" href="' + this.serverUrl + 'search' + '" class="btn btn-default" href="#" role="button" style="margin:6px;"><span title="Search for content" class="pe-7s-search"></span></a>';
-    container.innerHTML += '<a style="color:rgb(148, 155, 162)" title="Create a new chunk" target="_admin" href="' + this.serverUrl + 'newChunk' + '" class="btn btn-default" href="#" role="button" style="margin:6px;"><span title="Create a new chunk" class="pe-7s-plus"></span></a>';
-    container.innerHTML += '<span class="pe-7s-look" title="Toggle edit links" style="margin:6px;"></span>';
-    document.body.appendChild(container);
-    
-    var buttons = document.querySelectorAll('#blackstar-toolbox span');
-    for (var i = 0; i < buttons.length; ++i) {
-        var button = buttons[i];
-        button.onmouseover = function () {
-            this.style.color = 'white';
-        };
-        button.onmouseout = function () {
-            this.style.color = 'rgb(148, 155, 162)';
-        };
-    }
+    if (typeof window === 'undefined')
+        return;
+    if (typeof window.document === 'undefined')
+        return;
+    this.editOverlay().renderToolbox();
+};
+/**
+ * The editing overlay that renders the toolbox and edit links.
+ * @returns {EditOverlay} the overlay, created on first use with the `overlay` option of the client.
+ */
+Client.prototype.editOverlay = function () {
+    if (!this.overlay)
+        this.overlay = new EditOverlay(this, this.options.overlay);
+    return this.overlay;
 };
+/**
+ * Remove everything the client added to the page, i.e. the toolbox and edit links, stop auto-binding and stop reporting errors.
+ */
+Client.prototype.destroy = function () {
+    if (this.overlay)
+        this.overlay.destroy();
+    this.overlay = null;
+    this.autoBinders.forEach(function (binder) { binder.disconnect(); });
+    this.autoBinders = [];
+    this.disableErrorReporting();
+};
+
+/**
+ * A client that reads content from a bundle written by the `blackstar-build` tool rather than from a Blackstar server.
+ * It has the same API as `Client`: `get`, `getAll`, `getAllTags`, `adminSearch`, `mediaSearch`, `bind` and the rest
+ * work from the bundle, while writes fail with a `BlackstarError`.
+ * @constructor
+ * @extends Client
+ * @example
+ * var bundle = require('./content/blackstar.json');
+ * var client = new StaticClient(bundle);
+ * client.get({ names: ['heading'] }).then(function (chunks) { client.bind(chunks); });
+ * @param {object} bundle - the bundle.
+ * @param {object} [options] - the options of `Client`, plus `url`, the server url used for edit and media links,
+ * which defaults to the url the bundle was built from.
+ */
+function StaticClient(bundle, options) {
+    options = options || {};
+    Client.call(this, options.url || bundle.serverUrl, options);
+    this.bundle = bundle;
+    this.fetch = bundleFetch(bundle, this.serverUrl);
+}
+StaticClient.prototype = Object.create(Client.prototype);
+StaticClient.prototype.constructor = StaticClient;
 
 function endsWithForwardSlash(input) {
     return /.+\/$/.test(input);
 }
 
 var toExport = {
-    Client: Client
+    Client: Client,
+    StaticClient: StaticClient,
+    ChunkCache: cache.ChunkCache,
+    MemoryStore: cache.MemoryStore,
+    WebStorageStore: cache.WebStorageStore,
+    Query: Query,
+    RetryPolicy: RetryPolicy,
+    BlackstarError: errors.BlackstarError,
+    NotFoundError: errors.NotFoundError,
+    ValidationError: errors.ValidationError,
+    ConflictError: errors.ConflictError,
+    AuthError: errors.AuthError,
+    NetworkError: errors.NetworkError,
+    TimeoutError: errors.TimeoutError,
+    CancelledError: errors.CancelledError,
+    StaticTokenProvider: token.StaticTokenProvider,
+    CookieTokenStore: token.CookieTokenStore,
+    WebStorageTokenStore: token.WebStorageTokenStore,
+    MemoryTokenStore: token.MemoryTokenStore,
+    ErrorReporter: ErrorReporter,
+    bindHtml: render.bindHtml,
+    Subscription: Subscription,
+    Upload: media.Upload,
+    EditOverlay: EditOverlay,
+    InlineEditor: InlineEditor,
+    sanitizeHtml: sanitize.sanitizeHtml,
+    AutoBinder: AutoBinder,
+    LocaleResolver: LocaleResolver,
+    Bulk: Bulk,
+    Pipeline: Pipeline,
+    diffChunks: revisions.diffChunks,
+    TypeRegistry: TypeRegistry,
+    renderMarkdown: require('./lib/markdown').renderMarkdown
 };
 
 if (typeof module === 'object' && typeof module.exports === 'object') {
     module.exports = toExport;
 }
 
-var docCookies = {
-  getItem: function (sKey) {
-    if (!sKey) { return null; }
-    return decodeURIComponent(document.cookie.replace(new RegExp("(?:(?:^|.*;)\\s*" + encodeURIComponent(sKey).replace(/[\-\.\+\*]/g, "\\$&") + "\\s*\\=\\s*([^;]*).*$)|^.*$"), "$1")) || null;
-  },
-  setItem: function (sKey, sValue, vEnd, sPath, sDomain, bSecure) {
-    if (!sKey || /^(?:expires|max\-age|path|domain|secure)$/i.test(sKey)) { return false; }
-    var sExpires = "";
-    if (vEnd) {
-      switch (vEnd.constructor) {
-        case Number:
-          sExpires = vEnd === Infinity ? "; expires=Fri, 31 Dec 9999 23:59:59 GMT" : "; max-age=" + vEnd;
-          break;
-        case String:
-          sExpires = "; expires=" + vEnd;
-          break;
-        case Date:
-          sExpires = "; expires=" + vEnd.toUTCString();
-          break;
-      }
-    }
-    document.cookie = encodeURIComponent(sKey) + "=" + encodeURIComponent(sValue) + sExpires + (sDomain ? "; domain=" + sDomain : "") + (sPath ? "; path=" + sPath : "") + (bSecure ? "; secure" : "");
-    return true;
-  },
-  removeItem: function (sKey, sPath, sDomain) {
-    if (!this.hasItem(sKey)) { return false; }
-    document.cookie = encodeURIComponent(sKey) + "=; expires=Thu, 01 Jan 1970 00:00:00 GMT" + (sDomain ? "; domain=" + sDomain : "") + (sPath ? "; path=" + sPath : "");
-    return true;
-  },
-  hasItem: function (sKey) {
-    if (!sKey) { return false; }
-    return (new RegExp("(?:^|;\\s*)" + encodeURIComponent(sKey).replace(/[\-\.\+\*]/g, "\\$&") + "\\s*\\=")).test(document.cookie);
-  },
-  keys: function () {
-    var aKeys = document.cookie.replace(/((?:^|\s*;)[^\=]+)(?=;|$)|^\s*|\s*(?:\=[^;]*)?(?:\1|$)/g, "").split(/\s*(?:\=[^;]*)?;\s*/);
-    for (var nLen = aKeys.length, nIdx = 0; nIdx < nLen; nIdx++) { aKeys[nIdx] = decodeURIComponent(aKeys[nIdx]); }
-    return aKeys;
-  }
-};
-
 if (typeof window === 'object') {
   window.Blackstar = toExport;   
-  // register an error logger
-  window.onerror = function (message, file, line, col, error) {
-    try {
-        fetch('/api/throw', {
-            method: 'POST',
-            body: JSON.stringify({
-                file,
-                line,
-                col,
-                message,
-                stack: error.stack,
-                context: navigator.userAgent
-            }),
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        }).catch(e => {console.error(e);});
-    } catch (e) {}
-  };
 }
-
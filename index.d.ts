@@ -1,22 +1,800 @@
 declare module 'blackstar-cms-client' {
+    /**
+     * The fields every chunk has.
+     */
+    export interface ChunkFields {
+        id: number,
+        name: string,
+        tags: string[],
+        value: string,
+        html: string,
+        /** The chunk's type; see `TypeRegistry`. Chunks without one are html. */
+        type?: string,
+        /** The parsed `value` of `json`, `link`, `image` and other structured chunks. */
+        data?: any
+    }
+
+    /**
+     * A content chunk. `M` describes any custom metadata stored with the chunk.
+     */
+    export type Chunk<M extends object = {}> = ChunkFields & M
+
+    /**
+     * The chunk sent to `create`. The server assigns the id.
+     */
+    export type NewChunk<M extends object = {}> = Partial<ChunkFields> & M
+
+    /**
+     * The chunk sent to `update`.
+     */
+    export type ChunkUpdate<M extends object = {}> = Partial<ChunkFields> & { id: number } & Partial<M>
+
+    /**
+     * An array of chunks with the lookup methods added by `enrichCollectionWithByMethods`.
+     */
+    export interface ChunkCollection<C extends ChunkFields = Chunk> extends Array<C> {
+        byName(name:string):C | undefined
+        byId(id:number):C | undefined
+        byTag(tag:string):C[]
+    }
+
+    export interface IdsRequest {
+        ids: (number | string)[],
+        names?: never,
+        tags?: never
+    }
+
+    export interface NamesRequest {
+        names: string[],
+        ids?: never,
+        tags?: never
+    }
+
+    export interface TagsRequest {
+        tags: string[],
+        ids?: never,
+        names?: never
+    }
+
+    /**
+     * A `get` request. Exactly one of `ids`, `names` or `tags` must be present.
+     */
+    export type ChunkRequest = IdsRequest | NamesRequest | TagsRequest
+
+    export type RequestKind = 'ids' | 'names' | 'tags'
+
+    export interface MediaItem {
+        hash: string,
+        url: string,
+        name?: string,
+        type?: string,
+        size?: number
+    }
+
+    export interface UploadOptions {
+        maxSize?: number,
+        accept?: string[],
+        chunkSize?: number,
+        onProgress?: (event:UploadProgressEvent) => void
+    }
+
+    export interface UploadProgressEvent {
+        file: Blob,
+        index: number,
+        loaded: number,
+        total: number
+    }
+
+    export interface UploadCompleteEvent {
+        file: Blob,
+        index: number,
+        media: MediaItem[]
+    }
+
+    export class Upload implements PromiseLike<MediaItem[]> {
+        constructor(client:Client<any>, files:ArrayLike<Blob>, options?:UploadOptions)
+        on(event:'progress', listener:(event:UploadProgressEvent) => void):this
+        on(event:'complete', listener:(event:UploadCompleteEvent) => void):this
+        on(event:'error', listener:(error:BlackstarError) => void):this
+        then<T = MediaItem[], E = never>(onFulfilled?:((items:MediaItem[]) => T | PromiseLike<T>) | null, onRejected?:((error:any) => E | PromiseLike<E>) | null):Promise<T | E>
+        catch<E = never>(onRejected?:((error:any) => E | PromiseLike<E>) | null):Promise<MediaItem[] | E>
+        start():this
+        cancel():void
+        resume():this
+    }
+
     export interface Options {
-        showEditControls: boolean,
-        token: string,
-        authCallback: (response:any) => void
+        showEditControls?: boolean,
+        token?: string | null,
+        tokenProvider?: TokenProvider,
+        tokenStorage?: 'cookie' | 'sessionStorage' | 'memory' | 'none' | TokenStore,
+        restoreToken?: boolean,
+        cookie?: CookieOptions,
+        authCallback?: (response:Response) => void,
+        cache?: boolean | CacheOptions,
+        batch?: boolean | BatchOptions,
+        timeout?: number,
+        retry?: boolean | RetryOptions,
+        errorReporting?: boolean | ErrorReportingOptions,
+        overlay?: OverlayOptions,
+        sanitize?: boolean | SanitizeOptions,
+        trustedTypesPolicy?: string,
+        locale?: string,
+        localeOptions?: LocaleOptions,
+        fetch?: FetchFunction,
+        middleware?: Middleware[],
+        preview?: boolean | string,
+        types?: { [name:string]: ChunkType }
+    }
+
+    export type FieldType = 'string' | 'number' | 'boolean' | 'object' | 'array'
+
+    export interface FieldSchema {
+        type: FieldType,
+        required?: boolean
+    }
+
+    export interface ChunkType {
+        /** The chunk holds JSON in `value`, parsed into `data`. */
+        structured?: boolean,
+        /** The fields of `data`. */
+        schema?: { [field:string]: FieldSchema },
+        /** Returns the problems with the chunk, empty if there are none. */
+        validate?(chunk:ChunkFields, data:any):string[],
+        /** Returns the chunk's HTML. Defaults to its `html`. */
+        render?(chunk:ChunkFields, client:Client<any>, data:any):string,
+        /** The chunk can be edited in place by the edit overlay. */
+        inline?: boolean
+    }
+
+    export interface LinkData {
+        href: string,
+        text: string,
+        title?: string
     }
 
-    export class Client {
+    export interface ImageData {
+        hash: string,
+        alt: string,
+        width?: number,
+        height?: number
+    }
+
+    export class TypeRegistry {
+        constructor(types?:{ [name:string]: ChunkType })
+        readonly types:{ [name:string]: ChunkType }
+        define(name:string, definition:ChunkType):this
+        typeOf(chunk:Partial<ChunkFields>):ChunkType | null
+        problems(chunk:Partial<ChunkFields>):string[]
+        serialize<C extends Partial<ChunkFields>>(chunk:C):C
+        parse<C extends Partial<ChunkFields>>(chunk:C):C
+        render(chunk:Partial<ChunkFields>, client:Client<any>):string
+        editsInline(chunk:Partial<ChunkFields>):boolean
+    }
+
+    export function renderMarkdown(source:string):string
+
+    export interface RevisionSummary {
+        revision: number,
+        savedAt: string,
+        status: 'published' | 'draft',
+        [detail:string]: any
+    }
+
+    export type Revision<C extends ChunkFields = Chunk> = C & {
+        revision: number,
+        savedAt: string,
+        status: 'published' | 'draft'
+    }
+
+    export interface LineChange {
+        type: 'unchanged' | 'removed' | 'added',
+        text: string
+    }
+
+    export interface FieldChange {
+        field: string,
+        before: any,
+        after: any,
+        /** For text fields. */
+        lines?: LineChange[],
+        /** For array fields such as `tags`. */
+        added?: any[],
+        removed?: any[]
+    }
+
+    export function diffChunks(before:object, after:object):FieldChange[]
+
+    export type FetchFunction = (url:string, options:RequestInit) => Promise<Response>
+
+    /**
+     * A request as seen by middleware. `options` holds the fetch options other than the method, headers and body.
+     */
+    export interface MiddlewareRequest {
+        method: string,
+        url: string,
+        headers: { [name:string]: string },
+        body?: any,
+        options: RequestInit,
+        [key:string]: any
+    }
+
+    export interface Middleware {
+        request?(request:MiddlewareRequest):MiddlewareRequest | void | Promise<MiddlewareRequest | void>
+        response?(response:Response, request:MiddlewareRequest):Response | void | Promise<Response | void>
+        error?(error:any, request:MiddlewareRequest):Response | void | Promise<Response | void>
+    }
+
+    export class Pipeline {
+        constructor(middleware?:Middleware[])
+        readonly middleware:Middleware[]
+        use(middleware:Middleware):() => void
+        request(request:MiddlewareRequest):Promise<MiddlewareRequest>
+        response(response:Response, request:MiddlewareRequest):Promise<Response>
+        error(error:any, request:MiddlewareRequest):Promise<Response>
+    }
+
+    /**
+     * Options accepted by `blackstarFetch` in addition to the standard fetch options.
+     */
+    export interface RequestOptions extends RequestInit {
+        headers?: { [name:string]: string },
+        timeout?: number
+    }
+
+    export class Client<M extends object = {}> {
         constructor(url:string, options?:Options)
-        create(chunk:any)
-        update(chunk:any)
-        getAllTags()
-        get(query:any)
-        getAll()
-        bind(any)
-        delete(id:number)
-        adminSearch(query:string)
-        mediaSearch(query:string)
-        createMedia(media:any)
-        deleteMedia(hash:string)
+        readonly serverUrl:string
+        readonly apiUrl:string
+        readonly options:Options
+        readonly cache:ChunkCache | null
+        readonly tokens:TokenManager
+        readonly errorReporter:ErrorReporter | null
+        readonly overlay:EditOverlay | null
+        readonly localeResolver:LocaleResolver | null
+        readonly fetch:FetchFunction | null
+        readonly pipeline:Pipeline
+        readonly types:TypeRegistry
+        hydrated:Chunk<M>[] | null
+
+        blackstarFetch(url:string, options?:RequestOptions):Promise<Response>
+        use(middleware:Middleware):() => void
+        setToken(token:string | null):void
+        enableErrorReporting(options?:ErrorReportingOptions):void
+        disableErrorReporting():void
+
+        getAll():Promise<ChunkCollection<Chunk<M>>>
+        get(request:ChunkRequest):Promise<ChunkCollection<Chunk<M>>>
+        query():Query<Chunk<M>>
+        subscribe(query:ChunkRequest | Query<Chunk<M>> | null, callback:(event:ChunkEvent<Chunk<M>>) => void, options?:SubscriptionOptions):Subscription<Chunk<M>>
+        getAllTags():Promise<string[]>
+        create(chunk:NewChunk<M>):Promise<Response>
+        update(chunk:ChunkUpdate<M>):Promise<Response>
+        delete(id:number | string):Promise<Response>
+        bulk(options?:BulkOptions):Bulk<M>
+        revisions(id:number | string):Promise<RevisionSummary[]>
+        getRevision(id:number | string, revision:number):Promise<Revision<Chunk<M>>>
+        diffRevisions(id:number | string, from:number, to:number):Promise<FieldChange[]>
+        restoreRevision(id:number | string, revision:number):Promise<Response>
+        saveDraft(chunk:ChunkUpdate<M>):Promise<Response>
+        discardDraft(id:number | string):Promise<Response>
+        setPreview(preview:boolean | string):Promise<void>
+        post(url:string, data:any):Promise<Response>
+        invalidateCache(chunk:Partial<ChunkFields>):Promise<void>
+
+        adminSearch(query:string):Promise<ChunkCollection<Chunk<M>>>
+        mediaSearch(query:string):Promise<MediaItem[]>
+        getMedia(hash:string):Promise<MediaItem>
+        mediaUrlFor(hash:string):string
+        uploadMedia(files:ArrayLike<Blob>, options?:UploadOptions):Upload
+        createMedia(files:ArrayLike<File>):Promise<Response>
+        deleteMedia(hash:string):Promise<Response>
+        invalidateMedia():Promise<void>
+
+        enrichCollectionWithByMethods<C extends ChunkFields>(data:C[]):ChunkCollection<C>
+        requestToUrl(request:ChunkRequest):string
+        requestKind(request:ChunkRequest):RequestKind
+
+        hydrate(chunks:ArrayLike<Chunk<M>>):void
+        bindToString(html:string, chunks:ArrayLike<ChunkFields>, options?:BindHtmlOptions):string
+        bindStream(chunks:ArrayLike<ChunkFields>, options?:BindHtmlOptions):BindStream
+        autoBind(root?:Element, options?:AutoBindOptions):AutoBinder | undefined
+        localise<C extends ChunkFields>(chunks:ArrayLike<C>):C[]
+        setLocale(locale:string):Promise<void>
+        rebind():Promise<void>
+        bindElement(element:Element, chunk:ChunkFields, sanitizeOptions?:boolean | SanitizeOptions):void
+        chunkHtml(chunk:ChunkFields):string
+        bind(chunks:ArrayLike<ChunkFields>, selector?:((chunk:ChunkFields) => Element | null) | null, options?:BindOptions):void
+        /** Returns a `TrustedHTML` where Trusted Types are supported; typed as a string so it can be assigned to `innerHTML`. */
+        trustedHtml(html:string, sanitizeOptions?:boolean | SanitizeOptions):string
+        urlFor(chunk:{ id:number | string }):string
+        addEditLinks():void
+        addToolbox():void
+        editOverlay():EditOverlay
+        destroy():void
+    }
+
+    export interface TagClauses<C extends ChunkFields> {
+        all(...tags:string[]):Query<C>
+        any(...tags:string[]):Query<C>
+        none(...tags:string[]):Query<C>
+    }
+
+    export class Query<C extends ChunkFields = Chunk> {
+        constructor(client:Client<any>)
+        tags:TagClauses<C>
+        not:{
+            ids(...ids:(number | string)[]):Query<C>,
+            names(...names:string[]):Query<C>,
+            tags(...tags:string[]):Query<C>
+        }
+        ids(...ids:(number | string)[]):Query<C>
+        names(...names:string[]):Query<C>
+        sortBy(field:(keyof C & string) | ((chunk:C) => any), direction?:'asc' | 'desc'):Query<C>
+        limit(count:number):Query<C>
+        offset(count:number):Query<C>
+        matches(chunk:C):boolean
+        plan():ChunkRequest[] | null
+        exec():Promise<ChunkCollection<C>>
+    }
+
+    export interface CacheEntry {
+        url: string,
+        status: number,
+        headers: { etag: string | null, 'content-type': string | null },
+        body: string,
+        storedAt: number,
+        refs: { ids: number[], names: string[], tags: string[] }
+    }
+
+    /**
+     * A cache store. Methods may return their results directly or as promises.
+     */
+    export interface CacheStore {
+        get(key:string):CacheEntry | undefined | Promise<CacheEntry | undefined>
+        set(key:string, entry:CacheEntry):void | Promise<void>
+        remove(key:string):void | Promise<void>
+        keys():string[] | Promise<string[]>
+    }
+
+    export interface CacheOptions {
+        ttl?: number,
+        store?: CacheStore
+    }
+
+    export class ChunkCache {
+        constructor(options?:CacheOptions)
+        ttl:number
+        store:CacheStore
+        invalidate(predicate:(entry:CacheEntry) => boolean):Promise<void>
+        clear():Promise<void>
+    }
+
+    export class MemoryStore implements CacheStore {
+        get(key:string):CacheEntry | undefined
+        set(key:string, entry:CacheEntry):void
+        remove(key:string):void
+        keys():string[]
+    }
+
+    export class WebStorageStore implements CacheStore {
+        constructor(storage:Storage, prefix?:string)
+        get(key:string):CacheEntry | undefined
+        set(key:string, entry:CacheEntry):void
+        remove(key:string):void
+        keys():string[]
+    }
+
+    export interface BatchOptions {
+        wait?: number,
+        maxUrlLength?: number
+    }
+
+    export interface RetryOptions {
+        retries?: number,
+        minDelay?: number,
+        maxDelay?: number,
+        factor?: number,
+        statuses?: number[],
+        methods?: string[]
+    }
+
+    export class RetryPolicy {
+        constructor(options?:RetryOptions)
+        static none:RetryPolicy
+        delay(retry:number):number
+        run(method:string, attempt:() => Promise<Response>):Promise<Response>
+    }
+
+    export interface ErrorDetails {
+        status?: number,
+        url?: string,
+        serverMessage?: string,
+        response?: Response,
+        cause?: Error
+    }
+
+    export class BlackstarError extends Error {
+        constructor(message:string, details?:ErrorDetails)
+        status?:number
+        url?:string
+        serverMessage?:string
+        response?:Response
+        cause?:Error
+    }
+    export class NotFoundError extends BlackstarError {}
+    export class ValidationError extends BlackstarError {}
+    export class AuthError extends BlackstarError {}
+    export class NetworkError extends BlackstarError {}
+    export class TimeoutError extends BlackstarError {}
+    export class CancelledError extends BlackstarError {}
+    export class ConflictError extends ValidationError {
+        current?:ChunkFields | null
+    }
+
+    export interface TokenProvider {
+        getToken():string | null | Promise<string | null>
+        refreshToken?():string | null | Promise<string | null>
+    }
+
+    export interface TokenStore {
+        get():string | null
+        set(token:string):void
+        remove():void
     }
+
+    export interface CookieOptions {
+        name?: string,
+        path?: string,
+        domain?: string,
+        secure?: boolean,
+        sameSite?: 'Strict' | 'Lax' | 'None',
+        expires?: number | string | Date
+    }
+
+    export class StaticTokenProvider implements TokenProvider {
+        constructor(token:string | null)
+        getToken():string | null
+    }
+
+    export class CookieTokenStore implements TokenStore {
+        constructor(options?:CookieOptions)
+        get():string | null
+        set(token:string):void
+        remove():void
+    }
+
+    export class WebStorageTokenStore implements TokenStore {
+        constructor(storage:Storage, key?:string)
+        get():string | null
+        set(token:string):void
+        remove():void
+    }
+
+    export class MemoryTokenStore implements TokenStore {
+        get():string | null
+        set(token:string):void
+        remove():void
+    }
+
+    export interface TokenManager {
+        provider:TokenProvider
+        store:TokenStore
+        current:string | null
+        token():Promise<string | null>
+        refresh():Promise<string | null>
+    }
+
+    export interface ErrorReport {
+        message: string,
+        file?: string,
+        line?: number,
+        col?: number,
+        stack?: string,
+        context?: string
+    }
+
+    export interface ErrorReportingOptions {
+        endpoint?: string,
+        sampleRate?: number,
+        maxPerMinute?: number,
+        dedupeWindow?: number,
+        unhandledRejections?: boolean,
+        beforeSend?: (report:ErrorReport) => ErrorReport | null | undefined | false
+    }
+
+    export class ErrorReporter {
+        constructor(client:Client<any>, options?:ErrorReportingOptions)
+        endpoint:string
+        install(target:Window):void
+        uninstall():void
+        report(report:ErrorReport):Promise<boolean>
+    }
+
+    export interface BindOptions {
+        sanitize?: boolean | SanitizeOptions
+    }
+
+    export interface BindHtmlOptions extends BindOptions {
+        hydrate?: boolean,
+        render?: (chunk:ChunkFields) => string
+    }
+
+    export interface SanitizeOptions {
+        tags?: string[],
+        attributes?: { [tag:string]: string[] },
+        schemes?: string[]
+    }
+
+    export const sanitizeHtml: {
+        (html:string, options?:SanitizeOptions):string
+        readonly defaults:Required<SanitizeOptions>
+    }
+
+    /**
+     * The transform stream returned by `bindStream`.
+     */
+    export interface BindStream {
+        write(chunk:string | Uint8Array):boolean
+        end(chunk?:string | Uint8Array):void
+        pipe<T>(destination:T, options?:{ end?: boolean }):T
+        on(event:string, listener:(...args:any[]) => void):this
+    }
+
+    export function bindHtml(html:string, chunks:ArrayLike<ChunkFields>, options?:BindHtmlOptions):string
+
+    export interface ChunkEvent<C extends ChunkFields = Chunk> {
+        type: 'created' | 'updated' | 'deleted',
+        chunk: C
+    }
+
+    export interface SubscriptionOptions {
+        transport?: 'auto' | 'sse' | 'websocket' | 'poll',
+        bind?: boolean,
+        pollInterval?: number,
+        minDelay?: number,
+        maxDelay?: number,
+        maxAttempts?: number,
+        EventSource?: { new (url:string, options?:{ withCredentials?: boolean }):any } | null,
+        WebSocket?: { new (url:string):any } | null,
+        onError?: (error:any) => void
+    }
+
+    export class Subscription<C extends ChunkFields = Chunk> {
+        constructor(client:Client<any>, query:ChunkRequest | Query<C> | null, callback:(event:ChunkEvent<C>) => void, options?:SubscriptionOptions)
+        mode:'sse' | 'websocket' | 'poll' | null
+        start():Subscription<C>
+        poll():Promise<void> | undefined
+        unsubscribe():void
+        matches(chunk:C):boolean
+    }
+
+    export interface OverlayTheme {
+        background?: string,
+        color?: string,
+        highlight?: string,
+        opacity?: number
+    }
+
+    export interface OverlayOptions {
+        theme?: OverlayTheme,
+        renderToolbox?: (overlay:EditOverlay) => HTMLElement,
+        renderEditLink?: (chunkId:string, overlay:EditOverlay) => HTMLElement,
+        iconStylesheet?: string | false,
+        inlineEditing?: InlineEditingOptions
+    }
+
+    export class EditOverlay {
+        constructor(client:Client<any>, options?:OverlayOptions)
+        readonly client:Client<any>
+        readonly theme:Required<OverlayTheme>
+        readonly editLinksVisible:boolean
+        toolbox:HTMLElement | null
+        readonly editor:InlineEditor
+        renderEditLinks():void
+        renderToolbox():void
+        toggleEditLinks(visible?:boolean):boolean
+        toggleEditing(enabled?:boolean):boolean
+        destroy():void
+    }
+
+    export interface ContentEditor {
+        html():string
+        destroy():void
+    }
+
+    export interface InlineEditingOptions {
+        editor?: (element:HTMLElement, chunk:Chunk<any>) => ContentEditor,
+        onSave?: (chunk:Chunk<any>) => void,
+        onError?: (error:unknown, chunk:Chunk<any>) => void
+    }
+
+    export class InlineEditor {
+        constructor(client:Client<any>, options?:InlineEditingOptions)
+        readonly enabled:boolean
+        remember(chunks:ArrayLike<ChunkFields>):void
+        toggle(enabled?:boolean):boolean
+        isDirty():boolean
+        edit(element:Element):Promise<void>
+        save(id:number | string, options?:{ force?: boolean }):Promise<Chunk<any>>
+        cancel(id:number | string):void
+        destroy():void
+    }
+
+    export interface AutoBindOptions {
+        placeholder?: string,
+        sanitize?: boolean | SanitizeOptions,
+        observe?: boolean,
+        onError?: (error:unknown) => void
+    }
+
+    export class AutoBinder {
+        constructor(client:Client<any>, root:Element, options?:AutoBindOptions)
+        readonly root:Element
+        readonly ready:Promise<void>
+        refresh():Promise<void>
+        rebind():Promise<void>
+        owns(element:Element):boolean
+        disconnect():void
+    }
+
+    export interface LocaleOptions {
+        fallbacks?: string[] | { [locale:string]: string[] },
+        tags?: { [locale:string]: string },
+        locales?: string[]
+    }
+
+    export class LocaleResolver {
+        constructor(locale:string, options?:LocaleOptions)
+        readonly locale:string
+        readonly chain:string[]
+        setLocale(locale:string):void
+        chainFor(locale:string):string[]
+        tagFor(locale:string):string
+        resolve<C extends ChunkFields>(chunks:ArrayLike<C>):C[]
+        find<C extends ChunkFields>(chunks:ArrayLike<C>, name:string):C | undefined
+    }
+
+    export type BulkOperationType = 'create' | 'update' | 'delete'
+
+    export type BulkStatus = 'planned' | 'succeeded' | 'failed' | 'skipped' | 'rolledBack'
+
+    export interface BulkResult<M extends object = {}> {
+        type: BulkOperationType,
+        chunk: NewChunk<M> | ChunkUpdate<M> | { id:number | string },
+        previous?: Chunk<M> | null,
+        status: BulkStatus,
+        value?: Response,
+        error?: Error,
+        rollbackError?: Error
+    }
+
+    export interface BulkReport<M extends object = {}> {
+        results: BulkResult<M>[],
+        succeeded: number,
+        failed: number,
+        rolledBack: number,
+        dryRun: boolean
+    }
+
+    export interface BulkOptions {
+        concurrency?: number,
+        dryRun?: boolean,
+        rollback?: boolean,
+        onResult?: (result:BulkResult<any>) => void
+    }
+
+    export class Bulk<M extends object = {}> {
+        constructor(client:Client<M>, options?:BulkOptions)
+        readonly concurrency:number
+        readonly dryRun:boolean
+        readonly rollback:boolean
+        create(chunk:NewChunk<M>):this
+        update(chunk:ChunkUpdate<M>):this
+        delete(id:number | string):this
+        addTag(tag:string, tags:string[]):this
+        removeTag(tag:string, tags?:string[]):this
+        renameTag(from:string, to:string):this
+        run():Promise<BulkReport<M>>
+    }
+
+    export interface Bundle<M extends object = {}> {
+        format: 1,
+        hash: string,
+        builtAt: string,
+        serverUrl: string,
+        chunks: Chunk<M>[],
+        tags: string[],
+        media: Omit<MediaItem, 'url'>[]
+    }
+
+    export interface StaticClientOptions extends Options {
+        url?: string
+    }
+
+    export class StaticClient<M extends object = {}> extends Client<M> {
+        constructor(bundle:Bundle<M>, options?:StaticClientOptions)
+        readonly bundle:Bundle<M>
+    }
+}
+
+declare module 'blackstar-cms-client/lib/build' {
+    import { Bundle, Client } from 'blackstar-cms-client';
+
+    export interface BuildOptions {
+        media?: boolean,
+        name?: string
+    }
+
+    export interface BuildResult {
+        file: string,
+        manifest: string,
+        hash: string
+    }
+
+    export function build(client:Client<any>, outDir:string, options?:BuildOptions):Promise<BuildResult>
+    export function buildBundle<M extends object = {}>(client:Client<M>, options?:BuildOptions):Promise<Bundle<M>>
+    export function writeBundle(bundle:Bundle<any>, outDir:string, options?:BuildOptions):Promise<BuildResult>
+    export function loadBundle<M extends object = {}>(file:string):Promise<Bundle<M>>
+    export function contentHash(bundle:Bundle<any>):string
+    export function referencedMedia(chunks:ArrayLike<{ html?: string, value?: string, type?: string, data?: any }>):string[]
+}
+
+declare module 'blackstar-cms-client/lib/mock' {
+    import { Chunk, FetchFunction, MediaItem } from 'blackstar-cms-client';
+
+    export interface MockMediaItem extends Omit<MediaItem, 'url'> {
+        content?: string | Uint8Array
+    }
+
+    export interface MockServerOptions {
+        url?: string,
+        chunks?: Chunk<any>[],
+        media?: MockMediaItem[],
+        tokens?: string[],
+        protectReads?: boolean,
+        previewTokens?: string[],
+        latency?: number | { min: number, max: number }
+    }
+
+    export interface Fault {
+        method?: string,
+        path?: string | RegExp,
+        status?: number,
+        body?: any,
+        network?: boolean,
+        delay?: number,
+        times?: number
+    }
+
+    export interface RecordedRequest {
+        method: string,
+        url: string,
+        path: string,
+        headers: { [name:string]: string },
+        body: any
+    }
+
+    export class MockServer {
+        constructor(options?:MockServerOptions)
+        url:string
+        tokens:string[] | null
+        protectReads:boolean
+        previewTokens:string[]
+        latency:number | { min: number, max: number }
+        readonly fetch:FetchFunction
+        readonly chunks:Chunk<any>[]
+        readonly media:MockMediaItem[]
+        readonly drafts:{ [id:string]: Chunk<any> }
+        readonly requests:RecordedRequest[]
+        readonly reports:any[]
+        reset():void
+        fault(fault:Fault):Fault
+        clearFault(fault?:Fault):void
+        install():() => void
+        listen(port?:number):Promise<string>
+        close():Promise<void>
+    }
+
+    export function fixtures():{ chunks: Chunk<{}>[], media: MockMediaItem[] }
 }
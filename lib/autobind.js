@@ -0,0 +1,280 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+var sanitize = require('./sanitize');
+
+/**
+ * Declarative binding of the chunks named by `data-blackstar-*` attributes.
+ * @module AutoBind
+ */
+
+var SELECTOR = '[data-blackstar-name],[data-blackstar-id],[data-blackstar-tag]';
+var ATTRIBUTES = ['data-blackstar-name', 'data-blackstar-id', 'data-blackstar-tag', 'data-blackstar-field'];
+
+/**
+ * Binds every element under a root that names its content with an attribute:
+ *
+ * - `data-blackstar-name="heading"` binds the chunk with that name,
+ * - `data-blackstar-id="6"` binds the chunk with that id,
+ * - `data-blackstar-tag="news english"` binds every chunk having all of the tags, each into a copy of the element's
+ *   `<template>`, or into a `div` when it has none.
+ *
+ * `data-blackstar-field` binds into attributes rather than the content: `data-blackstar-field="alt title"` sets the `alt`
+ * and `title` attributes to the text of the chunk, and `text` sets the text content instead of the html. Event handler
+ * attributes and `style` cannot be bound, and `href` and `src` only take URLs the sanitiser allows.
+ *
+ * The chunks are fetched with one request for all names, one for all ids and one per distinct set of tags. While they
+ * load, elements have `data-blackstar-state="loading"` and `aria-busy`, and show the `placeholder` html if there is one.
+ * Afterwards the state is `bound`, or `missing` or `error`, in which case the element keeps the content it had, so that
+ * it can serve as fallback content. Elements added to the root later are bound as they appear.
+ * @constructor
+ * @param {Client} client
+ * @param {Element} root
+ * @param {object} [options] - `{ placeholder: string, sanitize: boolean|object, observe: boolean, onError: function }`.
+ * `sanitize` overrides the client's `sanitize` option. Set `observe` to `false` to not watch for new elements.
+ * `onError(error)` is called when a request fails.
+ */
+function AutoBinder(client, root, options) {
+    options = options || {};
+    this.client = client;
+    this.root = root;
+    this.placeholder = options.placeholder;
+    this.sanitize = options.sanitize;
+    this.onError = options.onError || function () { };
+    this.bound = new WeakMap();
+    this.fallbacks = new WeakMap();
+    this.observer = null;
+    this.ready = this.refresh();
+    if (options.observe !== false && typeof MutationObserver !== 'undefined')
+        this.observe();
+}
+
+/**
+ * Scan the whole root again and bind the elements that are not bound yet, or whose attributes changed.
+ * @returns {Promise} a promise that resolves once the elements are bound.
+ */
+AutoBinder.prototype.refresh = function () {
+    return this.bindElements(this.find(this.root));
+};
+
+/**
+ * Fetch and bind every element again, e.g. after the locale changed.
+ * @returns {Promise} a promise that resolves once the elements are bound.
+ */
+AutoBinder.prototype.rebind = function () {
+    this.bound = new WeakMap();
+    return this.refresh();
+};
+
+/**
+ * @param {Element} el
+ * @returns {boolean} true if the element is bound by this binder.
+ */
+AutoBinder.prototype.owns = function (el) {
+    return this.bound.has(el);
+};
+
+/**
+ * Stop binding elements added later.
+ */
+AutoBinder.prototype.disconnect = function () {
+    if (this.observer)
+        this.observer.disconnect();
+    this.observer = null;
+};
+
+AutoBinder.prototype.observe = function () {
+    var binder = this;
+    binder.observer = new MutationObserver(function (records) {
+        var elements = [];
+        records.forEach(function (record) {
+            if (record.type === 'attributes')
+                elements.push(record.target);
+            else
+                Array.prototype.forEach.call(record.addedNodes, function (node) { elements = elements.concat(binder.find(node)); });
+        });
+        binder.bindElements(elements);
+    });
+    binder.observer.observe(binder.root, { childList: true, subtree: true, attributes: true, attributeFilter: ATTRIBUTES });
+};
+
+// The elements to bind in or under node, including node itself.
+AutoBinder.prototype.find = function (node) {
+    if (node.nodeType !== 1)
+        return [];
+    var found = node.matches(SELECTOR) ? [node] : [];
+    return found.concat(Array.prototype.slice.call(node.querySelectorAll(SELECTOR))).filter(function (el) {
+        // items rendered into a tag container are bound with it
+        return !el.parentElement || !el.parentElement.hasAttribute('data-blackstar-tag');
+    });
+};
+
+AutoBinder.prototype.bindElements = function (elements) {
+    var binder = this;
+    var requests = { names: {}, ids: {}, tags: {} };
+    var pending = [];
+    elements.forEach(function (el) {
+        var binding = describe(el);
+        if (!binding || binder.bound.get(el) === binding.key || pending.indexOf(el) !== -1)
+            return;
+        binder.bound.set(el, binding.key);
+        if (binding.kind === 'tags')
+            requests.tags[binding.value.join(' ')] = binding.value;
+        else
+            requests[binding.kind][binding.value] = true;
+        pending.push(el);
+        binder.loading(el, binding);
+    });
+    if (pending.length === 0)
+        return Promise.resolve();
+    var client = binder.client;
+    var fetches = [];
+    if (Object.keys(requests.names).length > 0)
+        fetches.push(binder.fetch({ names: Object.keys(requests.names) }));
+    if (Object.keys(requests.ids).length > 0)
+        fetches.push(binder.fetch({ ids: Object.keys(requests.ids) }));
+    Object.keys(requests.tags).forEach(function (key) {
+        fetches.push(binder.fetch({ tags: requests.tags[key] }).then(function (result) {
+            result.tags = key;
+            return result;
+        }));
+    });
+    return Promise.all(fetches).then(function (results) {
+        var chunks = [];
+        pending.forEach(function (el) {
+            var binding = describe(el);
+            var found = results.filter(function (result) { return result.kind === binding.kind; });
+            if (binding.kind === 'tags')
+                found = found.filter(function (result) { return result.tags === binding.value.join(' '); });
+            var result = found[0];
+            if (!result || result.error)
+                return binder.settle(el, 'error');
+            var matches = binding.kind === 'tags' ? result.chunks : result.chunks.filter(function (chunk) {
+                return String(binding.kind === 'names' ? chunk.name : chunk.id) === binding.value;
+            }).slice(0, 1);
+            if (binding.kind !== 'tags' && matches.length === 0)
+                return binder.settle(el, 'missing');
+            binder.render(el, binding, matches);
+            chunks = chunks.concat(matches);
+            binder.settle(el, 'bound');
+        });
+        client.decorate(chunks);
+    });
+};
+
+// Fetch chunks, resolving with the error rather than rejecting so that other requests can still be bound.
+AutoBinder.prototype.fetch = function (request) {
+    var binder = this;
+    var kind = Object.keys(request)[0];
+    return binder.client.get(request).then(function (chunks) {
+        return { kind: kind, chunks: chunks };
+    }, function (error) {
+        binder.onError(error);
+        return { kind: kind, error: error };
+    });
+};
+
+AutoBinder.prototype.loading = function (el, binding) {
+    el.setAttribute('data-blackstar-state', 'loading');
+    el.setAttribute('aria-busy', 'true');
+    if (this.placeholder === undefined || binding.fields)
+        return;
+    var fallback = document.createDocumentFragment();
+    while (el.firstChild)
+        fallback.appendChild(el.firstChild);
+    this.fallbacks.set(el, fallback);
+    el.innerHTML = this.client.trustedHtml(this.placeholder, false);
+};
+
+AutoBinder.prototype.settle = function (el, state) {
+    el.setAttribute('data-blackstar-state', state);
+    el.removeAttribute('aria-busy');
+    var fallback = this.fallbacks.get(el);
+    this.fallbacks.delete(el);
+    if (state === 'bound')
+        return;
+    // try again on the next refresh
+    this.bound.delete(el);
+    if (fallback) {
+        el.textContent = '';
+        el.appendChild(fallback);
+    }
+};
+
+AutoBinder.prototype.render = function (el, binding, chunks) {
+    var binder = this;
+    if (binding.kind !== 'tags') {
+        binder.renderChunk(el, binding.fields, chunks[0]);
+        return;
+    }
+    var fallback = binder.fallbacks.get(el);
+    var template = (fallback && fallback.querySelector('template')) || el.querySelector('template');
+    el.textContent = '';
+    if (template)
+        el.appendChild(template);
+    chunks.forEach(function (chunk) {
+        var item = template && template.content.firstElementChild
+            ? template.content.firstElementChild.cloneNode(true)
+            : document.createElement('div');
+        binder.renderChunk(item, binding.fields, chunk);
+        // the item is bound already, it must not be fetched again when the observer sees it
+        binder.bound.set(item, describe(item).key);
+        el.appendChild(item);
+    });
+};
+
+AutoBinder.prototype.renderChunk = function (el, fields, chunk) {
+    var client = this.client;
+    var options = this.sanitize === undefined ? client.options.sanitize : this.sanitize;
+    if (!fields) {
+        client.bindElement(el, chunk, options);
+        return;
+    }
+    var text = null;
+    function chunkText() {
+        if (text === null) {
+            var container = document.createElement('div');
+            container.innerHTML = client.trustedHtml(client.chunkHtml(chunk), options);
+            text = container.textContent;
+        }
+        return text;
+    }
+    el.setAttribute('data-blackstar-id', chunk.id);
+    fields.forEach(function (field) {
+        field = field.toLowerCase();
+        if (field === 'html')
+            el.innerHTML = client.trustedHtml(client.chunkHtml(chunk), options);
+        else if (field === 'text')
+            el.textContent = chunkText();
+        else if (/^on/.test(field) || field === 'style' || field === 'srcdoc')
+            return;
+        else if (field !== 'href' && field !== 'src')
+            el.setAttribute(field, chunkText());
+        else if (options === false || sanitize.isSafeUrl(chunkText().trim(), options === true ? undefined : options))
+            el.setAttribute(field, chunkText().trim());
+        else
+            el.removeAttribute(field);
+    });
+};
+
+// What an element asks to be bound to, and a key identifying it to notice when the attributes change.
+function describe(el) {
+    var fieldAttribute = el.getAttribute('data-blackstar-field');
+    var fields = fieldAttribute ? fieldAttribute.split(/[\s,]+/).filter(Boolean) : null;
+    var binding = null;
+    if (el.hasAttribute('data-blackstar-name'))
+        binding = { kind: 'names', value: el.getAttribute('data-blackstar-name') };
+    else if (el.hasAttribute('data-blackstar-tag'))
+        binding = { kind: 'tags', value: el.getAttribute('data-blackstar-tag').split(/[\s,]+/).filter(Boolean) };
+    else if (el.hasAttribute('data-blackstar-id'))
+        binding = { kind: 'ids', value: el.getAttribute('data-blackstar-id') };
+    if (!binding || binding.value.length === 0)
+        return null;
+    binding.fields = fields && fields.length > 0 ? fields : null;
+    binding.key = binding.kind + ':' + String(binding.value) + ':' + (fieldAttribute || '');
+    return binding;
+}
+
+module.exports = {
+    AutoBinder: AutoBinder
+};
@@ -0,0 +1,104 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+
+/**
+ * Merges `get` calls made within a short window into as few `byids`/`bynames` requests as possible.
+ * @constructor
+ * @param {Client} client - the client used to build urls and perform requests.
+ * @param {object} [options] - `{ wait: number, maxUrlLength: number }`. `wait` is how long in milliseconds to collect
+ * calls before sending them (default 0, i.e. calls made in the same tick). Batches whose url would be longer than
+ * `maxUrlLength` characters (default 2000) are split into several requests.
+ */
+function GetBatcher(client, options) {
+    options = options || {};
+    this.client = client;
+    this.wait = typeof options.wait === 'number' ? options.wait : 0;
+    this.maxUrlLength = options.maxUrlLength || 2000;
+    this.pending = [];
+    this.timer = null;
+}
+
+/**
+ * Queue a request for the chunks identified by `values`.
+ * @param {string} kind - `ids` or `names`.
+ * @param {Array} values - the ids or names requested by the caller.
+ * @returns {Promise} a promise of the caller's chunks, as sent by the server. `get` adds the `by*` methods.
+ */
+GetBatcher.prototype.add = function (kind, values) {
+    var batcher = this;
+    return new Promise(function (resolve, reject) {
+        batcher.pending.push({ kind: kind, values: values.map(String), resolve: resolve, reject: reject });
+        if (batcher.timer === null)
+            batcher.timer = setTimeout(function () { batcher.flush(); }, batcher.wait);
+    });
+};
+
+/**
+ * Send every queued request now.
+ */
+GetBatcher.prototype.flush = function () {
+    var batcher = this;
+    var pending = batcher.pending;
+    clearTimeout(batcher.timer);
+    batcher.timer = null;
+    batcher.pending = [];
+    ['ids', 'names'].forEach(function (kind) {
+        var callers = pending.filter(function (caller) { return caller.kind === kind; });
+        if (callers.length > 0)
+            batcher.send(kind, callers);
+    });
+};
+
+GetBatcher.prototype.send = function (kind, callers) {
+    var client = this.client;
+    var values = unique(callers.reduce(function (all, caller) { return all.concat(caller.values); }, []));
+    var batches = this.split(kind, values).map(function (batch) {
+        var request = {};
+        request[kind] = batch;
+        return {
+            values: batch,
+            result: client.blackstarFetch(client.requestToUrl(request)).then(function (response) { return response.json(); })
+        };
+    });
+    callers.forEach(function (caller) {
+        var needed = batches.filter(function (batch) {
+            return batch.values.some(function (value) { return caller.values.indexOf(value) !== -1; });
+        });
+        Promise.all(needed.map(function (batch) { return batch.result; })).then(function (results) {
+            var chunks = results.reduce(function (all, result) { return all.concat(result); }, []);
+            var own = chunks.filter(function (chunk) {
+                return caller.values.indexOf(String(kind === 'ids' ? chunk.id : chunk.name)) !== -1;
+            });
+            caller.resolve(own);
+        }, caller.reject);
+    });
+};
+
+// Partition values so that no batch url exceeds maxUrlLength. A single value that is too long still gets its own batch.
+GetBatcher.prototype.split = function (kind, values) {
+    var client = this.client;
+    var maxUrlLength = this.maxUrlLength;
+    var batches = [];
+    var current = [];
+    values.forEach(function (value) {
+        var request = {};
+        request[kind] = current.concat([value]);
+        if (current.length > 0 && client.requestToUrl(request).length > maxUrlLength) {
+            batches.push(current);
+            current = [];
+        }
+        current.push(value);
+    });
+    if (current.length > 0)
+        batches.push(current);
+    return batches;
+};
+
+function unique(values) {
+    return values.filter(function (value, index) { return values.indexOf(value) === index; });
+}
+
+module.exports = {
+    GetBatcher: GetBatcher
+};
@@ -0,0 +1,169 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var errors = require('./errors');
+var BUNDLE_FORMAT = require('./static').BUNDLE_FORMAT;
+var TypeRegistry = require('./types').TypeRegistry;
+
+/**
+ * The node API of the static-site build tool: fetch the content of a Blackstar server into a JSON bundle that a
+ * `StaticClient` can read without the server. The client needs a `fetch`: the global one of Node 18 or later, or its own
+ * `fetch` option.
+ * @module Build
+ */
+
+var MEDIA_REFERENCE = /api\/media\/([^"'\s?#<>()]+)/g;
+
+/**
+ * Fetch every chunk, every tag and the metadata of every media item referenced by a chunk.
+ * @param {Client} client - a client of the server to read from.
+ * @param {object} [options] - `{ media: boolean }`. Set `media` to `false` to skip media metadata.
+ * @returns {Promise} a promise of the bundle: `{ format, hash, builtAt, serverUrl, chunks, tags, media }`.
+ */
+function buildBundle(client, options) {
+    options = options || {};
+    return Promise.all([client.getAll(), client.getAllTags()]).then(function (results) {
+        var chunks = Array.prototype.slice.call(results[0]);
+        var media = options.media === false ? Promise.resolve([]) : fetchMedia(client, referencedMedia(chunks));
+        return media.then(function (items) {
+            var bundle = {
+                format: BUNDLE_FORMAT,
+                hash: null,
+                builtAt: new Date().toISOString(),
+                serverUrl: client.serverUrl,
+                chunks: chunks,
+                tags: results[1],
+                media: items
+            };
+            bundle.hash = contentHash(bundle);
+            return bundle;
+        });
+    });
+}
+
+/**
+ * The hashes of the media items referenced by chunks, in their content or as image chunks.
+ * @param {Array} chunks
+ * @returns {Array} distinct media hashes, in order of appearance.
+ */
+function referencedMedia(chunks) {
+    var types = new TypeRegistry();
+    var hashes = [];
+    chunks.forEach(function (chunk) {
+        var image = chunk.type === 'image' ? types.parse(Object.assign({}, chunk)).data : null;
+        if (image && typeof image.hash === 'string' && hashes.indexOf(image.hash) === -1)
+            hashes.push(image.hash);
+        [chunk.html, chunk.value].forEach(function (content) {
+            var match;
+            MEDIA_REFERENCE.lastIndex = 0;
+            while ((match = MEDIA_REFERENCE.exec(content || '')) !== null) {
+                var hash = decodeURIComponent(match[1]);
+                if (hashes.indexOf(hash) === -1)
+                    hashes.push(hash);
+            }
+        });
+    });
+    return hashes;
+}
+
+// Fetch media metadata one item at a time, leaving out items that no longer exist.
+function fetchMedia(client, hashes) {
+    var items = [];
+    return hashes.reduce(function (previous, hash) {
+        return previous.then(function () {
+            return client.getMedia(hash).then(function (item) {
+                var stored = Object.assign({}, item);
+                delete stored.url;
+                items.push(stored);
+            }, function (error) {
+                if (!(error instanceof errors.NotFoundError))
+                    throw error;
+            });
+        });
+    }, Promise.resolve()).then(function () { return items; });
+}
+
+/**
+ * Hash the content of a bundle. The build time does not contribute, so the same content always has the same hash.
+ * @param {object} bundle
+ * @returns {string} the first 16 hex digits of the SHA-256 of the content.
+ */
+function contentHash(bundle) {
+    var content = JSON.stringify({ format: bundle.format, chunks: bundle.chunks, tags: bundle.tags, media: bundle.media });
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Write a bundle to `<outDir>/<name>.<hash>.json`, and a manifest naming that file to `<outDir>/<name>.json`.
+ * @param {object} bundle
+ * @param {string} outDir - created if it does not exist.
+ * @param {object} [options] - `{ name: string }`, `blackstar` by default.
+ * @returns {Promise} a promise of `{ file, manifest, hash }`, the paths written and the content hash.
+ */
+function writeBundle(bundle, outDir, options) {
+    var name = (options && options.name) || 'blackstar';
+    var file = path.join(outDir, name + '.' + bundle.hash + '.json');
+    var manifest = path.join(outDir, name + '.json');
+    return call(fs.mkdir, outDir, { recursive: true })
+        .then(function () { return call(fs.writeFile, file, JSON.stringify(bundle)); })
+        .then(function () {
+            return call(fs.writeFile, manifest, JSON.stringify({ format: bundle.format, hash: bundle.hash, file: path.basename(file) }, null, 2));
+        })
+        .then(function () { return { file: file, manifest: manifest, hash: bundle.hash }; });
+}
+
+/**
+ * Read a bundle, given either the bundle file or its manifest, and check its content hash.
+ * @param {string} file
+ * @returns {Promise} a promise of the bundle. Rejects with a `BlackstarError` if the content does not match its hash.
+ */
+function loadBundle(file) {
+    return call(fs.readFile, file, 'utf8').then(function (text) {
+        var data = JSON.parse(text);
+        if (data.chunks === undefined && data.file)
+            return loadBundle(path.join(path.dirname(file), data.file));
+        if (contentHash(data) !== data.hash)
+            throw new errors.BlackstarError('The content of ' + file + ' does not match its hash ' + data.hash);
+        return data;
+    });
+}
+
+/**
+ * Build a bundle from a server and write it.
+ * @example
+ * var Blackstar = require('blackstar-cms-client');
+ * build(new Blackstar.Client('https://cms.example.com', { token: process.env.BLACKSTAR_TOKEN }), 'content')
+ *     .then(function (result) { console.log('wrote ' + result.file); });
+ * @param {Client} client
+ * @param {string} outDir
+ * @param {object} [options] - the options of `buildBundle` and `writeBundle`.
+ * @returns {Promise} a promise of `{ file, manifest, hash }`.
+ */
+function build(client, outDir, options) {
+    return buildBundle(client, options).then(function (bundle) { return writeBundle(bundle, outDir, options); });
+}
+
+// Call a node style async function, returning a promise.
+function call(fn) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    return new Promise(function (resolve, reject) {
+        fn.apply(null, args.concat(function (error, result) {
+            if (error)
+                reject(error);
+            else
+                resolve(result);
+        }));
+    });
+}
+
+module.exports = {
+    build: build,
+    buildBundle: buildBundle,
+    writeBundle: writeBundle,
+    loadBundle: loadBundle,
+    contentHash: contentHash,
+    referencedMedia: referencedMedia
+};
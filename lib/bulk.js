@@ -0,0 +1,295 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+var errors = require('./errors');
+
+/**
+ * Bulk writes. Create one with `client.bulk()`.
+ * @module Bulk
+ */
+
+/**
+ * A batch of creates, updates and deletes, run with bounded concurrency when `run()` is called.
+ *
+ * Tag operations are expanded into updates when the batch runs: `addTag` adds a tag to every chunk found by a
+ * `get({ tags })`, `removeTag` removes a tag from every chunk having it and `renameTag` replaces one tag by another.
+ *
+ * With `rollback`, the first failure stops the batch: no further operations start, and the completed ones are undone in
+ * reverse order. Updates are undone by restoring the chunk as it was, deletes by creating the chunk again (the server
+ * may assign it a new id) and creates by deleting the new chunk, which requires the server to return its id.
+ * @constructor
+ * @example
+ * client.bulk({ concurrency: 8, rollback: true })
+ *     .renameTag('english', 'en')
+ *     .delete(12)
+ *     .run()
+ *     .then(function (report) { console.log(report.succeeded + ' done, ' + report.failed + ' failed'); });
+ * @param {Client} client
+ * @param {object} [options] - `{ concurrency: number, dryRun: boolean, rollback: boolean, onResult: function }`.
+ * `concurrency` defaults to 4. With `dryRun` the operations are planned and reported but not sent. `onResult(result)`
+ * is called as each operation settles.
+ */
+function Bulk(client, options) {
+    options = options || {};
+    this.client = client;
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.dryRun = !!options.dryRun;
+    this.rollback = !!options.rollback;
+    this.onResult = options.onResult || function () { };
+    this.steps = [];
+}
+
+/**
+ * Queue the creation of a chunk.
+ * @param {object} chunk
+ * @returns {Bulk} this batch.
+ */
+Bulk.prototype.create = function (chunk) {
+    this.steps.push(function () { return [{ type: 'create', chunk: chunk }]; });
+    return this;
+};
+
+/**
+ * Queue an update of a chunk.
+ * @param {object} chunk - the chunk, with its `id`.
+ * @returns {Bulk} this batch.
+ */
+Bulk.prototype.update = function (chunk) {
+    this.steps.push(function () { return [{ type: 'update', chunk: chunk }]; });
+    return this;
+};
+
+/**
+ * Queue the deletion of a chunk.
+ * @param {number|string} id
+ * @returns {Bulk} this batch.
+ */
+Bulk.prototype.delete = function (id) {
+    this.steps.push(function () { return [{ type: 'delete', chunk: { id: id } }]; });
+    return this;
+};
+
+/**
+ * Queue adding `tag` to every chunk having all of `tags`.
+ * @param {string} tag
+ * @param {Array} tags - selects the chunks, as for `get({ tags })`.
+ * @returns {Bulk} this batch.
+ */
+Bulk.prototype.addTag = function (tag, tags) {
+    return this.retag(tags, function (chunkTags) {
+        return chunkTags.indexOf(tag) === -1 ? chunkTags.concat([tag]) : null;
+    });
+};
+
+/**
+ * Queue removing `tag` from every chunk having it, or only from those also having all of `tags`.
+ * @param {string} tag
+ * @param {Array} [tags]
+ * @returns {Bulk} this batch.
+ */
+Bulk.prototype.removeTag = function (tag, tags) {
+    return this.retag([tag].concat(tags || []), function (chunkTags) {
+        return chunkTags.filter(function (t) { return t !== tag; });
+    });
+};
+
+/**
+ * Queue renaming a tag on every chunk having it.
+ * @param {string} from
+ * @param {string} to
+ * @returns {Bulk} this batch.
+ */
+Bulk.prototype.renameTag = function (from, to) {
+    return this.retag([from], function (chunkTags) {
+        return chunkTags.filter(function (t) { return t !== from; })
+            .concat(chunkTags.indexOf(to) === -1 ? [to] : []);
+    });
+};
+
+// Queue updates of the chunks found by `tags`, with the tags returned by `change`, or none when it returns null. A chunk
+// already changed by an earlier operation of the batch is changed further rather than updated twice.
+Bulk.prototype.retag = function (tags, change) {
+    var client = this.client;
+    this.steps.push(function (planned) {
+        // every variant of a chunk is retagged, not only the one `get` returns for the current locale
+        return client.blackstarFetch(client.requestToUrl({ tags: tags })).then(function (response) {
+            return response.json();
+        }).then(function (chunks) {
+            return chunks.map(function (chunk) {
+                var earlier = planned[chunk.id];
+                if (earlier && earlier.type === 'delete')
+                    return null;
+                var current = earlier ? earlier.chunk : chunk;
+                var newTags = change(current.tags || []);
+                if (!newTags)
+                    return null;
+                if (!earlier)
+                    return { type: 'update', chunk: Object.assign({}, chunk, { tags: newTags }), previous: chunk };
+                earlier.chunk = Object.assign({}, current, { tags: newTags });
+                return null;
+            }).filter(Boolean);
+        });
+    });
+    return this;
+};
+
+/**
+ * Plan and run the queued operations.
+ * @returns {Promise} a promise of the report `{ results, succeeded, failed, rolledBack, dryRun }`. Each result is
+ * `{ type, chunk, status, value, error }` where `status` is `planned` (in a dry run), `succeeded`, `failed`, `skipped`
+ * (not started because an earlier operation failed) or `rolledBack`; `value` is the server's response and `error` the
+ * reason of a failure. Rejects only if planning fails, e.g. when a tag query fails.
+ */
+Bulk.prototype.run = function () {
+    var bulk = this;
+    return bulk.plan().then(function (operations) {
+        if (bulk.dryRun) {
+            return report(operations.map(function (operation) {
+                return result(operation, 'planned');
+            }), true);
+        }
+        return bulk.execute(operations).then(function (results) {
+            var failed = results.some(function (r) { return r.status === 'failed'; });
+            return failed && bulk.rollback ? bulk.undo(results) : results;
+        }).then(function (results) { return report(results, false); });
+    });
+};
+
+// Expand the queued steps into operations, in order. Updates and deletes to be rolled back record the chunk as it was.
+Bulk.prototype.plan = function () {
+    var bulk = this;
+    var operations = [];
+    // the last planned update or delete of each chunk id
+    var planned = {};
+    return bulk.steps.reduce(function (previous, step) {
+        return previous.then(function () { return step(planned); }).then(function (added) {
+            added.forEach(function (operation) {
+                if (operation.type !== 'create')
+                    planned[operation.chunk.id] = operation;
+            });
+            operations = operations.concat(added);
+        });
+    }, Promise.resolve()).then(function () {
+        if (!bulk.rollback || bulk.dryRun)
+            return operations;
+        var unknown = operations.filter(function (operation) { return operation.type !== 'create' && !operation.previous; });
+        if (unknown.length === 0)
+            return operations;
+        var ids = unknown.map(function (operation) { return operation.chunk.id; });
+        return bulk.client.get({ ids: ids }).then(function (chunks) {
+            unknown.forEach(function (operation) {
+                operation.previous = chunks.filter(function (chunk) { return String(chunk.id) === String(operation.chunk.id); })[0] || null;
+            });
+            return operations;
+        });
+    });
+};
+
+// Run operations with at most `concurrency` in flight. With `rollback` no operation starts after a failure.
+Bulk.prototype.execute = function (operations) {
+    var bulk = this;
+    var results = new Array(operations.length);
+    var next = 0;
+    var stopped = false;
+    function worker() {
+        if (next >= operations.length)
+            return Promise.resolve();
+        var index = next++;
+        var operation = operations[index];
+        if (stopped) {
+            results[index] = result(operation, 'skipped');
+            return worker();
+        }
+        return bulk.send(operation).then(function (value) {
+            results[index] = result(operation, 'succeeded', value);
+        }, function (error) {
+            results[index] = result(operation, 'failed', undefined, error);
+            stopped = bulk.rollback;
+        }).then(function () {
+            bulk.onResult(results[index]);
+            return worker();
+        });
+    }
+    var workers = [];
+    for (var i = 0; i < Math.min(bulk.concurrency, operations.length); i++)
+        workers.push(worker());
+    return Promise.all(workers).then(function () { return results; });
+};
+
+Bulk.prototype.send = function (operation) {
+    var client = this.client;
+    switch (operation.type) {
+        case 'create':
+            return client.create(operation.chunk);
+        case 'update':
+            return client.update(operation.chunk);
+        default:
+            return client.delete(operation.chunk.id);
+    }
+};
+
+// Undo the operations that succeeded, last first.
+Bulk.prototype.undo = function (results) {
+    var bulk = this;
+    var client = bulk.client;
+    var completed = results.filter(function (r) { return r.status === 'succeeded'; }).reverse();
+    return completed.reduce(function (previous, r) {
+        return previous.then(function () { return inverse(client, r); }).then(function () {
+            r.status = 'rolledBack';
+        }, function (error) {
+            r.rollbackError = error;
+        }).then(function () { bulk.onResult(r); });
+    }, Promise.resolve()).then(function () { return results; });
+};
+
+function inverse(client, r) {
+    if (r.type === 'update')
+        return client.update(r.previous);
+    if (r.type === 'delete') {
+        var recreated = Object.assign({}, r.previous);
+        delete recreated.id;
+        return client.create(recreated);
+    }
+    return createdChunk(r.value).then(function (created) {
+        // the server answers with the new id, or with the new chunk
+        var id = created !== null && typeof created === 'object' ? created.id : created;
+        if (id === undefined || id === null)
+            throw new errors.BlackstarError('Cannot roll back the creation of ' + (r.chunk.name || 'a chunk') + ': the server did not return its id');
+        return client.delete(id);
+    });
+}
+
+// What the server returned from a create, if anything.
+function createdChunk(response) {
+    if (!response || typeof response.json !== 'function')
+        return Promise.resolve(null);
+    return new Promise(function (resolve) { resolve(response.json()); }).then(null, function () { return null; });
+}
+
+function result(operation, status, value, error) {
+    return {
+        type: operation.type,
+        chunk: operation.chunk,
+        previous: operation.previous,
+        status: status,
+        value: value,
+        error: error
+    };
+}
+
+function report(results, dryRun) {
+    function count(status) {
+        return results.filter(function (r) { return r.status === status; }).length;
+    }
+    return {
+        results: results,
+        succeeded: count('succeeded'),
+        failed: count('failed'),
+        rolledBack: count('rolledBack'),
+        dryRun: dryRun
+    };
+}
+
+module.exports = {
+    Bulk: Bulk
+};
@@ -0,0 +1,216 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+
+/**
+ * Cache stores used by `ChunkCache`.
+ *
+ * A store is any object with `get(key)`, `set(key, entry)`, `remove(key)` and `keys()` methods. Each method may return
+ * its result directly or as a promise, so asynchronous stores such as IndexedDB wrappers can be plugged in.
+ * @module Cache
+ */
+
+/**
+ * A store that keeps entries in memory. This is the default store and works in both node and the browser.
+ * @constructor
+ */
+function MemoryStore() {
+    this.entries = {};
+}
+MemoryStore.prototype.get = function (key) {
+    return Object.prototype.hasOwnProperty.call(this.entries, key) ? this.entries[key] : undefined;
+};
+MemoryStore.prototype.set = function (key, entry) {
+    this.entries[key] = entry;
+};
+MemoryStore.prototype.remove = function (key) {
+    delete this.entries[key];
+};
+MemoryStore.prototype.keys = function () {
+    return Object.keys(this.entries);
+};
+
+/**
+ * A store backed by a Web Storage object, e.g. `window.localStorage` or `window.sessionStorage`.
+ * @constructor
+ * @param {Storage} storage - the Web Storage object to persist entries in.
+ * @param {string} [prefix] - prepended to every key so that cache entries don't collide with other data. Defaults to `blackstar:`.
+ * @example
+ * var client = new Client('https://localhost:2999', { cache: { store: new WebStorageStore(window.localStorage) } });
+ */
+function WebStorageStore(storage, prefix) {
+    this.storage = storage;
+    this.prefix = prefix || 'blackstar:';
+}
+WebStorageStore.prototype.get = function (key) {
+    var value = this.storage.getItem(this.prefix + key);
+    return value === null ? undefined : JSON.parse(value);
+};
+WebStorageStore.prototype.set = function (key, entry) {
+    try {
+        this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    } catch (e) {
+        // quota exceeded: the cache is an optimisation, so carry on without it
+    }
+};
+WebStorageStore.prototype.remove = function (key) {
+    this.storage.removeItem(this.prefix + key);
+};
+WebStorageStore.prototype.keys = function () {
+    var keys = [];
+    for (var i = 0; i < this.storage.length; i++) {
+        var key = this.storage.key(i);
+        if (key && key.indexOf(this.prefix) === 0)
+            keys.push(key.slice(this.prefix.length));
+    }
+    return keys;
+};
+
+/**
+ * Caches GET responses by url.
+ *
+ * Entries younger than `ttl` milliseconds are served without contacting the server. Older entries are revalidated with
+ * `If-None-Match` when the server supplied an `ETag`. Concurrent requests for the same url share one in-flight request.
+ * @constructor
+ * @param {object} [options] - `{ ttl: number, store: object }`. `ttl` defaults to 60000ms, `store` to a `MemoryStore`.
+ */
+function ChunkCache(options) {
+    options = options || {};
+    this.ttl = typeof options.ttl === 'number' ? options.ttl : 60000;
+    this.store = options.store || new MemoryStore();
+    this.inFlight = {};
+}
+
+/**
+ * Fetch `url` through the cache.
+ * @param {string} url - the cache key.
+ * @param {function} load - `headers -> Promise<Response>`, called when the server must be contacted. `headers` holds any
+ * revalidation headers that must be sent with the request.
+ * @returns {Promise} a promise of a response-like object that can be read with `json()` or `text()`.
+ */
+ChunkCache.prototype.fetch = function (url, load) {
+    var cache = this;
+    if (!cache.inFlight[url]) {
+        var pending = Promise.resolve(cache.store.get(url)).then(function (entry) {
+            if (entry && cache.isFresh(entry))
+                return entry;
+            var headers = {};
+            if (entry && entry.headers.etag)
+                headers['If-None-Match'] = entry.headers.etag;
+            return load(headers).then(function (response) {
+                const HTTP_NOT_MODIFIED = 304;
+                if (response.status === HTTP_NOT_MODIFIED && entry) {
+                    entry.storedAt = Date.now();
+                    return Promise.resolve(cache.store.set(url, entry)).then(function () { return entry; });
+                }
+                return response.text().then(function (body) {
+                    var loaded = createEntry(url, response, body);
+                    if (!response.ok)
+                        return loaded;
+                    return Promise.resolve(cache.store.set(url, loaded)).then(function () { return loaded; });
+                });
+            });
+        });
+        var settle = function () { delete cache.inFlight[url]; };
+        pending.then(settle, settle);
+        cache.inFlight[url] = pending;
+    }
+    return cache.inFlight[url].then(function (entry) { return new CachedResponse(entry); });
+};
+ChunkCache.prototype.isFresh = function (entry) {
+    return Date.now() - entry.storedAt < this.ttl;
+};
+/**
+ * Remove every entry for which `predicate(entry)` returns true. An entry has the shape
+ * `{ url, status, headers, body, storedAt, refs: { ids, names, tags } }` where `refs` lists the chunks in the body.
+ * @param {function} predicate - `entry -> boolean`.
+ * @returns {Promise} resolved once the matching entries have been removed.
+ */
+ChunkCache.prototype.invalidate = function (predicate) {
+    var store = this.store;
+    return Promise.resolve(store.keys()).then(function (keys) {
+        return Promise.all(keys.map(function (key) {
+            return Promise.resolve(store.get(key)).then(function (entry) {
+                if (entry && predicate(entry))
+                    return store.remove(key);
+            });
+        }));
+    });
+};
+/**
+ * Remove every entry.
+ * @returns {Promise} resolved once the store is empty.
+ */
+ChunkCache.prototype.clear = function () {
+    return this.invalidate(function () { return true; });
+};
+
+function createEntry(url, response, body) {
+    return {
+        url: url,
+        status: response.status,
+        headers: {
+            etag: response.headers.get('ETag'),
+            'content-type': response.headers.get('Content-Type')
+        },
+        body: body,
+        storedAt: Date.now(),
+        refs: chunkReferences(body)
+    };
+}
+
+// Record which chunks a response body contains so that writes can invalidate it.
+function chunkReferences(body) {
+    var refs = { ids: [], names: [], tags: [] };
+    var data;
+    try {
+        data = JSON.parse(body);
+    } catch (e) {
+        return refs;
+    }
+    if (!Array.isArray(data))
+        return refs;
+    data.forEach(function (item) {
+        if (!item || typeof item !== 'object')
+            return;
+        if (item.id !== undefined)
+            refs.ids.push(item.id);
+        if (item.name !== undefined)
+            refs.names.push(item.name);
+        (item.tags || []).forEach(function (tag) {
+            if (refs.tags.indexOf(tag) === -1)
+                refs.tags.push(tag);
+        });
+    });
+    return refs;
+}
+
+// A read-once response built from a cache entry, so that every caller sharing an entry gets its own body.
+function CachedResponse(entry) {
+    this.url = entry.url;
+    this.status = entry.status;
+    this.ok = entry.status >= 200 && entry.status < 300;
+    this.body = entry.body;
+    this.headers = {
+        get: function (name) {
+            var value = entry.headers[name.toLowerCase()];
+            return value === undefined ? null : value;
+        }
+    };
+}
+CachedResponse.prototype.text = function () {
+    return Promise.resolve(this.body);
+};
+CachedResponse.prototype.json = function () {
+    var body = this.body;
+    return new Promise(function (resolve) { resolve(JSON.parse(body)); });
+};
+CachedResponse.prototype.clone = function () {
+    return new CachedResponse({ url: this.url, status: this.status, headers: { etag: this.headers.get('etag'), 'content-type': this.headers.get('content-type') }, body: this.body });
+};
+
+module.exports = {
+    ChunkCache: ChunkCache,
+    MemoryStore: MemoryStore,
+    WebStorageStore: WebStorageStore
+};
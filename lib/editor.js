@@ -0,0 +1,329 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+var errors = require('./errors');
+
+/**
+ * Inline editing of bound chunks.
+ * @module Editor
+ */
+
+var OVERLAY_ATTRIBUTE = 'data-blackstar-overlay';
+
+/**
+ * Edits bound chunks in place. While edit mode is on, clicking an element with a `data-blackstar-id` makes it editable,
+ * with save and cancel controls next to it. Escape cancels and Ctrl+Enter saves.
+ *
+ * Saving renders the new html into every element bound to the chunk straight away and sends it with `client.update`.
+ * Before that the chunk is fetched again: if it changed on the server since it was loaded the save is refused with a
+ * `ConflictError` and the element stays in edit mode, so that the edit can be kept with `save(id, { force: true })` or
+ * dropped with `cancel(id)`. If the update fails the elements are rolled back to the html they had before the edit.
+ * Leaving the page while an edit is unsaved asks for confirmation.
+ * @constructor
+ * @param {Client} client
+ * @param {object} [options] - `{ editor: function, onSave: function, onError: function }`. `editor(element, chunk)`
+ * replaces the default `contenteditable` editing: it returns `{ html: function, destroy: function }`, where `html()`
+ * returns the edited html. `onSave(chunk)` is called after each save and `onError(error, chunk)` after each failed one.
+ */
+function InlineEditor(client, options) {
+    options = options || {};
+    this.client = client;
+    this.createEditor = options.editor || contentEditable;
+    this.onSave = options.onSave || function () { };
+    this.onError = options.onError || function () { };
+    this.chunks = {};
+    this.sessions = {};
+    this.enabled = false;
+    this.listeners = null;
+}
+
+/**
+ * Record the version of chunks as they were loaded, to detect conflicting changes when they are saved. Called by `bind`.
+ * @param {Array} chunks
+ */
+InlineEditor.prototype.remember = function (chunks) {
+    var editor = this;
+    Array.prototype.forEach.call(chunks, function (chunk) {
+        if (!editor.sessions[chunk.id])
+            editor.chunks[chunk.id] = chunk;
+    });
+};
+
+/**
+ * Turn edit mode on or off. Turning it off cancels unsaved edits.
+ * @param {boolean} [enabled] - omit to toggle.
+ * @returns {boolean} whether edit mode is now on.
+ */
+InlineEditor.prototype.toggle = function (enabled) {
+    enabled = enabled === undefined ? !this.enabled : !!enabled;
+    if (enabled && !this.enabled)
+        this.listen();
+    else if (!enabled && this.enabled)
+        this.stop();
+    this.enabled = enabled;
+    return enabled;
+};
+
+InlineEditor.prototype.listen = function () {
+    var editor = this;
+    editor.listeners = {
+        click: function (event) {
+            var target = event.target;
+            if (!target.closest || target.closest('[' + OVERLAY_ATTRIBUTE + ']'))
+                return;
+            var el = target.closest('[data-blackstar-id]');
+            if (!el || el.hasAttribute('data-blackstar-field') || editor.sessions[el.getAttribute('data-blackstar-id')])
+                return;
+            event.preventDefault();
+            editor.edit(el).then(null, function () { });
+        },
+        beforeunload: function (event) {
+            if (!editor.isDirty())
+                return;
+            event.preventDefault();
+            event.returnValue = '';
+            return '';
+        }
+    };
+    document.addEventListener('click', editor.listeners.click, true);
+    window.addEventListener('beforeunload', editor.listeners.beforeunload);
+};
+
+InlineEditor.prototype.stop = function () {
+    var editor = this;
+    Object.keys(editor.sessions).forEach(function (id) { editor.cancel(id); });
+    document.removeEventListener('click', editor.listeners.click, true);
+    window.removeEventListener('beforeunload', editor.listeners.beforeunload);
+    editor.listeners = null;
+};
+
+/**
+ * @returns {boolean} true if an edit has not been saved yet.
+ */
+InlineEditor.prototype.isDirty = function () {
+    var sessions = this.sessions;
+    return Object.keys(sessions).some(function (id) { return sessions[id].dirty(); });
+};
+
+/**
+ * Start editing an element bound to a chunk. Chunks that were not bound with `bind` are fetched first. Chunks whose type
+ * cannot be edited in place, such as Markdown or image chunks, are left alone.
+ * @param {Element} el - an element with a `data-blackstar-id`.
+ * @returns {Promise} a promise that resolves once the element is editable. Rejects with a `ValidationError`, also passed
+ * to `onError`, if the chunk has html that is removed by sanitising: saving the element would delete it from the chunk.
+ */
+InlineEditor.prototype.edit = function (el) {
+    var editor = this;
+    var id = el.getAttribute('data-blackstar-id');
+    var loaded = editor.chunks[id]
+        ? Promise.resolve(editor.chunks[id])
+        : editor.client.get({ ids: [id] }).then(function (chunks) {
+            return chunks.filter(function (chunk) { return String(chunk.id) === id; })[0];
+        });
+    return loaded.then(function (chunk) {
+        if (!chunk)
+            throw new errors.NotFoundError('Chunk ' + id + ' does not exist');
+        // e.g. Markdown and image chunks, whose html is rendered from their value
+        if (editor.sessions[id] || !editor.client.types.editsInline(chunk))
+            return;
+        if (!editor.survivesSanitising(chunk)) {
+            var error = new errors.ValidationError('Chunk ' + id + ' has html that is removed when it is displayed and cannot be edited in place');
+            editor.onError(error, chunk);
+            throw error;
+        }
+        editor.chunks[id] = chunk;
+        editor.sessions[id] = editor.open(el, chunk);
+    });
+};
+
+InlineEditor.prototype.open = function (el, chunk) {
+    var editor = this;
+    var id = String(chunk.id);
+    var editLinks = removeOverlayChildren(el);
+    var original = el.innerHTML;
+    var controls = document.createElement('div');
+    controls.setAttribute(OVERLAY_ATTRIBUTE, 'edit-controls');
+    controls.setAttribute('role', 'group');
+    controls.setAttribute('aria-label', 'Edit chunk ' + (chunk.name || id));
+    controls.className = 'blackstar-edit-controls';
+    controls.appendChild(button('Save', function () { editor.save(id).then(null, function () { }); }));
+    controls.appendChild(button('Cancel', function () { editor.cancel(id); }));
+    el.parentNode.insertBefore(controls, el.nextSibling);
+    var session = {
+        element: el,
+        original: original,
+        controls: controls,
+        editLinks: editLinks,
+        content: editor.createEditor(el, chunk),
+        dirty: function () { return session.content.html() !== original; },
+        keydown: function (event) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                editor.cancel(id);
+            } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                event.preventDefault();
+                editor.save(id).then(null, function () { });
+            }
+        }
+    };
+    el.addEventListener('keydown', session.keydown);
+    if (el.focus)
+        el.focus();
+    return session;
+};
+
+InlineEditor.prototype.close = function (id, html) {
+    var session = this.sessions[id];
+    delete this.sessions[id];
+    session.content.destroy();
+    session.element.removeEventListener('keydown', session.keydown);
+    if (session.controls.parentNode)
+        session.controls.parentNode.removeChild(session.controls);
+    if (html !== undefined)
+        session.element.innerHTML = this.client.trustedHtml(html);
+    session.editLinks.forEach(function (link) { session.element.appendChild(link); });
+    return session;
+};
+
+/**
+ * Stop editing a chunk and restore the html it had before the edit.
+ * @param {number|string} id - the chunk id.
+ */
+InlineEditor.prototype.cancel = function (id) {
+    if (this.sessions[id])
+        this.close(id, this.sessions[id].original);
+};
+
+/**
+ * Save the edited html of a chunk with `client.update`.
+ * @param {number|string} id - the chunk id.
+ * @param {object} [options] - `{ force: boolean }`. With `force` the chunk is saved even if it changed on the server.
+ * @returns {Promise} a promise of the saved chunk. Rejects with a `ConflictError` if the chunk changed on the server,
+ * and with the error raised by `update` if the save failed.
+ */
+InlineEditor.prototype.save = function (id, options) {
+    var editor = this;
+    var session = editor.sessions[id];
+    if (!session)
+        return Promise.reject(new errors.BlackstarError('Chunk ' + id + ' is not being edited'));
+    if (session.saving)
+        return session.saving;
+    var loaded = editor.chunks[id];
+    var saved = Object.assign({}, loaded, { html: session.content.html() });
+    var check = options && options.force ? Promise.resolve() : editor.checkConflict(loaded);
+    session.saving = check.then(function () {
+        editor.close(id);
+        var previous = render(id, editor.client.trustedHtml(saved.html));
+        return editor.client.update(saved).then(function () {
+            editor.chunks[id] = saved;
+            editor.onSave(saved);
+            return saved;
+        }, function (error) {
+            previous.forEach(function (state) {
+                replaceContent(state.element, editor.client.trustedHtml(state.element === session.element ? session.original : state.html));
+            });
+            throw error;
+        });
+    }).then(null, function (error) {
+        session.saving = null;
+        editor.onError(error, saved);
+        throw error;
+    });
+    return session.saving;
+};
+
+// Whether the chunk's html is displayed as stored, so that the edited element can be saved without losing anything.
+// Both versions are parsed into inert templates so that differences in serialisation are ignored.
+InlineEditor.prototype.survivesSanitising = function (chunk) {
+    var client = this.client;
+    if (client.options.sanitize === false)
+        return true;
+    function parsed(html) {
+        var template = document.createElement('template');
+        template.innerHTML = html;
+        return template.innerHTML;
+    }
+    return parsed(client.trustedHtml(chunk.html || '')) === parsed(client.trustedHtml(chunk.html || '', false));
+};
+
+// Fetch the chunk again, bypassing the cache, and reject with a ConflictError if it differs from the loaded version.
+InlineEditor.prototype.checkConflict = function (loaded) {
+    var client = this.client;
+    var url = client.requestToUrl({ ids: [loaded.id] });
+    return client.blackstarFetch(url, { cache: 'no-store' })
+        .then(function (response) { return response.json(); })
+        .then(function (data) {
+            var current = (Array.isArray(data) ? data : [data]).filter(function (chunk) {
+                return chunk && String(chunk.id) === String(loaded.id);
+            })[0];
+            if (!current || !sameChunk(loaded, current)) {
+                var error = new errors.ConflictError('Chunk ' + loaded.id + ' changed on the server since it was loaded', { url: url });
+                error.current = current || null;
+                throw error;
+            }
+        });
+};
+
+/**
+ * Cancel every edit and stop listening for clicks.
+ */
+InlineEditor.prototype.destroy = function () {
+    this.toggle(false);
+};
+
+// Optimistically render html into every element bound to the chunk, returning what is needed to roll back.
+function render(id, html) {
+    var els = document.querySelectorAll('[data-blackstar-id="' + id + '"]');
+    return Array.prototype.map.call(els, function (el) {
+        return { element: el, html: replaceContent(el, html) };
+    });
+}
+
+// Replace the content of an element, keeping the overlay's edit link. Returns the previous content.
+function replaceContent(el, html) {
+    var editLinks = removeOverlayChildren(el);
+    var previous = el.innerHTML;
+    el.innerHTML = html;
+    editLinks.forEach(function (link) { el.appendChild(link); });
+    return previous;
+}
+
+// Compare the fields of the loaded chunk that an edit could overwrite.
+function sameChunk(loaded, current) {
+    return ['name', 'html', 'value', 'tags'].every(function (field) {
+        return !(field in loaded) || JSON.stringify(loaded[field]) === JSON.stringify(current[field]);
+    });
+}
+
+function removeOverlayChildren(el) {
+    return Array.prototype.filter.call(el.children, function (child) {
+        return child.hasAttribute(OVERLAY_ATTRIBUTE);
+    }).map(function (child) {
+        el.removeChild(child);
+        return child;
+    });
+}
+
+function button(label, onClick) {
+    var el = document.createElement('button');
+    el.setAttribute('type', 'button');
+    el.textContent = label;
+    el.addEventListener('click', onClick);
+    return el;
+}
+
+function contentEditable(el) {
+    el.setAttribute('contenteditable', 'true');
+    el.setAttribute('aria-multiline', 'true');
+    return {
+        html: function () { return el.innerHTML; },
+        destroy: function () {
+            el.removeAttribute('contenteditable');
+            el.removeAttribute('aria-multiline');
+        }
+    };
+}
+
+module.exports = {
+    InlineEditor: InlineEditor
+};
@@ -0,0 +1,124 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+
+/**
+ * Reports uncaught page errors and unhandled promise rejections to the Blackstar server.
+ * @constructor
+ * @param {Client} client - the client used to send reports.
+ * @param {object} [options] - `{ endpoint: string, sampleRate: number, maxPerMinute: number, dedupeWindow: number, unhandledRejections: boolean, beforeSend: report -> report }`.
+ * `endpoint` is resolved against the server url and defaults to `api/throw`. `sampleRate` is the fraction of errors
+ * reported (default 1). At most `maxPerMinute` reports (default 10) are sent per minute, and an error identical to one
+ * reported in the last `dedupeWindow` milliseconds (default 60000) is not reported again. `unhandledRejections`
+ * (default true) also reports unhandled promise rejections. `beforeSend` may modify a report, e.g. to scrub
+ * personal data, or return a falsy value to drop it.
+ */
+function ErrorReporter(client, options) {
+    options = options || {};
+    this.client = client;
+    this.endpoint = /^[a-z][a-z0-9+.-]*:\/\//i.test(options.endpoint || '')
+        ? options.endpoint
+        : client.serverUrl + (options.endpoint || 'api/throw').replace(/^\//, '');
+    this.sampleRate = typeof options.sampleRate === 'number' ? options.sampleRate : 1;
+    this.maxPerMinute = typeof options.maxPerMinute === 'number' ? options.maxPerMinute : 10;
+    this.dedupeWindow = typeof options.dedupeWindow === 'number' ? options.dedupeWindow : 60000;
+    this.unhandledRejections = options.unhandledRejections !== false;
+    this.beforeSend = options.beforeSend || function (report) { return report; };
+    this.sent = [];
+    this.recent = {};
+    this.target = null;
+    this.previousOnError = null;
+    this.onError = null;
+    this.onRejection = null;
+}
+
+/**
+ * Start listening for errors. Any existing `onerror` handler is kept and still called.
+ * @param {Window} target - the window to listen on.
+ */
+ErrorReporter.prototype.install = function (target) {
+    var reporter = this;
+    if (reporter.target)
+        return;
+    reporter.target = target;
+    reporter.previousOnError = target.onerror;
+    reporter.onError = function (message, file, line, col, error) {
+        reporter.report({ message: String(message), file: file, line: line, col: col, stack: error && error.stack });
+        if (typeof reporter.previousOnError === 'function')
+            return reporter.previousOnError.apply(this, arguments);
+        return false;
+    };
+    target.onerror = reporter.onError;
+    if (reporter.unhandledRejections && typeof target.addEventListener === 'function') {
+        reporter.onRejection = function (event) {
+            var reason = event.reason;
+            reporter.report({
+                message: 'Unhandled rejection: ' + (reason && reason.message ? reason.message : String(reason)),
+                stack: reason && reason.stack
+            });
+        };
+        target.addEventListener('unhandledrejection', reporter.onRejection);
+    }
+};
+
+/**
+ * Stop listening for errors and restore the previous `onerror` handler, unless another handler has replaced ours since.
+ */
+ErrorReporter.prototype.uninstall = function () {
+    var target = this.target;
+    if (!target)
+        return;
+    if (target.onerror === this.onError)
+        target.onerror = this.previousOnError;
+    if (this.onRejection && typeof target.removeEventListener === 'function')
+        target.removeEventListener('unhandledrejection', this.onRejection);
+    this.target = null;
+    this.onError = null;
+    this.onRejection = null;
+};
+
+/**
+ * Send a report, subject to sampling, rate limiting, de-duplication and `beforeSend`. Never rejects: failing to report
+ * an error must not cause another one.
+ * @param {object} report - `{ message, file, line, col, stack }`.
+ * @returns {Promise} a promise resolved with `true` if the report was sent.
+ */
+ErrorReporter.prototype.report = function (report) {
+    var now = Date.now();
+    var key = [report.message, report.file, report.line, report.col].join('|');
+    var recent = this.recent;
+    var dedupeWindow = this.dedupeWindow;
+    Object.keys(recent).forEach(function (reported) {
+        if (now - recent[reported] >= dedupeWindow)
+            delete recent[reported];
+    });
+    if (recent[key])
+        return Promise.resolve(false);
+    if (Math.random() >= this.sampleRate)
+        return Promise.resolve(false);
+    this.sent = this.sent.filter(function (time) { return now - time < 60000; });
+    if (this.sent.length >= this.maxPerMinute)
+        return Promise.resolve(false);
+    report.context = typeof navigator !== 'undefined' ? navigator.userAgent : undefined;
+    var scrubbed;
+    try {
+        scrubbed = this.beforeSend(report);
+    } catch (e) {
+        return Promise.resolve(false);
+    }
+    if (!scrubbed)
+        return Promise.resolve(false);
+    this.recent[key] = now;
+    this.sent.push(now);
+    return this.client.blackstarFetch(this.endpoint, {
+        method: 'POST',
+        body: JSON.stringify(scrubbed),
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    }).then(function () { return true; }, function () { return false; });
+};
+
+module.exports = {
+    ErrorReporter: ErrorReporter
+};
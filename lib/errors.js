@@ -0,0 +1,110 @@
+"use strict";
+
+/**
+ * Errors raised by the client. Every error carries the `url` of the failed request and, when the server responded, its
+ * HTTP `status`, the `serverMessage` it sent and the raw `response`.
+ * @module Errors
+ */
+
+/**
+ * Base class of every error raised by the client. Used as is for HTTP errors without a more specific class.
+ * @constructor
+ * @param {string} message - a description of the failure.
+ * @param {object} [details] - `{ status: number, url: string, serverMessage: string, response: Response, cause: Error }`.
+ */
+function BlackstarError(message, details) {
+    details = details || {};
+    this.name = 'BlackstarError';
+    this.message = message;
+    this.status = details.status;
+    this.url = details.url;
+    this.serverMessage = details.serverMessage;
+    this.response = details.response;
+    this.cause = details.cause;
+    if (Error.captureStackTrace)
+        Error.captureStackTrace(this, this.constructor);
+    else
+        this.stack = new Error(message).stack;
+}
+BlackstarError.prototype = Object.create(Error.prototype);
+BlackstarError.prototype.constructor = BlackstarError;
+
+function defineError(name, Parent) {
+    Parent = Parent || BlackstarError;
+    var ErrorClass = function (message, details) {
+        Parent.call(this, message, details);
+        this.name = name;
+    };
+    ErrorClass.prototype = Object.create(Parent.prototype);
+    ErrorClass.prototype.constructor = ErrorClass;
+    return ErrorClass;
+}
+
+/** The requested resource does not exist (HTTP 404). */
+var NotFoundError = defineError('NotFoundError');
+/** The server rejected the request content (HTTP 400, 409 or 422). */
+var ValidationError = defineError('ValidationError');
+/**
+ * The chunk changed on the server since it was loaded (HTTP 409, or detected by the client before saving). A
+ * `ValidationError`; `current` holds the server's version of the chunk when it is known.
+ */
+var ConflictError = defineError('ConflictError', ValidationError);
+/** The request was not authenticated or not authorised (HTTP 401 or 403). */
+var AuthError = defineError('AuthError');
+/** The server could not be reached. `cause` holds the error raised by `fetch`. */
+var NetworkError = defineError('NetworkError');
+/** The server did not respond within the configured timeout. */
+var TimeoutError = defineError('TimeoutError');
+/** The operation was cancelled by the caller, e.g. with `upload.cancel()`. */
+var CancelledError = defineError('CancelledError');
+
+var errorsByStatus = {
+    400: ValidationError,
+    401: AuthError,
+    403: AuthError,
+    404: NotFoundError,
+    409: ConflictError,
+    422: ValidationError
+};
+
+/**
+ * Build the error describing a failed response. The response body is read to extract the server's message.
+ * @param {Response} response - a response with a 4xx or 5xx status.
+ * @param {string} url - the requested url.
+ * @returns {Promise} a promise of a `BlackstarError` (or subclass) instance.
+ */
+function errorForResponse(response, url) {
+    var ErrorClass = errorsByStatus[response.status] || BlackstarError;
+    return response.text()
+        .then(serverMessage, function () { return ''; })
+        .then(function (message) {
+            return new ErrorClass('Request to ' + url + ' failed with HTTP ' + response.status + (message ? ': ' + message : ''), {
+                status: response.status,
+                url: url,
+                serverMessage: message,
+                response: response
+            });
+        });
+}
+
+// The server replies with either plain text or a JSON object containing a message.
+function serverMessage(body) {
+    try {
+        var data = JSON.parse(body);
+        if (data && typeof data === 'object')
+            return data.message || data.error || body;
+    } catch (e) { }
+    return body;
+}
+
+module.exports = {
+    BlackstarError: BlackstarError,
+    NotFoundError: NotFoundError,
+    ValidationError: ValidationError,
+    ConflictError: ConflictError,
+    AuthError: AuthError,
+    NetworkError: NetworkError,
+    TimeoutError: TimeoutError,
+    CancelledError: CancelledError,
+    errorForResponse: errorForResponse
+};
@@ -0,0 +1,137 @@
+"use strict";
+
+/**
+ * A small HTML tokenizer for working with markup outside the browser. It is not a validating parser: it splits markup
+ * into text, comments, start tags and end tags, which is enough to locate and rewrite elements.
+ * @module Html
+ */
+
+var VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+var RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+var TAG = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][^\s\/>]*)((?:\s*[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?|\s*\/(?!>))*)\s*(\/?)>/g;
+var ATTRIBUTE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Split markup into tokens. Each token has a `type` (`text`, `comment`, `start` or `end`) and the `raw` markup it was
+ * read from. Tags also have a lower case `name`; start tags have `attributes`, an array of `{ name, value }` with
+ * entities in values left undecoded, and `selfClosing`. The contents of raw text elements such as `script` are a single
+ * text token.
+ * @param {string} html
+ * @returns {Array} the tokens, in document order.
+ */
+function tokenize(html) {
+    var tokens = [];
+    var position = 0;
+    var match;
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(html)) !== null) {
+        if (match.index > position)
+            tokens.push({ type: 'text', raw: html.slice(position, match.index) });
+        position = TAG.lastIndex;
+        if (match[2] === undefined) {
+            tokens.push({ type: 'comment', raw: match[0] });
+            continue;
+        }
+        var name = match[2].toLowerCase();
+        if (match[1]) {
+            tokens.push({ type: 'end', raw: match[0], name: name });
+            continue;
+        }
+        tokens.push({
+            type: 'start',
+            raw: match[0],
+            name: name,
+            attributes: parseAttributes(match[3]),
+            selfClosing: !!match[4] || VOID_ELEMENTS.indexOf(name) !== -1
+        });
+        if (RAW_TEXT_ELEMENTS.indexOf(name) !== -1) {
+            var close = html.toLowerCase().indexOf('</' + name, position);
+            close = close === -1 ? html.length : close;
+            if (close > position)
+                tokens.push({ type: 'text', raw: html.slice(position, close) });
+            position = close;
+            TAG.lastIndex = close;
+        }
+    }
+    if (position < html.length)
+        tokens.push({ type: 'text', raw: html.slice(position) });
+    return tokens;
+}
+
+function parseAttributes(source) {
+    var attributes = [];
+    var match;
+    ATTRIBUTE.lastIndex = 0;
+    while ((match = ATTRIBUTE.exec(source || '')) !== null) {
+        var value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes.push({ name: match[1].toLowerCase(), value: value === undefined ? '' : value });
+    }
+    return attributes;
+}
+
+/**
+ * The value of a start tag's attribute.
+ * @param {object} token - a start tag token.
+ * @param {string} name - the lower case attribute name.
+ * @returns {string|null} the raw attribute value, or `null` if the attribute is absent.
+ */
+function attribute(token, name) {
+    for (var i = 0; i < token.attributes.length; i++) {
+        if (token.attributes[i].name === name)
+            return token.attributes[i].value;
+    }
+    return null;
+}
+
+/**
+ * Serialise a start tag.
+ * @param {string} name - the tag name.
+ * @param {Array} attributes - an array of `{ name, value }`. Values are escaped.
+ * @param {boolean} [selfClosing] - write `/>` rather than `>`.
+ * @returns {string} the start tag markup.
+ */
+function startTag(name, attributes, selfClosing) {
+    return '<' + name + attributes.map(function (attr) {
+        return ' ' + attr.name + '="' + escapeAttribute(attr.value) + '"';
+    }).join('') + (selfClosing ? ' />' : '>');
+}
+
+/**
+ * Find the index of the end tag closing the start tag at `index`, allowing for nested elements of the same name.
+ * @param {Array} tokens
+ * @param {number} index - the index of a start tag token.
+ * @returns {number} the index of the matching end tag, or `tokens.length` if the element is never closed.
+ */
+function matchingEnd(tokens, index) {
+    var name = tokens[index].name;
+    var depth = 0;
+    for (var i = index + 1; i < tokens.length; i++) {
+        var token = tokens[i];
+        if (token.name !== name)
+            continue;
+        if (token.type === 'start' && !token.selfClosing)
+            depth++;
+        else if (token.type === 'end' && depth-- === 0)
+            return i;
+    }
+    return tokens.length;
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&(?![a-zA-Z][a-zA-Z0-9]*;|#[0-9]+;|#x[0-9a-fA-F]+;)/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeText(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+module.exports = {
+    tokenize: tokenize,
+    attribute: attribute,
+    startTag: startTag,
+    matchingEnd: matchingEnd,
+    escapeAttribute: escapeAttribute,
+    escapeText: escapeText,
+    VOID_ELEMENTS: VOID_ELEMENTS
+};
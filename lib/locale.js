@@ -0,0 +1,125 @@
+"use strict";
+
+/**
+ * Locale-aware resolution of chunk variants.
+ * @module Locale
+ */
+
+/**
+ * Picks the variant of each chunk for a locale. Variants of a chunk share its name and are told apart by a locale tag,
+ * by default the locale code itself (`fr-CA`, `fr`, `en`); `tags` maps locale codes to other tags, e.g.
+ * `{ en: 'english' }`. A chunk without a locale tag is used for every locale when no variant matches.
+ *
+ * The fallback chain of a locale is the locale, then the locale with its subtags removed one by one, then the
+ * `fallbacks` configured for it (or for `*`), e.g. `fr-CA` → `fr` → `en` with `fallbacks: { '*': ['en'] }`.
+ * @constructor
+ * @param {string} locale - the current locale.
+ * @param {object} [options] - `{ fallbacks: object|string[], tags: object, locales: string[] }`. `fallbacks` maps a
+ * locale (or `*` for every locale) to the locales tried after it; an array applies to every locale. `locales` lists every
+ * locale content is written in, so that variants for locales outside the chain are never chosen; it defaults to the
+ * locales mentioned in `fallbacks` and `tags`, and grows with every locale used.
+ */
+function LocaleResolver(locale, options) {
+    options = options || {};
+    this.fallbacks = Array.isArray(options.fallbacks) ? { '*': options.fallbacks } : options.fallbacks || {};
+    this.tags = options.tags || {};
+    this.locales = (options.locales || knownLocales(this.fallbacks, this.tags)).slice();
+    this.setLocale(locale);
+}
+
+/**
+ * Change the current locale.
+ * @param {string} locale
+ */
+LocaleResolver.prototype.setLocale = function (locale) {
+    var locales = this.locales;
+    this.locale = locale;
+    this.chain = this.chainFor(locale);
+    // variants for locales used before are never chosen for another locale
+    this.chain.forEach(function (code) {
+        if (locales.indexOf(code) === -1)
+            locales.push(code);
+    });
+};
+
+/**
+ * The locales tried, in order, when resolving chunks for `locale`.
+ * @param {string} locale
+ * @returns {Array} locale codes.
+ */
+LocaleResolver.prototype.chainFor = function (locale) {
+    var chain = [];
+    function add(code) {
+        if (code && chain.indexOf(code) === -1)
+            chain.push(code);
+    }
+    var subtags = String(locale).split('-');
+    for (var i = subtags.length; i > 0; i--)
+        add(subtags.slice(0, i).join('-'));
+    (this.fallbacks[locale] || this.fallbacks[subtags[0]] || []).concat(this.fallbacks['*'] || []).forEach(add);
+    return chain;
+};
+
+/**
+ * @param {string} locale
+ * @returns {string} the tag marking chunks written for `locale`.
+ */
+LocaleResolver.prototype.tagFor = function (locale) {
+    return Object.prototype.hasOwnProperty.call(this.tags, locale) ? this.tags[locale] : locale;
+};
+
+// How well a chunk suits the current locale: its position in the chain, the chain length for chunks without a locale
+// tag, or -1 for a variant in another locale.
+LocaleResolver.prototype.rank = function (chunk) {
+    var resolver = this;
+    var tags = chunk.tags || [];
+    for (var i = 0; i < resolver.chain.length; i++) {
+        if (tags.indexOf(resolver.tagFor(resolver.chain[i])) !== -1)
+            return i;
+    }
+    var localeTags = resolver.locales.map(function (locale) { return resolver.tagFor(locale); });
+    return tags.some(function (tag) { return localeTags.indexOf(tag) !== -1; }) ? -1 : resolver.chain.length;
+};
+
+/**
+ * Keep the best variant of each chunk name for the current locale.
+ * @param {Array} chunks
+ * @returns {Array} the chosen chunks, in the order their names first appear.
+ */
+LocaleResolver.prototype.resolve = function (chunks) {
+    var resolver = this;
+    var best = {};
+    var names = [];
+    Array.prototype.forEach.call(chunks, function (chunk) {
+        var rank = resolver.rank(chunk);
+        if (rank === -1)
+            return;
+        if (names.indexOf(chunk.name) === -1)
+            names.push(chunk.name);
+        if (!best[chunk.name] || rank < best[chunk.name].rank)
+            best[chunk.name] = { chunk: chunk, rank: rank };
+    });
+    return names.map(function (name) { return best[name].chunk; });
+};
+
+/**
+ * The best variant of the chunk named `name`.
+ * @param {Array} chunks
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+LocaleResolver.prototype.find = function (chunks, name) {
+    return this.resolve(Array.prototype.filter.call(chunks, function (chunk) { return chunk.name === name; }))[0];
+};
+
+function knownLocales(fallbacks, tags) {
+    var locales = Object.keys(tags);
+    Object.keys(fallbacks).forEach(function (locale) {
+        locales = locales.concat(locale === '*' ? [] : [locale], fallbacks[locale]);
+    });
+    return locales;
+}
+
+module.exports = {
+    LocaleResolver: LocaleResolver
+};
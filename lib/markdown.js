@@ -0,0 +1,142 @@
+"use strict";
+
+var html = require('./html');
+var sanitize = require('./sanitize');
+
+/**
+ * A small Markdown renderer for Markdown chunks.
+ * @module Markdown
+ */
+
+var FENCE = /^\s*(```|~~~)\s*([\w-]*)\s*$/;
+var HEADING = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/;
+var RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+var QUOTE = /^\s*>\s?(.*)$/;
+var BULLET = /^\s*[-*+]\s+(.*)$/;
+var NUMBERED = /^\s*(\d+)[.)]\s+(.*)$/;
+
+/**
+ * Render Markdown to HTML. Supports headings, paragraphs, emphasis, code spans and fenced code blocks, links, images,
+ * bulleted and numbered lists, block quotes, horizontal rules and hard line breaks. Raw HTML is escaped and links and
+ * images with unsafe URLs, such as `javascript:`, are rendered as text.
+ * @example
+ * renderMarkdown('# Hello\n\nSome *emphasis* and a [link](https://example.com).');
+ * // '<h1>Hello</h1>\n<p>Some <em>emphasis</em> and a <a href="https://example.com">link</a>.</p>'
+ * @param {string} source
+ * @returns {string} the HTML.
+ */
+function renderMarkdown(source) {
+    return blocks(String(source || '').replace(/\r\n?/g, '\n').split('\n')).join('\n');
+}
+
+function blocks(lines) {
+    var output = [];
+    var i = 0;
+    while (i < lines.length) {
+        var line = lines[i];
+        var match;
+        if (!line.trim()) {
+            i++;
+        } else if ((match = FENCE.exec(line))) {
+            var code = [];
+            for (i++; i < lines.length && lines[i].trim() !== match[1]; i++)
+                code.push(lines[i]);
+            i++;
+            output.push('<pre><code' + (match[2] ? ' class="language-' + html.escapeAttribute(match[2]) + '"' : '') + '>' +
+                html.escapeText(code.join('\n')) + '</code></pre>');
+        } else if ((match = HEADING.exec(line))) {
+            output.push('<h' + match[1].length + '>' + inline(match[2]) + '</h' + match[1].length + '>');
+            i++;
+        } else if (RULE.test(line)) {
+            output.push('<hr>');
+            i++;
+        } else if (QUOTE.test(line)) {
+            var quoted = [];
+            for (; i < lines.length && (match = QUOTE.exec(lines[i])); i++)
+                quoted.push(match[1]);
+            output.push('<blockquote>\n' + blocks(quoted).join('\n') + '\n</blockquote>');
+        } else if (BULLET.test(line) || NUMBERED.test(line)) {
+            var list = listAt(lines, i);
+            output.push(list.html);
+            i = list.end;
+        } else {
+            var paragraph = [];
+            for (; i < lines.length && lines[i].trim() && !startsBlock(lines[i]); i++)
+                paragraph.push(lines[i]);
+            output.push('<p>' + paragraph.map(function (text, index) {
+                var last = index === paragraph.length - 1;
+                var hardBreak = !last && /( {2,}|\\)$/.test(text);
+                return inline(hardBreak ? text.replace(/( {2,}|\\)$/, '') : text.trim()) + (hardBreak ? '<br>' : '');
+            }).join('\n') + '</p>');
+        }
+    }
+    return output;
+}
+
+function startsBlock(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || BULLET.test(line) || NUMBERED.test(line);
+}
+
+// A list starting at lines[start]. Indented lines continue the item before them.
+function listAt(lines, start) {
+    var numbered = !BULLET.test(lines[start]);
+    var pattern = numbered ? NUMBERED : BULLET;
+    var first = NUMBERED.exec(lines[start]);
+    var items = [];
+    var i = start;
+    for (; i < lines.length; i++) {
+        var match = pattern.exec(lines[i]);
+        if (match && !(numbered ? BULLET : NUMBERED).test(lines[i]))
+            items.push(numbered ? match[2] : match[1]);
+        else if (items.length && /^\s+\S/.test(lines[i]) && !startsBlock(lines[i]))
+            items[items.length - 1] += ' ' + lines[i].trim();
+        else
+            break;
+    }
+    var tag = numbered ? 'ol' : 'ul';
+    var startAttribute = numbered && first[1] !== '1' ? ' start="' + parseInt(first[1], 10) + '"' : '';
+    return {
+        html: '<' + tag + startAttribute + '>\n' + items.map(function (item) { return '<li>' + inline(item) + '</li>'; }).join('\n') + '\n</' + tag + '>',
+        end: i
+    };
+}
+
+// Inline markup. Code spans, links and images are set aside first so that emphasis is not found inside them.
+function inline(text) {
+    var saved = [];
+    function save(markup) {
+        saved.push(markup);
+        return '\u0000' + (saved.length - 1) + '\u0000';
+    }
+    text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function (all, ticks, code) {
+        return save('<code>' + html.escapeText(code.trim()) + '</code>');
+    });
+    text = text.replace(/<((?:https?|mailto):[^\s<>]+)>/g, function (all, url) {
+        return save('<a href="' + html.escapeAttribute(url) + '">' + html.escapeText(url) + '</a>');
+    });
+    text = text.replace(/(!?)\[([^\]]*)\]\(\s*([^\s()]+)(?:\s+"([^"]*)")?\s*\)/g, function (all, bang, label, destination, title) {
+        // check the url the browser will read, after character references are decoded, and write back exactly that url
+        var url = sanitize.decodeEntities(destination);
+        if (!sanitize.isSafeUrl(url))
+            return all;
+        var attribute = html.escapeAttribute(url.replace(/&/g, '&amp;'));
+        var titleAttribute = title ? ' title="' + html.escapeAttribute(title) + '"' : '';
+        if (bang)
+            return save('<img src="' + attribute + '" alt="' + html.escapeAttribute(label) + '"' + titleAttribute + '>');
+        return save('<a href="' + attribute + '"' + titleAttribute + '>' + emphasis(html.escapeText(label)) + '</a>');
+    });
+    return emphasis(html.escapeText(text)).replace(/\u0000(\d+)\u0000/g, function (all, index) {
+        return saved[index];
+    });
+}
+
+function emphasis(text) {
+    return text
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/\b_(?=\S)([\s\S]*?\S)_\b/g, '<em>$1</em>');
+}
+
+module.exports = {
+    renderMarkdown: renderMarkdown
+};
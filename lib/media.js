@@ -0,0 +1,288 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+var errors = require('./errors');
+
+/**
+ * Media uploads and media results.
+ * @module Media
+ */
+
+/**
+ * Build the url serving the media item with `hash`.
+ * @param {string} serverUrl - the server url, ending in a slash.
+ * @param {string} hash
+ * @returns {string}
+ */
+function mediaUrl(serverUrl, hash) {
+    return serverUrl + 'api/media/' + encodeURIComponent(hash);
+}
+
+/**
+ * Normalise media items returned by the server. Every item keeps the properties sent by the server and gains a `url`.
+ * @param {string} serverUrl
+ * @param {object|Array} data - an item or an array of items.
+ * @returns {Array} the media items.
+ */
+function parseMediaItems(serverUrl, data) {
+    var items = Array.isArray(data) ? data : data ? [data] : [];
+    return items.map(function (item) {
+        var parsed = Object.assign({}, item);
+        parsed.hash = String(item.hash);
+        parsed.url = mediaUrl(serverUrl, parsed.hash);
+        return parsed;
+    });
+}
+
+/**
+ * The form the server expects for `api/media`: fields `<n>file`, `<n>filename` and `<n>type` for the nth file.
+ * @param {Array} files
+ * @returns {FormData}
+ */
+function mediaFormData(files) {
+    var data = new FormData();
+    for (var i = 0; i < files.length; i++) {
+        var file = files[i];
+        data.append(i.toString() + 'file', file);
+        data.append(i.toString() + 'filename', file.name);
+        data.append(i.toString() + 'type', file.type);
+    }
+    return data;
+}
+
+/**
+ * Check files against size and type limits before they are uploaded.
+ * @param {Array} files
+ * @param {object} [options] - `{ maxSize: number, accept: string[] }`. `maxSize` is in bytes. `accept` lists MIME types,
+ * which may end in a wildcard, e.g. `['image/*', 'application/pdf']`.
+ * @throws {ValidationError} listing every file that breaks a limit.
+ */
+function validateFiles(files, options) {
+    options = options || {};
+    var problems = [];
+    Array.prototype.forEach.call(files, function (file) {
+        if (options.maxSize && file.size > options.maxSize)
+            problems.push(file.name + ' is ' + file.size + ' bytes, more than the maximum of ' + options.maxSize);
+        if (options.accept && !options.accept.some(function (type) { return mimeMatches(type, file.type); }))
+            problems.push(file.name + ' has type ' + (file.type || 'unknown') + ', which is not accepted');
+    });
+    if (problems.length > 0)
+        throw new errors.ValidationError(problems.join('; '), { serverMessage: problems.join('; ') });
+}
+
+function mimeMatches(pattern, type) {
+    pattern = pattern.toLowerCase();
+    type = (type || '').toLowerCase();
+    return /\/\*$/.test(pattern) ? type.indexOf(pattern.slice(0, -1)) === 0 : pattern === type;
+}
+
+/**
+ * An upload of one or more files, started by `client.uploadMedia`. Files are uploaded one after the other. Files larger
+ * than `chunkSize` are sent in chunks to the resumable upload endpoint `api/media/uploads`, so that a cancelled or failed
+ * upload can continue where it stopped with `resume()`.
+ *
+ * An upload is a promise of the stored media items, and also emits events:
+ * `progress` with `{ file, index, loaded, total }`, `complete` with `{ file, index, media }` and `error` with the error.
+ * @constructor
+ * @param {Client} client
+ * @param {Array} files - `File` or `Blob` objects; blobs should have a `name`.
+ * @param {object} [options] - `{ maxSize: number, accept: string[], chunkSize: number, onProgress: function }`.
+ * `chunkSize` defaults to 5MB; set it to 0 to never upload in chunks.
+ */
+function Upload(client, files, options) {
+    options = options || {};
+    this.client = client;
+    this.files = Array.prototype.slice.call(files);
+    this.maxSize = options.maxSize;
+    this.accept = options.accept;
+    this.chunkSize = typeof options.chunkSize === 'number' ? options.chunkSize : 5 * 1024 * 1024;
+    this.listeners = { progress: [], complete: [], error: [] };
+    this.results = [];
+    this.sessions = {};
+    this.cancelled = false;
+    this.abort = null;
+    this.promise = null;
+    if (options.onProgress)
+        this.on('progress', options.onProgress);
+}
+
+/**
+ * Listen for `progress`, `complete` or `error` events.
+ * @param {string} event
+ * @param {function} listener
+ * @returns {Upload} this upload.
+ */
+Upload.prototype.on = function (event, listener) {
+    this.listeners[event].push(listener);
+    return this;
+};
+Upload.prototype.emit = function (event, data) {
+    this.listeners[event].forEach(function (listener) { listener(data); });
+};
+Upload.prototype.then = function (onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected);
+};
+Upload.prototype.catch = function (onRejected) {
+    return this.promise.then(null, onRejected);
+};
+
+/**
+ * Start uploading the files that have not been uploaded yet. Called by `client.uploadMedia`.
+ * @returns {Upload} this upload.
+ */
+Upload.prototype.start = function () {
+    var upload = this;
+    upload.cancelled = false;
+    upload.promise = new Promise(function (resolve) {
+        validateFiles(upload.files, { maxSize: upload.maxSize, accept: upload.accept });
+        resolve();
+    }).then(function next() {
+        var index = upload.results.length;
+        if (index === upload.files.length)
+            return upload.results.reduce(function (all, media) { return all.concat(media); }, []);
+        return upload.uploadFile(index).then(function (media) {
+            return upload.client.invalidateMedia().then(function () { return media; });
+        }).then(function (media) {
+            upload.results.push(media);
+            upload.emit('complete', { file: upload.files[index], index: index, media: media });
+            return next();
+        });
+    }).then(null, function (error) {
+        if (upload.cancelled && !(error instanceof errors.CancelledError))
+            error = new errors.CancelledError('Upload cancelled', { cause: error });
+        upload.emit('error', error);
+        throw error;
+    });
+    return upload;
+};
+
+/**
+ * Stop the upload. The upload is rejected with a `CancelledError`.
+ */
+Upload.prototype.cancel = function () {
+    this.cancelled = true;
+    if (this.abort)
+        this.abort();
+};
+
+/**
+ * Continue a cancelled or failed upload. Files already uploaded are skipped and chunked uploads continue from the last
+ * chunk the server received.
+ * @returns {Upload} this upload.
+ */
+Upload.prototype.resume = function () {
+    return this.start();
+};
+
+Upload.prototype.uploadFile = function (index) {
+    var upload = this;
+    var file = upload.files[index];
+    var serverUrl = upload.client.serverUrl;
+    function progress(loaded) {
+        upload.emit('progress', { file: file, index: index, loaded: Math.min(loaded, file.size), total: file.size });
+    }
+    if (upload.chunkSize <= 0 || file.size <= upload.chunkSize) {
+        return upload.send('POST', serverUrl + 'api/media', mediaFormData([file]), file.size, {}, progress)
+            .then(function (data) { return parseMediaItems(serverUrl, data); });
+    }
+    return upload.session(index).then(function (session) {
+        function sendFrom(offset) {
+            var end = Math.min(offset + upload.chunkSize, file.size);
+            return upload.send('PUT', serverUrl + 'api/media/uploads/' + encodeURIComponent(session.id), file.slice(offset, end), end - offset, {
+                'Content-Type': 'application/octet-stream',
+                'Content-Range': 'bytes ' + offset + '-' + (end - 1) + '/' + file.size
+            }, function (loaded) { progress(offset + loaded); }).then(function (data) {
+                session.offset = end;
+                if (end < file.size)
+                    return sendFrom(end);
+                delete upload.sessions[index];
+                return parseMediaItems(serverUrl, data);
+            });
+        }
+        return sendFrom(session.offset);
+    });
+};
+
+// Start a resumable upload session for a file, or ask the server how much of an existing session it has received.
+Upload.prototype.session = function (index) {
+    var upload = this;
+    var file = upload.files[index];
+    var uploadsUrl = upload.client.serverUrl + 'api/media/uploads';
+    var existing = upload.sessions[index];
+    var request = existing
+        ? upload.client.blackstarFetch(uploadsUrl + '/' + encodeURIComponent(existing.id), { cache: 'no-store' })
+        : upload.client.post(uploadsUrl, { filename: file.name, type: file.type, size: file.size });
+    return request
+        .then(function (response) { return response.json(); })
+        .then(function (data) {
+            var session = { id: existing ? existing.id : data.id, offset: data.offset || 0 };
+            upload.sessions[index] = session;
+            return session;
+        });
+};
+
+// Send one request through the client, so that it is retried, refreshes the token and passes through middleware like
+// any other. Uses XMLHttpRequest where available because fetch cannot report upload progress, unless the client has its
+// own `fetch`; otherwise progress is reported once the request completes. `size` is the number of bytes of the file the
+// body holds, reported as sent when the request completes.
+Upload.prototype.send = function (method, url, body, size, headers, progress) {
+    var upload = this;
+    var client = upload.client;
+    if (upload.cancelled)
+        return Promise.reject(new errors.CancelledError('Upload cancelled', { url: url }));
+    var options = { method: method, body: body, headers: headers };
+    if (typeof XMLHttpRequest !== 'undefined' && !client.fetch) {
+        options.fetch = function (url, init) { return xhrFetch(upload, url, init, progress); };
+    } else {
+        var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        upload.abort = function () {
+            if (controller)
+                controller.abort();
+        };
+        options.signal = controller ? controller.signal : undefined;
+    }
+    return client.blackstarFetch(url, options).then(function (response) {
+        progress(size);
+        return response.json();
+    });
+};
+
+// A fetch function over XMLHttpRequest, reporting upload progress.
+function xhrFetch(upload, url, options, progress) {
+    if (upload.cancelled)
+        return Promise.reject(new errors.CancelledError('Upload cancelled', { url: url }));
+    return new Promise(function (resolve, reject) {
+        var xhr = new XMLHttpRequest();
+        xhr.open(options.method || 'GET', url);
+        xhr.withCredentials = options.credentials === 'include';
+        Object.keys(options.headers || {}).forEach(function (name) { xhr.setRequestHeader(name, options.headers[name]); });
+        xhr.upload.onprogress = function (event) { progress(event.loaded); };
+        xhr.onload = function () { resolve(xhrResponse(xhr)); };
+        xhr.onerror = function () { reject(new TypeError('Network request failed')); };
+        xhr.onabort = function () { reject(new errors.CancelledError('Upload cancelled', { url: url })); };
+        if (options.signal)
+            options.signal.addEventListener('abort', function () { xhr.abort(); });
+        upload.abort = function () { xhr.abort(); };
+        xhr.send(options.body === undefined ? null : options.body);
+    });
+}
+
+function xhrResponse(xhr) {
+    return {
+        status: xhr.status,
+        ok: xhr.status >= 200 && xhr.status < 300,
+        headers: { get: function (name) { return xhr.getResponseHeader(name); } },
+        text: function () { return Promise.resolve(xhr.responseText); },
+        json: function () {
+            return new Promise(function (resolve) { resolve(xhr.responseText ? JSON.parse(xhr.responseText) : null); });
+        }
+    };
+}
+
+module.exports = {
+    Upload: Upload,
+    mediaUrl: mediaUrl,
+    mediaFormData: mediaFormData,
+    parseMediaItems: parseMediaItems,
+    validateFiles: validateFiles
+};
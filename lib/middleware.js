@@ -0,0 +1,99 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+
+/**
+ * Request and response middleware of a client.
+ * @module Middleware
+ */
+
+/**
+ * The middleware every request of a client passes through. A middleware is an object with any of three hooks, each of
+ * which may return a promise:
+ *
+ * - `request(request)` is called before the request is sent, with `{ method, url, headers, body, options }`. It may change
+ *   the request in place or return a replacement. `options` holds the other fetch options.
+ * - `response(response, request)` is called with every response, whatever its status, before error statuses are turned
+ *   into errors. It may return a replacement response.
+ * - `error(error, request)` is called when the request fails, e.g. with a `NetworkError` or a `NotFoundError`, or when a
+ *   request hook throws. Returning a response recovers from the error; returning nothing, or throwing, lets the error (or
+ *   the new one) propagate.
+ *
+ * Request hooks run in the order the middleware was added, response and error hooks in the reverse order, so that the
+ * first middleware added sees the request first and the response last.
+ * @constructor
+ * @param {Array} [middleware] - the initial middleware.
+ */
+function Pipeline(middleware) {
+    this.middleware = (middleware || []).slice();
+}
+
+/**
+ * Add a middleware.
+ * @param {object} middleware - `{ request: function, response: function, error: function }`.
+ * @returns {function} a function that removes the middleware.
+ */
+Pipeline.prototype.use = function (middleware) {
+    var pipeline = this;
+    pipeline.middleware.push(middleware);
+    return function () {
+        var index = pipeline.middleware.indexOf(middleware);
+        if (index !== -1)
+            pipeline.middleware.splice(index, 1);
+    };
+};
+
+/**
+ * Run the request hooks.
+ * @param {object} request - `{ method, url, headers, body, options }`.
+ * @returns {Promise} a promise of the request to send.
+ */
+Pipeline.prototype.request = function (request) {
+    return this.hooks('request', false).reduce(function (previous, hook) {
+        return previous.then(function (current) {
+            return Promise.resolve(hook(current)).then(function (replacement) { return replacement || current; });
+        });
+    }, Promise.resolve(request));
+};
+
+/**
+ * Run the response hooks.
+ * @param {Response} response
+ * @param {object} request - the request that was sent.
+ * @returns {Promise} a promise of the response.
+ */
+Pipeline.prototype.response = function (response, request) {
+    return this.hooks('response', true).reduce(function (previous, hook) {
+        return previous.then(function (current) {
+            return Promise.resolve(hook(current, request)).then(function (replacement) { return replacement || current; });
+        });
+    }, Promise.resolve(response));
+};
+
+/**
+ * Run the error hooks until one of them recovers with a response.
+ * @param {Error} error
+ * @param {object} request - the request that failed.
+ * @returns {Promise} a promise of the response of a hook that recovered, otherwise rejected with the error.
+ */
+Pipeline.prototype.error = function (error, request) {
+    return this.hooks('error', true).reduce(function (previous, hook) {
+        return previous.then(null, function (current) {
+            return Promise.resolve(hook(current, request)).then(function (response) {
+                if (!response)
+                    throw current;
+                return response;
+            });
+        });
+    }, Promise.reject(error));
+};
+
+Pipeline.prototype.hooks = function (name, reversed) {
+    var hooks = this.middleware.filter(function (middleware) { return typeof middleware[name] === 'function'; })
+        .map(function (middleware) { return middleware[name].bind(middleware); });
+    return reversed ? hooks.reverse() : hooks;
+};
+
+module.exports = {
+    Pipeline: Pipeline
+};
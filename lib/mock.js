@@ -0,0 +1,602 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+var search = require('./static').search;
+
+/**
+ * An in-memory Blackstar server for tests. Require it as `blackstar-cms-client/lib/mock`.
+ * @module Mock
+ */
+
+var DEFAULT_URL = 'http://blackstar.test/';
+// Rejects `handle` when a fault simulates a network failure.
+var NETWORK_FAILURE = { network: true };
+
+/**
+ * Chunks and media modelled on the Blackstar demo site.
+ * @returns {object} `{ chunks, media }`, a fresh copy on every call.
+ */
+function fixtures() {
+    return {
+        chunks: [
+            { id: 26, name: 'index-heading', tags: ['blackstarpedia', 'english'], value: 'Blackstarpedia', html: '<h1>Blackstarpedia</h1>' },
+            { id: 27, name: 'index-title', tags: ['blackstarpedia', 'english'], value: 'The free encyclopedia', html: '<p>The free encyclopedia</p>' },
+            { id: 28, name: 'heading', tags: ['blackstarpedia', 'english'], value: 'Seebeck effect', html: '<h2>Seebeck effect</h2>' },
+            {
+                id: 29,
+                name: 'main-content',
+                tags: ['blackstarpedia', 'english'],
+                value: 'The **Seebeck effect** is the conversion of temperature differences directly into electricity.',
+                html: '<p>The <b>Seebeck effect</b> is the conversion of temperature differences directly into electricity.</p>'
+            },
+            { id: 30, name: 'smaller-heading', tags: ['blackstarpedia', 'english'], value: 'History', html: '<h3>History</h3>' },
+            { id: 31, name: 'footer', tags: ['english'], value: 'Powered by Blackstar', html: '<p>Powered by Blackstar</p>' },
+            { id: 32, name: 'logo', tags: ['blackstarpedia'], value: '![logo](/api/media/5f3a1c)', html: '<img src="/api/media/5f3a1c" alt="logo">' }
+        ],
+        media: [
+            { hash: '5f3a1c', filename: 'logo.svg', type: 'image/svg+xml', content: '<svg xmlns="http://www.w3.org/2000/svg"/>' }
+        ]
+    };
+}
+
+/**
+ * A fake Blackstar server holding chunks and media in memory. It answers the routes the client uses: `api/content` and
+ * its `byids`, `bynames` and `bytags` queries, creates, updates and deletes, `api/tags`, `api/adminSearch`,
+ * `api/mediaSearch`, `api/media` (downloads, uploads, resumable uploads and deletes) and `api/throw`, as well as
+ * revisions and drafts, which reads with `?preview=true` return. Reads send an `ETag` and answer `If-None-Match` with 304.
+ *
+ * Use it in process by giving `server.fetch` to a client, or globally with `install()`, or over HTTP in Node with
+ * `listen()`.
+ * @constructor
+ * @example
+ * var server = new MockServer({ tokens: ['secret'], latency: 20 });
+ * var client = new Client(server.url, { fetch: server.fetch, token: 'secret' });
+ * server.fault({ method: 'GET', path: /^api\/tags/, status: 503, times: 1 });
+ * @param {object} [options] - `{ url: string, chunks: object[], media: object[], tokens: string[], protectReads: boolean, previewTokens: string[], latency: number | { min: number, max: number } }`.
+ * `chunks` and `media` default to `fixtures()`; media items may have a `content` (a string or bytes) served when they
+ * are downloaded. With `tokens`, writes without `Authorization: Bearer <token>` for one of the tokens get 401, and so
+ * do reads with `protectReads`, and previews of drafts unless they send one of the `previewTokens` as
+ * `X-Blackstar-Preview-Token`. `latency` delays every response by that many milliseconds, or a random delay in the
+ * range.
+ */
+function MockServer(options) {
+    options = options || {};
+    var server = this;
+    server.url = options.url ? options.url.replace(/\/?$/, '/') : DEFAULT_URL;
+    server.tokens = options.tokens || null;
+    server.protectReads = !!options.protectReads;
+    server.previewTokens = options.previewTokens || [];
+    server.latency = options.latency || 0;
+    server.initial = { chunks: options.chunks, media: options.media };
+    server.httpServer = null;
+    server.restoreFetch = null;
+    /** A `fetch` answering requests to this server. Pass it to a client as its `fetch` option. */
+    server.fetch = function (url, init) { return server.fetchResponse(url, init); };
+    server.reset();
+}
+
+/**
+ * Restore the chunks and media the server was created with and forget drafts, revisions, requests, reports, faults and
+ * upload sessions.
+ */
+MockServer.prototype.reset = function () {
+    var data = fixtures();
+    this.chunks = clone(this.initial.chunks || data.chunks);
+    this.media = (this.initial.media || data.media).map(function (item) { return Object.assign({}, item); });
+    this.nextId = this.chunks.reduce(function (max, chunk) { return Math.max(max, Number(chunk.id) || 0); }, 0) + 1;
+    /** Unpublished drafts by chunk id. */
+    this.drafts = {};
+    this.history = {};
+    this.chunks.forEach(function (chunk) { this.record(chunk, 'published'); }, this);
+    this.uploads = {};
+    this.nextUpload = 1;
+    /** Every request received, as `{ method, url, path, headers, body }`. */
+    this.requests = [];
+    /** Error reports posted to `api/throw`. */
+    this.reports = [];
+    this.faults = [];
+};
+
+/**
+ * Make matching requests fail.
+ * @example
+ * server.fault({ path: 'api/content', status: 500, times: 2 });
+ * server.fault({ method: 'POST', network: true });
+ * server.fault({ path: /^api\/content\/bytags\//, delay: 5000 });
+ * @param {object} fault - `{ method: string, path: string | RegExp, status: number, body: any, network: boolean, delay: number, times: number }`.
+ * `path` is relative to the server url, without a leading slash; a string must match the start of the path. A request
+ * matching `method` and `path` (each optional) is answered with `status` and `body`, or fails as if the network was
+ * down with `network`, after waiting `delay` milliseconds. The fault applies to the next `times` requests, or to all.
+ * @returns {object} the fault. Pass it to `clearFault` to remove it.
+ */
+MockServer.prototype.fault = function (fault) {
+    fault = Object.assign({ times: Infinity }, fault);
+    this.faults.push(fault);
+    return fault;
+};
+
+/**
+ * Remove a fault, or every fault.
+ * @param {object} [fault]
+ */
+MockServer.prototype.clearFault = function (fault) {
+    this.faults = fault ? this.faults.filter(function (f) { return f !== fault; }) : [];
+};
+
+/**
+ * Answer requests to this server made with the global `fetch`. Other requests go to the original `fetch`.
+ * @returns {function} a function restoring the original `fetch`.
+ */
+MockServer.prototype.install = function () {
+    var server = this;
+    var root = typeof window !== 'undefined' ? window : global;
+    var original = root.fetch;
+    root.fetch = function (url, init) {
+        return String(url).indexOf(server.url) === 0 ? server.fetch(url, init) : original(url, init);
+    };
+    server.restoreFetch = function () {
+        root.fetch = original;
+        server.restoreFetch = null;
+    };
+    return server.restoreFetch;
+};
+
+/**
+ * Serve over HTTP, in Node. `url` changes to the address listened on.
+ * @param {number} [port] - defaults to a free port.
+ * @returns {Promise} a promise of the server url, e.g. `http://localhost:51234/`.
+ */
+MockServer.prototype.listen = function (port) {
+    var server = this;
+    var http = require('http');
+    server.httpServer = http.createServer(function (req, res) { server.serveHttp(req, res); });
+    return new Promise(function (resolve, reject) {
+        server.httpServer.once('error', reject);
+        server.httpServer.listen(port || 0, 'localhost', function () {
+            server.url = 'http://localhost:' + server.httpServer.address().port + '/';
+            resolve(server.url);
+        });
+    });
+};
+
+/**
+ * Stop serving over HTTP and restore the global `fetch` if `install` replaced it.
+ * @returns {Promise} a promise that resolves once the server is closed.
+ */
+MockServer.prototype.close = function () {
+    var server = this;
+    if (server.restoreFetch)
+        server.restoreFetch();
+    if (!server.httpServer)
+        return Promise.resolve();
+    var httpServer = server.httpServer;
+    server.httpServer = null;
+    return new Promise(function (resolve) {
+        if (httpServer.closeAllConnections)
+            httpServer.closeAllConnections();
+        httpServer.close(function () { resolve(); });
+    });
+};
+
+MockServer.prototype.fetchResponse = function (url, init) {
+    init = init || {};
+    var request = {
+        method: (init.method || 'GET').toUpperCase(),
+        url: String(url),
+        headers: normaliseHeaders(init.headers),
+        body: init.body
+    };
+    return this.handle(request).then(function (answer) {
+        return toResponse(answer);
+    }, function (error) {
+        if (error === NETWORK_FAILURE)
+            throw new TypeError('Failed to fetch ' + url);
+        throw error;
+    });
+};
+
+MockServer.prototype.serveHttp = function (req, res) {
+    var server = this;
+    var parts = [];
+    req.on('data', function (part) { parts.push(part); });
+    req.on('end', function () {
+        var body = parts.length > 0 ? Buffer.concat(parts) : undefined;
+        var request = {
+            method: req.method.toUpperCase(),
+            url: server.url + req.url.replace(/^\//, ''),
+            headers: normaliseHeaders(req.headers),
+            body: body
+        };
+        server.handle(request).then(function (answer) {
+            res.writeHead(answer.status, answer.headers);
+            res.end(answer.body === null ? undefined : typeof answer.body === 'string' ? answer.body : Buffer.from(answer.body));
+        }, function (error) {
+            if (error === NETWORK_FAILURE) {
+                req.socket.destroy();
+                return;
+            }
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: String(error && error.message) }));
+        });
+    });
+};
+
+// Answer a request `{ method, url, headers, body }` with `{ status, headers, body }`, after the latency and any fault.
+MockServer.prototype.handle = function (request) {
+    var server = this;
+    if (request.url.indexOf(server.url) !== 0)
+        return Promise.resolve(json(404, { message: 'Not served by the mock server: ' + request.url }));
+    request.path = request.url.slice(server.url.length).split(/[?#]/)[0];
+    var fault = server.matchFault(request);
+    return readBody(request.body, request.headers['content-type']).then(function (body) {
+        request.body = body;
+        server.requests.push(request);
+        return wait(server.delay() + (fault && fault.delay || 0));
+    }).then(function () {
+        if (fault && fault.network)
+            throw NETWORK_FAILURE;
+        if (fault && fault.status)
+            return json(fault.status, fault.body !== undefined ? fault.body : { message: 'Injected fault' });
+        if (!server.authorised(request))
+            return json(401, { message: 'Unauthorized' });
+        return server.route(request);
+    });
+};
+
+MockServer.prototype.matchFault = function (request) {
+    var fault = this.faults.filter(function (f) {
+        var path = f.path === undefined || (f.path instanceof RegExp ? f.path.test(request.path) : request.path.indexOf(f.path) === 0);
+        return path && (!f.method || f.method.toUpperCase() === request.method) && f.times > 0;
+    })[0];
+    if (fault)
+        fault.times--;
+    return fault || null;
+};
+
+MockServer.prototype.delay = function () {
+    var latency = this.latency;
+    if (typeof latency === 'number')
+        return latency;
+    return latency.min + Math.random() * (latency.max - latency.min);
+};
+
+MockServer.prototype.authorised = function (request) {
+    var preview = isPreview(request);
+    if (!this.tokens || (request.method === 'GET' && !this.protectReads && !preview))
+        return true;
+    var match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+    if (match && this.tokens.indexOf(match[1]) !== -1)
+        return true;
+    return preview && this.previewTokens.indexOf(request.headers['x-blackstar-preview-token']) !== -1;
+};
+
+MockServer.prototype.route = function (request) {
+    var server = this;
+    var method = request.method;
+    var segments = request.path.replace(/\/$/, '').split('/').map(decodeURIComponent);
+    var area = segments.slice(0, 2).join('/');
+    var rest = segments.slice(2);
+    if (area === 'api/content')
+        return server.content(request, rest);
+    if (area === 'api/tags' && method === 'GET')
+        return server.read(request, server.allTags(server.visible(request)));
+    if (area === 'api/adminSearch' && method === 'GET')
+        return server.read(request, search(server.visible(request), rest.join('/'), ['name', 'html', 'value', 'tags']));
+    if (area === 'api/mediaSearch' && method === 'GET')
+        return server.read(request, search(server.media, rest.join('/'), ['hash', 'name', 'filename', 'type']).map(describeMedia));
+    if (area === 'api/media')
+        return server.mediaRoute(request, rest);
+    if (area === 'api/throw' && method === 'POST') {
+        server.reports.push(request.body);
+        return Promise.resolve(json(204, null));
+    }
+    return Promise.resolve(json(404, { message: 'No route for ' + method + ' ' + request.path }));
+};
+
+MockServer.prototype.content = function (request, rest) {
+    var server = this;
+    var method = request.method;
+    var chunks = server.visible(request);
+    var query = { byids: 'id', bynames: 'name' };
+    if (method === 'GET' && rest.length === 0)
+        return server.read(request, chunks);
+    if (method === 'GET' && query[rest[0]])
+        return server.read(request, chunks.filter(function (chunk) {
+            return rest.slice(1).indexOf(String(chunk[query[rest[0]]])) !== -1;
+        }));
+    if (method === 'GET' && rest[0] === 'bytags')
+        return server.read(request, chunks.filter(function (chunk) {
+            return rest.slice(1).every(function (tag) { return (chunk.tags || []).indexOf(tag) !== -1; });
+        }));
+    if (rest[1] === 'revisions' && method === 'GET')
+        return server.revisions(request, rest[0], rest[2]);
+    if (rest[1] === 'draft' && rest.length === 2)
+        return server.draft(request, rest[0]);
+    if (method === 'POST' && rest.length <= 1) {
+        var chunk = request.body;
+        if (!validChunk(chunk))
+            return Promise.resolve(json(400, { message: 'A chunk must have a name' }));
+        if (rest.length === 0) {
+            var created = Object.assign({}, clone(chunk), { id: server.nextId++ });
+            created.tags = created.tags || [];
+            server.chunks.push(created);
+            server.record(created, 'published');
+            return Promise.resolve(json(200, created.id));
+        }
+        var index = server.indexOf(rest[0]);
+        if (index === -1)
+            return Promise.resolve(json(404, { message: 'No chunk with id ' + rest[0] }));
+        var updated = Object.assign({}, clone(chunk), { id: server.chunks[index].id });
+        server.chunks[index] = updated;
+        delete server.drafts[updated.id];
+        server.record(updated, 'published');
+        return Promise.resolve(json(200, updated.id));
+    }
+    if (method === 'DELETE' && rest.length === 1) {
+        var existing = server.indexOf(rest[0]);
+        if (existing === -1)
+            return Promise.resolve(json(404, { message: 'No chunk with id ' + rest[0] }));
+        var removed = server.chunks.splice(existing, 1)[0];
+        delete server.drafts[removed.id];
+        delete server.history[removed.id];
+        return Promise.resolve(json(204, null));
+    }
+    return Promise.resolve(json(405, { message: method + ' is not allowed on ' + request.path }));
+};
+
+// List the revisions of a chunk, newest first, or answer one of them.
+MockServer.prototype.revisions = function (request, id, revision) {
+    var index = this.indexOf(id);
+    var history = index === -1 ? null : this.history[this.chunks[index].id];
+    if (!history)
+        return Promise.resolve(json(404, { message: 'No chunk with id ' + id }));
+    if (revision === undefined)
+        return this.read(request, history.map(function (saved) {
+            return { revision: saved.revision, savedAt: saved.savedAt, status: saved.status };
+        }).reverse());
+    var found = history.filter(function (saved) { return String(saved.revision) === revision; })[0];
+    if (!found)
+        return Promise.resolve(json(404, { message: 'Chunk ' + id + ' has no revision ' + revision }));
+    return this.read(request, Object.assign({}, found.chunk, { revision: found.revision, savedAt: found.savedAt, status: found.status }));
+};
+
+MockServer.prototype.draft = function (request, id) {
+    var index = this.indexOf(id);
+    if (index === -1)
+        return Promise.resolve(json(404, { message: 'No chunk with id ' + id }));
+    var chunkId = this.chunks[index].id;
+    if (request.method === 'DELETE') {
+        if (!this.drafts[chunkId])
+            return Promise.resolve(json(404, { message: 'Chunk ' + id + ' has no draft' }));
+        delete this.drafts[chunkId];
+        return Promise.resolve(json(204, null));
+    }
+    if (request.method !== 'POST')
+        return Promise.resolve(json(405, { message: request.method + ' is not allowed on ' + request.path }));
+    if (!validChunk(request.body))
+        return Promise.resolve(json(400, { message: 'A chunk must have a name' }));
+    this.drafts[chunkId] = Object.assign({}, clone(request.body), { id: chunkId });
+    this.record(this.drafts[chunkId], 'draft');
+    return Promise.resolve(json(200, chunkId));
+};
+
+MockServer.prototype.record = function (chunk, status) {
+    var history = this.history[chunk.id] = this.history[chunk.id] || [];
+    history.push({ revision: history.length + 1, savedAt: new Date().toISOString(), status: status, chunk: clone(chunk) });
+};
+
+// The chunks a request sees: the published chunks, or their drafts where there are some in a preview.
+MockServer.prototype.visible = function (request) {
+    var drafts = this.drafts;
+    if (!isPreview(request))
+        return this.chunks;
+    return this.chunks.map(function (chunk) { return drafts[chunk.id] || chunk; });
+};
+
+MockServer.prototype.mediaRoute = function (request, rest) {
+    var server = this;
+    var method = request.method;
+    if (rest[0] === 'uploads')
+        return server.resumableUpload(request, rest.slice(1));
+    if (method === 'POST' && rest.length === 0)
+        return server.storeForm(request.body).then(function (items) { return json(200, items.map(describeMedia)); });
+    var item = server.media.filter(function (candidate) { return String(candidate.hash) === rest[0]; })[0];
+    if (rest.length !== 1 || (method !== 'GET' && method !== 'DELETE'))
+        return Promise.resolve(json(405, { message: method + ' is not allowed on ' + request.path }));
+    if (!item)
+        return Promise.resolve(json(404, { message: 'No media with hash ' + rest[0] }));
+    if (method === 'DELETE') {
+        server.media.splice(server.media.indexOf(item), 1);
+        return Promise.resolve(json(204, null));
+    }
+    return Promise.resolve({ status: 200, headers: { 'Content-Type': item.type || 'application/octet-stream' }, body: item.content || '' });
+};
+
+// Store the files of an `api/media` form, sent as `<n>file`, `<n>filename` and `<n>type`.
+MockServer.prototype.storeForm = function (form) {
+    var server = this;
+    if (!form || typeof form.get !== 'function')
+        return Promise.resolve([]);
+    var files = [];
+    for (var i = 0; form.get(i + 'file'); i++)
+        files.push({ file: form.get(i + 'file'), filename: form.get(i + 'filename'), type: form.get(i + 'type') });
+    return Promise.all(files.map(function (entry) {
+        return bytesOf(entry.file).then(function (bytes) {
+            return server.addMedia(entry.filename || entry.file.name, entry.type || entry.file.type, bytes);
+        });
+    }));
+};
+
+MockServer.prototype.resumableUpload = function (request, rest) {
+    var server = this;
+    var method = request.method;
+    if (method === 'POST' && rest.length === 0) {
+        var id = String(server.nextUpload++);
+        server.uploads[id] = Object.assign({ id: id, parts: [], offset: 0 }, request.body);
+        return Promise.resolve(json(200, { id: id, offset: 0 }));
+    }
+    var session = server.uploads[rest[0]];
+    if (!session)
+        return Promise.resolve(json(404, { message: 'No upload session ' + rest[0] }));
+    if (method === 'GET')
+        return Promise.resolve(json(200, { id: session.id, offset: session.offset }));
+    if (method !== 'PUT')
+        return Promise.resolve(json(405, { message: method + ' is not allowed on ' + request.path }));
+    var range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(request.headers['content-range'] || '');
+    if (!range || Number(range[1]) !== session.offset)
+        return Promise.resolve(json(416, { message: 'Expected bytes from ' + session.offset }));
+    return bytesOf(request.body).then(function (bytes) {
+        session.parts.push(bytes);
+        session.offset += bytes.length;
+        if (session.offset < Number(range[3]))
+            return json(200, { id: session.id, offset: session.offset });
+        delete server.uploads[session.id];
+        return json(200, [describeMedia(server.addMedia(session.filename, session.type, concat(session.parts)))]);
+    });
+};
+
+MockServer.prototype.addMedia = function (filename, type, content) {
+    var item = { hash: hashOf(filename + ':' + this.media.length + ':' + content.length), filename: filename, type: type, content: content };
+    this.media.push(item);
+    return item;
+};
+
+MockServer.prototype.indexOf = function (id) {
+    return this.chunks.findIndex(function (chunk) { return String(chunk.id) === String(id); });
+};
+
+MockServer.prototype.allTags = function (chunks) {
+    var tags = [];
+    chunks.forEach(function (chunk) {
+        (chunk.tags || []).forEach(function (tag) {
+            if (tags.indexOf(tag) === -1)
+                tags.push(tag);
+        });
+    });
+    return tags;
+};
+
+// Answer a read with an ETag, or with 304 when the client already has this version.
+MockServer.prototype.read = function (request, body) {
+    var answer = json(200, body);
+    var etag = '"' + hashOf(answer.body) + '"';
+    if (request.headers['if-none-match'] === etag)
+        return Promise.resolve({ status: 304, headers: { ETag: etag }, body: null });
+    answer.headers.ETag = etag;
+    return Promise.resolve(answer);
+};
+
+function json(status, body) {
+    if (body === null)
+        return { status: status, headers: {}, body: null };
+    return { status: status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+}
+
+function validChunk(chunk) {
+    return !!chunk && typeof chunk === 'object' && !!chunk.name;
+}
+
+function isPreview(request) {
+    return /[?&]preview=true(&|#|$)/.test(request.url);
+}
+
+function describeMedia(item) {
+    var described = Object.assign({}, item);
+    delete described.content;
+    return described;
+}
+
+// A Response where the environment has one, otherwise an object with the parts of it the client uses.
+function toResponse(answer) {
+    if (typeof Response === 'function')
+        return new Response(answer.body, { status: answer.status, headers: answer.headers });
+    var text = answer.body === null ? '' : String(answer.body);
+    return {
+        status: answer.status,
+        ok: answer.status >= 200 && answer.status < 300,
+        headers: {
+            get: function (name) {
+                var key = Object.keys(answer.headers).filter(function (h) { return h.toLowerCase() === name.toLowerCase(); })[0];
+                return key ? answer.headers[key] : null;
+            }
+        },
+        text: function () { return Promise.resolve(text); },
+        json: function () { return new Promise(function (resolve) { resolve(JSON.parse(text)); }); }
+    };
+}
+
+function normaliseHeaders(headers) {
+    var normalised = {};
+    if (!headers)
+        return normalised;
+    if (typeof headers.forEach === 'function' && !Array.isArray(headers))
+        headers.forEach(function (value, name) { normalised[name.toLowerCase()] = value; });
+    else
+        Object.keys(headers).forEach(function (name) { normalised[name.toLowerCase()] = String(headers[name]); });
+    return normalised;
+}
+
+// Read a request body: JSON into a value, multipart forms into a FormData, and anything else into bytes.
+function readBody(body, contentType) {
+    if (body === undefined || body === null)
+        return Promise.resolve(undefined);
+    if (typeof FormData !== 'undefined' && body instanceof FormData)
+        return Promise.resolve(body);
+    if (/^multipart\/form-data/.test(contentType || ''))
+        return new Response(body, { headers: { 'Content-Type': contentType } }).formData();
+    if (typeof body === 'string' || /json/.test(contentType || ''))
+        return Promise.resolve(String(body)).then(function (text) {
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return text;
+            }
+        });
+    return Promise.resolve(body);
+}
+
+function bytesOf(value) {
+    if (value instanceof Uint8Array)
+        return Promise.resolve(value);
+    if (typeof value === 'string')
+        return Promise.resolve(new TextEncoder().encode(value));
+    if (value instanceof ArrayBuffer)
+        return Promise.resolve(new Uint8Array(value));
+    if (value && typeof value.arrayBuffer === 'function')
+        return Promise.resolve(value.arrayBuffer()).then(function (buffer) { return new Uint8Array(buffer); });
+    return Promise.resolve(new Uint8Array(0));
+}
+
+function concat(parts) {
+    var bytes = new Uint8Array(parts.reduce(function (length, part) { return length + part.length; }, 0));
+    var offset = 0;
+    parts.forEach(function (part) {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+    return bytes;
+}
+
+// A short, stable hex hash (FNV-1a) for ETags and media hashes.
+function hashOf(value) {
+    var text = typeof value === 'string' ? value : Array.prototype.join.call(value, ',');
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return ('0000000' + hash.toString(16)).slice(-8);
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function wait(milliseconds) {
+    return milliseconds > 0 ? new Promise(function (resolve) { setTimeout(resolve, milliseconds); }) : Promise.resolve();
+}
+
+module.exports = {
+    MockServer: MockServer,
+    fixtures: fixtures
+};
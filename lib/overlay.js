@@ -0,0 +1,286 @@
+"use strict";
+
+var InlineEditor = require('./editor').InlineEditor;
+
+/**
+ * The in-page editing overlay: a toolbox with links into the Blackstar admin, which shows when the page is a preview of
+ * drafts, and an edit link on every bound element.
+ * @module Overlay
+ */
+
+var EDIT_ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAE0AAABFCAYAAAAPWmvdAAAAAXNSR0IArs4c6QAAAARnQU1BAACxjwv8YQUAAAAJcEhZcwAADsMAAA7DAcdvqGQAAAAYdEVYdFNvZnR3YXJlAHBhaW50Lm5ldCA0LjAuOWwzfk4AAAK7SURBVHhe7dqxahtBFIVhv5OaBRVCjQpBWoOdIpA3iIqQRrgS2KQxpEkbSCNDajUpXKTRM6TJa6iazDUee2d1PHNnd1Z752qLD7FHuwL9eGWDdWGMGSWC4ygMjqMwOI7C4DgKg+O52G639gE/FwJH7fb3l6aaTMzkydysHv7aGZ+LwFEzP1i7cHDUCgdz+OHgqNH+27WZwlh1vHBw1IYXzImHg6M2adFIOBwcNcoZ7mjQLFc47+AcpId7by/zX8M70GD/47t9wM85qeFWvw72stfrvRcrnYtRvVvbQ3yOww5XfbSn+9d6ByVrRqgWn+2Mz3Wi4apLs/n9z57qX+cdlOqtN98p3PTaPo2vgWNJYj8trcLNj2/JOjiWInp7PUsKN1/ZQ3yOA8cScIM5rHCM37wEjtKlBnM44TjgKFnbYE6OcHCUqmswp2s4OEqUK9gLxgf+W+AoTfZgRHM0acEIHKWQGIzAUQKpwQgch9ZHsFx/oxE4Dkl6MALHoZQQjMBxCKUEI3A8tZKCETieUmnBCBxPpcRgBI6nUGowAse+lRyMwLFPpQcjcOyLhmAEjn3QEozAMTdNwQgcc9IWjMAxF43BCBxz0BqMwDGH3NGkBCNwzCVXOEnBCBxz6hpOWjACx9zahpMYjMAx1e5rxm8ePpMajMAx1Xpm3yjjPz3ccJKDETimOOzWZubecIZwnO/LDg2OKXbrmf/GO4QrIRiBY4qnW7MZoEW4UoIROHJ5t2YD53PJhSspGIEj1+NmAYM5rHDMr2xKAkeuzQLHqpP+m7ANOHIcHjdmASIh2sLBkSN2azZpCgdHDs6t2aQlHBxjUm7NF9Ol+fDl3l6OX7MkcIxh35qKQtXBMeZuCQI5SkPVwTFmeRRqbq4+6Q5VB8eQP3fLswxVB8eQnze39gE/dy7gOAqD4yjEXPwH/g5Basn3SRIAAAAASUVORK5CYII=';
+
+var DEFAULT_THEME = {
+    background: '#373942',
+    color: 'rgb(148, 155, 162)',
+    highlight: '#ffffff',
+    opacity: 0.5
+};
+
+var OVERLAY_ATTRIBUTE = 'data-blackstar-overlay';
+
+/**
+ * The editing overlay of a client. Rendering is idempotent: the toolbox and stylesheet are added once, and every bound
+ * element has at most one edit link however many times `bind` runs.
+ * @constructor
+ * @param {Client} client
+ * @param {object} [options] - `{ theme: object, renderToolbox: function, renderEditLink: function, iconStylesheet: string|boolean, inlineEditing: object }`.
+ * `theme` overrides the colours `{ background, color, highlight, opacity }`. `renderToolbox(overlay)` returns a custom
+ * toolbox element and `renderEditLink(chunkId, overlay)` a custom edit link element; custom elements should call
+ * `overlay.toggleEditLinks()` and `client.urlFor` as needed. `iconStylesheet` is the url of the icon font stylesheet, or
+ * `false` to not load one. `inlineEditing` holds the options of the `InlineEditor` used in edit mode.
+ */
+function EditOverlay(client, options) {
+    options = options || {};
+    this.client = client;
+    this.theme = Object.assign({}, DEFAULT_THEME, options.theme);
+    this.renderToolboxElement = options.renderToolbox || null;
+    this.renderEditLinkElement = options.renderEditLink || null;
+    this.iconStylesheet = options.iconStylesheet === undefined
+        ? client.serverUrl + 'styles/pe-icons/pe-icon-7-stroke.css'
+        : options.iconStylesheet;
+    this.editLinksVisible = true;
+    this.editor = new InlineEditor(client, options.inlineEditing);
+    this.toggles = [];
+    this.toolbox = null;
+    this.stylesheet = null;
+}
+
+/**
+ * Add an edit link to every element with a `data-blackstar-id` that doesn't have one yet.
+ */
+EditOverlay.prototype.renderEditLinks = function () {
+    // elements bound into attributes cannot hold a link
+    var els = document.querySelectorAll('[data-blackstar-id]:not([data-blackstar-field])');
+    for (var i = 0; i < els.length; i++) {
+        var el = els[i];
+        var chunkId = el.getAttribute('data-blackstar-id');
+        var existing = ownEditLink(el);
+        if (existing && existing.getAttribute('data-blackstar-chunk') === chunkId)
+            continue;
+        if (existing)
+            el.removeChild(existing);
+        var link = this.renderEditLinkElement ? this.renderEditLinkElement(chunkId, this) : this.defaultEditLink(chunkId, el);
+        link.setAttribute(OVERLAY_ATTRIBUTE, 'edit-link');
+        link.setAttribute('data-blackstar-chunk', chunkId);
+        link.hidden = !this.editLinksVisible;
+        el.appendChild(link);
+    }
+};
+
+EditOverlay.prototype.defaultEditLink = function (chunkId, el) {
+    var name = el.getAttribute('data-blackstar-name');
+    var link = document.createElement('a');
+    link.className = 'blackstar-edit-link blackstar-link';
+    link.setAttribute('target', '_admin');
+    link.setAttribute('href', this.client.urlFor({ id: chunkId }));
+    link.setAttribute('aria-label', 'Edit ' + (name ? '"' + name + '"' : 'chunk ' + chunkId) + ' in Blackstar CMS');
+    link.setAttribute('title', 'Edit in Blackstar CMS');
+    var icon = document.createElement('img');
+    icon.setAttribute('src', EDIT_ICON);
+    icon.setAttribute('alt', '');
+    icon.setAttribute('style', 'width: 15px;opacity:0.4');
+    link.appendChild(document.createTextNode(' '));
+    link.appendChild(icon);
+    return link;
+};
+
+/**
+ * Add the toolbox, unless it is already on the page.
+ */
+EditOverlay.prototype.renderToolbox = function () {
+    if (this.toolbox && document.body.contains(this.toolbox))
+        return;
+    if (this.iconStylesheet && !this.stylesheet) {
+        this.stylesheet = document.createElement('link');
+        this.stylesheet.setAttribute('rel', 'stylesheet');
+        this.stylesheet.setAttribute('href', this.iconStylesheet);
+        this.stylesheet.setAttribute(OVERLAY_ATTRIBUTE, 'stylesheet');
+        (document.head || document.body).appendChild(this.stylesheet);
+    }
+    this.toggles = [];
+    this.toolbox = this.renderToolboxElement ? this.renderToolboxElement(this) : this.defaultToolbox();
+    this.toolbox.setAttribute(OVERLAY_ATTRIBUTE, 'toolbox');
+    document.body.appendChild(this.toolbox);
+};
+
+EditOverlay.prototype.defaultToolbox = function () {
+    var overlay = this;
+    var theme = overlay.theme;
+    var container = document.createElement('div');
+    container.setAttribute('id', 'blackstar-toolbox');
+    container.setAttribute('role', 'toolbar');
+    container.setAttribute('aria-label', 'Blackstar CMS');
+    container.setAttribute('style', 'color:' + theme.color + ';position:fixed;top:10px;right:10px;background-color:' + theme.background + ';padding:5px;opacity:' + theme.opacity + ';border-radius:6px;z-index:99999;text-align:right;font-size:35px;margin:6px;');
+    function highlight(active) {
+        return function () { container.style.opacity = active ? 1 : theme.opacity; };
+    }
+    ['mouseover', 'focusin'].forEach(function (type) { container.addEventListener(type, highlight(true)); });
+    ['mouseout', 'focusout'].forEach(function (type) { container.addEventListener(type, highlight(false)); });
+
+    var heading = document.createElement('h3');
+    heading.setAttribute('style', 'color:' + theme.highlight + ';margin:6px;padding:0;font-size:16px;');
+    heading.textContent = 'Blackstar CMS';
+    container.appendChild(heading);
+
+    // announced to screen readers when preview mode is turned on or off
+    var preview = document.createElement('p');
+    preview.setAttribute('role', 'status');
+    preview.setAttribute('style', 'color:' + theme.highlight + ';margin:6px;padding:0;font-size:12px;font-weight:bold;');
+    container.appendChild(preview);
+    overlay.toggles.push(function () {
+        var active = !!overlay.client.options.preview;
+        preview.textContent = active ? 'Preview: showing drafts' : '';
+        preview.hidden = !active;
+        container.setAttribute('data-blackstar-preview', String(active));
+    });
+    overlay.toggles[overlay.toggles.length - 1]();
+
+    var controls = [
+        overlay.toolboxLink('Search for content', 'pe-7s-search', overlay.client.serverUrl + 'search'),
+        overlay.toolboxLink('Create a new chunk', 'pe-7s-plus', overlay.client.serverUrl + 'newChunk'),
+        overlay.toolboxButton('Toggle edit links', 'pe-7s-look', function () { return overlay.editLinksVisible; }, function () {
+            overlay.toggleEditLinks();
+        })
+    ];
+    if (overlay.client.options.showEditControls) {
+        controls.push(overlay.toolboxButton('Edit in place', 'pe-7s-pen', function () { return overlay.editor.enabled; }, function () {
+            overlay.toggleEditing();
+        }));
+        controls.push(overlay.toolboxButton('Preview drafts', 'pe-7s-news-paper', function () { return !!overlay.client.options.preview; }, function () {
+            overlay.client.setPreview(!overlay.client.options.preview);
+        }));
+    }
+    controls.forEach(function (control, index) {
+        control.setAttribute('tabindex', index === 0 ? '0' : '-1');
+        container.appendChild(control);
+    });
+    container.addEventListener('keydown', function (event) { moveFocus(controls, event); });
+    return container;
+};
+
+EditOverlay.prototype.toolboxLink = function (label, icon, href) {
+    var link = document.createElement('a');
+    link.setAttribute('href', href);
+    link.setAttribute('target', '_admin');
+    link.setAttribute('title', label);
+    link.setAttribute('aria-label', label);
+    link.className = 'btn btn-default';
+    this.styleControl(link, icon);
+    return link;
+};
+
+// A toggle button, `pressed()` tells whether it is pressed.
+EditOverlay.prototype.toolboxButton = function (label, icon, pressed, onClick) {
+    var button = document.createElement('button');
+    button.setAttribute('type', 'button');
+    button.setAttribute('title', label);
+    button.setAttribute('aria-label', label);
+    button.setAttribute('style', 'background:none;border:0;padding:0;font:inherit;cursor:pointer;');
+    button.addEventListener('click', onClick);
+    this.toggles.push(function () { button.setAttribute('aria-pressed', String(pressed())); });
+    this.toggles[this.toggles.length - 1]();
+    this.styleControl(button, icon);
+    return button;
+};
+
+EditOverlay.prototype.styleControl = function (control, icon) {
+    var theme = this.theme;
+    var glyph = document.createElement('span');
+    glyph.className = icon;
+    glyph.setAttribute('aria-hidden', 'true');
+    control.appendChild(glyph);
+    control.style.color = theme.color;
+    control.style.margin = '6px';
+    function highlight(active) {
+        return function () { control.style.color = active ? theme.highlight : theme.color; };
+    }
+    ['mouseover', 'focus'].forEach(function (type) { control.addEventListener(type, highlight(true)); });
+    ['mouseout', 'blur'].forEach(function (type) { control.addEventListener(type, highlight(false)); });
+};
+
+/**
+ * Show or hide the edit links.
+ * @param {boolean} [visible] - omit to toggle.
+ * @returns {boolean} whether the edit links are now visible.
+ */
+EditOverlay.prototype.toggleEditLinks = function (visible) {
+    this.editLinksVisible = visible === undefined ? !this.editLinksVisible : !!visible;
+    var links = document.querySelectorAll('[' + OVERLAY_ATTRIBUTE + '="edit-link"]');
+    for (var i = 0; i < links.length; i++)
+        links[i].hidden = !this.editLinksVisible;
+    this.refreshToggles();
+    return this.editLinksVisible;
+};
+
+/**
+ * Turn edit mode, in which clicking a bound element edits it in place, on or off.
+ * @param {boolean} [enabled] - omit to toggle.
+ * @returns {boolean} whether edit mode is now on.
+ */
+EditOverlay.prototype.toggleEditing = function (enabled) {
+    var result = this.editor.toggle(enabled);
+    this.refreshToggles();
+    return result;
+};
+
+EditOverlay.prototype.refreshToggles = function () {
+    this.toggles.forEach(function (refresh) { refresh(); });
+};
+
+/**
+ * Remove the toolbox, the stylesheet and every edit link from the page, and leave edit mode.
+ */
+EditOverlay.prototype.destroy = function () {
+    this.editor.destroy();
+    var added = document.querySelectorAll('[' + OVERLAY_ATTRIBUTE + ']');
+    for (var i = 0; i < added.length; i++) {
+        if (added[i].parentNode)
+            added[i].parentNode.removeChild(added[i]);
+    }
+    this.toolbox = null;
+    this.stylesheet = null;
+    this.toggles = [];
+};
+
+function ownEditLink(el) {
+    for (var i = 0; i < el.children.length; i++) {
+        if (el.children[i].getAttribute(OVERLAY_ATTRIBUTE) === 'edit-link')
+            return el.children[i];
+    }
+    return null;
+}
+
+// Roving focus between toolbar controls, as recommended for the ARIA toolbar pattern.
+function moveFocus(controls, event) {
+    var current = controls.indexOf(document.activeElement);
+    if (current === -1)
+        return;
+    var next;
+    switch (event.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+            next = (current + 1) % controls.length;
+            break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+            next = (current - 1 + controls.length) % controls.length;
+            break;
+        case 'Home':
+            next = 0;
+            break;
+        case 'End':
+            next = controls.length - 1;
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+    controls[current].setAttribute('tabindex', '-1');
+    controls[next].setAttribute('tabindex', '0');
+    controls[next].focus();
+}
+
+module.exports = {
+    EditOverlay: EditOverlay
+};
@@ -0,0 +1,181 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+
+/**
+ * A composable chunk query. Create one with `client.query()`.
+ *
+ * Every clause must hold for a chunk to match, i.e. clauses are combined with AND. `ids`, `names` and `tags.any` match
+ * chunks having any of the given values, `tags.all` matches chunks having every given tag, and `tags.none`, `not.ids`
+ * and `not.names` exclude chunks having any of the given values.
+ *
+ * The query asks the server only for the most selective clause and applies the remaining clauses, sorting and paging
+ * to the combined results.
+ * @constructor
+ * @param {Client} client - the client used to fetch chunks.
+ * @example
+ * client.query().tags.all('blog').tags.any('en', 'fr').names('heading', 'footer').sortBy('name').limit(10).exec();
+ */
+function Query(client) {
+    var query = this;
+    this.client = client;
+    this.clauses = [];
+    this.order = [];
+    this.skip = 0;
+    this.take = null;
+    function clause(field, mode) {
+        return function () {
+            query.clauses.push({ field: field, mode: mode, values: Array.prototype.slice.call(arguments).map(String) });
+            return query;
+        };
+    }
+    this.tags = {
+        all: clause('tags', 'all'),
+        any: clause('tags', 'any'),
+        none: clause('tags', 'none')
+    };
+    this.not = {
+        ids: clause('ids', 'none'),
+        names: clause('names', 'none'),
+        tags: this.tags.none
+    };
+    this.ids = clause('ids', 'any');
+    this.names = clause('names', 'any');
+}
+
+/**
+ * Sort the results. Call repeatedly to add secondary sort keys.
+ * @param {string|function} field - a chunk property name, or a function `chunk -> value`.
+ * @param {string} [direction] - `asc` (the default) or `desc`.
+ * @returns {Query} this query.
+ */
+Query.prototype.sortBy = function (field, direction) {
+    this.order.push({
+        key: typeof field === 'function' ? field : function (chunk) { return chunk[field]; },
+        sign: direction === 'desc' ? -1 : 1
+    });
+    return this;
+};
+/**
+ * Return at most `count` chunks.
+ * @param {number} count
+ * @returns {Query} this query.
+ */
+Query.prototype.limit = function (count) {
+    this.take = count;
+    return this;
+};
+/**
+ * Skip the first `count` chunks.
+ * @param {number} count
+ * @returns {Query} this query.
+ */
+Query.prototype.offset = function (count) {
+    this.skip = count;
+    return this;
+};
+
+/**
+ * Test a chunk against every clause of this query.
+ * @param {object} chunk
+ * @returns {boolean} true if the chunk matches.
+ */
+Query.prototype.matches = function (chunk) {
+    return this.clauses.every(function (clause) {
+        var values = fieldValues(chunk, clause.field);
+        function has(value) { return values.indexOf(value) !== -1; }
+        switch (clause.mode) {
+            case 'all':
+                return clause.values.every(has);
+            case 'any':
+                return clause.values.some(has);
+            default:
+                return !clause.values.some(has);
+        }
+    });
+};
+
+/**
+ * The `get` requests this query sends to the server, or `null` if it has to fetch every chunk with `getAll`.
+ * @returns {Array|null} an array of request objects as accepted by `client.get`.
+ */
+Query.prototype.plan = function () {
+    function requestsFor(clause) {
+        if (clause.mode === 'all')
+            return [{ tags: clause.values }];
+        if (clause.field === 'tags')
+            return clause.values.map(function (tag) { return { tags: [tag] }; });
+        var request = {};
+        request[clause.field] = clause.values;
+        return [request];
+    }
+    var rank = { ids: 0, names: 1, tags: 2 };
+    var candidates = this.clauses
+        .filter(function (clause) { return clause.mode !== 'none'; })
+        .map(function (clause) { return { clause: clause, requests: requestsFor(clause) }; })
+        .sort(function (a, b) {
+            return (a.requests.length - b.requests.length) || (rank[a.clause.field] - rank[b.clause.field]);
+        });
+    return candidates.length > 0 ? candidates[0].requests : null;
+};
+
+/**
+ * Run the query.
+ * @returns {Promise} a promise of the matching chunks, enriched with the `by*` methods.
+ */
+Query.prototype.exec = function () {
+    var query = this;
+    var client = this.client;
+    var requests = this.plan();
+    var fetched = requests === null
+        ? client.getAll().then(function (chunks) { return [chunks]; })
+        : Promise.all(requests.map(function (request) { return client.get(request); }));
+    return fetched.then(function (results) {
+        var seen = {};
+        var chunks = results
+            .reduce(function (all, result) { return all.concat(Array.prototype.slice.call(result)); }, [])
+            .filter(function (chunk) {
+                var first = !seen[chunk.id];
+                seen[chunk.id] = true;
+                return first && query.matches(chunk);
+            });
+        chunks = query.sort(chunks);
+        chunks = chunks.slice(query.skip, query.take === null ? undefined : query.skip + query.take);
+        return client.enrichCollectionWithByMethods(chunks);
+    });
+};
+
+Query.prototype.sort = function (chunks) {
+    var order = this.order;
+    if (order.length === 0)
+        return chunks;
+    return chunks
+        .map(function (chunk, index) { return { chunk: chunk, index: index }; })
+        .sort(function (a, b) {
+            for (var i = 0; i < order.length; i++) {
+                var x = order[i].key(a.chunk);
+                var y = order[i].key(b.chunk);
+                if (x < y)
+                    return -order[i].sign;
+                if (x > y)
+                    return order[i].sign;
+            }
+            return a.index - b.index;
+        })
+        .map(function (item) { return item.chunk; });
+};
+
+function fieldValues(chunk, field) {
+    switch (field) {
+        case 'ids':
+            return [String(chunk.id)];
+        case 'names':
+            return [String(chunk.name)];
+        default:
+            return (chunk.tags || []).map(String);
+    }
+}
+
+module.exports = {
+    Query: Query
+};
@@ -0,0 +1,108 @@
+"use strict";
+
+var html = require('./html');
+var sanitize = require('./sanitize');
+
+/**
+ * Server-side binding of chunks into HTML markup, the counterpart of `Client.prototype.bind`.
+ * @module Render
+ */
+
+/** The global variable holding chunks serialised for hydration. */
+var HYDRATION_GLOBAL = '__BLACKSTAR_CHUNKS__';
+
+/**
+ * Replace the contents of every element with a `data-blackstar-name` attribute by the `html` of the chunk with that
+ * name, and stamp the element with the chunk's `data-blackstar-id`. Elements naming a chunk that is not in `chunks` are
+ * left untouched.
+ * @param {string} markup - the page or template markup.
+ * @param {Array} chunks - the chunks to bind.
+ * @param {object} [options] - `{ hydrate: boolean, sanitize: boolean | object, render: function }`. When `hydrate` is true the chunks are
+ * also serialised into a script before `</body>` so that the browser client can use them without fetching them again.
+ * Chunk html is sanitised with `sanitizeHtml`, using `sanitize` as its options, unless `sanitize` is `false`. `render`
+ * returns the html of a chunk in place of its `html`, e.g. `client.chunkHtml`.
+ * @returns {string} the bound markup.
+ */
+function bindHtml(markup, chunks, options) {
+    options = options || {};
+    var sanitizeOptions = options.sanitize === true ? undefined : options.sanitize;
+    var byName = {};
+    chunks.forEach(function (chunk) { byName[chunk.name] = chunk; });
+    var tokens = html.tokenize(markup);
+    var output = '';
+    for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i];
+        var name = token.type === 'start' && !token.selfClosing ? html.attribute(token, 'data-blackstar-name') : null;
+        var chunk = name !== null && Object.prototype.hasOwnProperty.call(byName, name) ? byName[name] : null;
+        if (!chunk) {
+            output += token.raw;
+            continue;
+        }
+        var content = options.render ? options.render(chunk) : chunk.html;
+        var attributes = token.attributes.filter(function (attr) { return attr.name !== 'data-blackstar-id'; });
+        attributes.push({ name: 'data-blackstar-id', value: String(chunk.id) });
+        output += html.startTag(token.name, attributes) +
+            (sanitizeOptions === false ? content || '' : sanitize.sanitizeHtml(content, sanitizeOptions));
+        i = html.matchingEnd(tokens, i);
+        if (i < tokens.length)
+            output += tokens[i].raw;
+    }
+    return options.hydrate ? injectHydrationScript(output, chunks) : output;
+}
+
+/**
+ * Build a script element that makes `chunks` available to the browser client. The JSON is escaped so that chunk
+ * content cannot close the script element.
+ * @param {Array} chunks
+ * @returns {string} the script markup.
+ */
+function hydrationScript(chunks) {
+    var json = JSON.stringify(Array.prototype.slice.call(chunks))
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+    return '<script>window.' + HYDRATION_GLOBAL + '=' + json + ';</script>';
+}
+
+function injectHydrationScript(markup, chunks) {
+    var script = hydrationScript(chunks);
+    var bodyEnd = markup.toLowerCase().lastIndexOf('</body');
+    return bodyEnd === -1 ? markup + script : markup.slice(0, bodyEnd) + script + markup.slice(bodyEnd);
+}
+
+/**
+ * Create a transform stream that binds `chunks` into the markup written to it. The whole document is buffered because
+ * a bound element may span several writes.
+ * @param {Array} chunks
+ * @param {object} [options] - as for `bindHtml`.
+ * @returns {stream.Transform} a stream of the bound markup.
+ */
+function bindStream(chunks, options) {
+    var Transform = require('stream').Transform;
+    var StringDecoder = require('string_decoder').StringDecoder;
+    var decoder = new StringDecoder('utf8');
+    var markup = '';
+    return new Transform({
+        transform: function (data, encoding, callback) {
+            markup += typeof data === 'string' ? data : decoder.write(data);
+            callback();
+        },
+        flush: function (callback) {
+            markup += decoder.end();
+            try {
+                this.push(bindHtml(markup, chunks, options));
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        }
+    });
+}
+
+module.exports = {
+    bindHtml: bindHtml,
+    bindStream: bindStream,
+    hydrationScript: hydrationScript,
+    HYDRATION_GLOBAL: HYDRATION_GLOBAL
+};
@@ -0,0 +1,103 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+var errors = require('./errors');
+
+/**
+ * Decides whether and when a failed request is sent again. Only idempotent requests are retried, after network
+ * failures, timeouts or one of the retryable HTTP statuses. The delay before retry `n` (starting at 0) is
+ * `min(maxDelay, minDelay * factor^n)` milliseconds.
+ * @constructor
+ * @param {object} [options] - `{ retries: number, minDelay: number, maxDelay: number, factor: number, statuses: number[], methods: string[] }`.
+ * Defaults to 2 retries, starting at 100ms and doubling up to 2000ms, for statuses 408, 429, 500, 502, 503 and 504 and
+ * methods GET, HEAD, OPTIONS, PUT and DELETE.
+ */
+function RetryPolicy(options) {
+    options = options || {};
+    this.retries = typeof options.retries === 'number' ? options.retries : 2;
+    this.minDelay = typeof options.minDelay === 'number' ? options.minDelay : 100;
+    this.maxDelay = typeof options.maxDelay === 'number' ? options.maxDelay : 2000;
+    this.factor = options.factor || 2;
+    this.statuses = options.statuses || [408, 429, 500, 502, 503, 504];
+    this.methods = (options.methods || ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']).map(function (method) { return method.toUpperCase(); });
+}
+/** A policy that never retries. */
+RetryPolicy.none = new RetryPolicy({ retries: 0 });
+
+RetryPolicy.prototype.delay = function (retry) {
+    return Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, retry));
+};
+RetryPolicy.prototype.shouldRetry = function (method, retry, error, response) {
+    if (retry >= this.retries || this.methods.indexOf(method) === -1)
+        return false;
+    if (error)
+        return error instanceof errors.NetworkError || error instanceof errors.TimeoutError;
+    return this.statuses.indexOf(response.status) !== -1;
+};
+
+/**
+ * Send a request, retrying it according to this policy.
+ * @param {string} method - the HTTP method, used to decide whether the request is idempotent.
+ * @param {function} attempt - `() -> Promise<Response>`, sends the request once.
+ * @returns {Promise} a promise of the last response. Rejected with the last error if every attempt failed.
+ */
+RetryPolicy.prototype.run = function (method, attempt) {
+    var policy = this;
+    function tryFrom(retry) {
+        return attempt().then(function (response) {
+            if (!policy.shouldRetry(method, retry, null, response))
+                return response;
+            return wait(policy.delay(retry)).then(function () { return tryFrom(retry + 1); });
+        }, function (error) {
+            if (!policy.shouldRetry(method, retry, error))
+                throw error;
+            return wait(policy.delay(retry)).then(function () { return tryFrom(retry + 1); });
+        });
+    }
+    return tryFrom(0);
+};
+
+/**
+ * Call `fetch` once, translating failures into `NetworkError` and `TimeoutError`, or `CancelledError` when the caller
+ * aborted the request through its `signal`. The request is aborted through an `AbortController`, when the environment
+ * provides one, once `timeout` milliseconds have passed.
+ * @param {string} url
+ * @param {object} options - fetch options.
+ * @param {number} [timeout] - milliseconds to wait for a response. No timeout if omitted or 0.
+ * @param {function} [fetchImpl] - the `fetch` to call instead of the global one.
+ * @returns {Promise} a promise of the response.
+ */
+function fetchOnce(url, options, timeout, fetchImpl) {
+    var controller = timeout && !options.signal && typeof AbortController !== 'undefined' ? new AbortController() : null;
+    var requestOptions = controller ? Object.assign({}, options, { signal: controller.signal }) : options;
+    return new Promise(function (resolve, reject) {
+        var timer = null;
+        if (timeout) {
+            timer = setTimeout(function () {
+                reject(new errors.TimeoutError('Request to ' + url + ' timed out after ' + timeout + 'ms', { url: url }));
+                if (controller)
+                    controller.abort();
+            }, timeout);
+        }
+        (fetchImpl || fetch)(url, requestOptions).then(function (response) {
+            clearTimeout(timer);
+            resolve(response);
+        }, function (error) {
+            clearTimeout(timer);
+            if (error instanceof errors.BlackstarError)
+                return reject(error);
+            if (options.signal && options.signal.aborted)
+                return reject(new errors.CancelledError('Request to ' + url + ' cancelled', { url: url, cause: error }));
+            reject(new errors.NetworkError('Request to ' + url + ' failed: ' + error.message, { url: url, cause: error }));
+        });
+    });
+}
+
+function wait(milliseconds) {
+    return new Promise(function (resolve) { setTimeout(resolve, milliseconds); });
+}
+
+module.exports = {
+    RetryPolicy: RetryPolicy,
+    fetchOnce: fetchOnce
+};
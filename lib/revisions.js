@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * Comparing revisions of a chunk.
+ * @module Revisions
+ */
+
+// Revision metadata, which is not part of the content being compared.
+var METADATA = ['id', 'revision', 'savedAt', 'status'];
+
+/**
+ * The differences between two versions of a chunk.
+ * @example
+ * diffChunks({ html: '<p>Hi</p>', tags: ['en'] }, { html: '<p>Hello</p>', tags: ['en', 'home'] });
+ * // [{ field: 'html', before: '<p>Hi</p>', after: '<p>Hello</p>', lines: [...] },
+ * //  { field: 'tags', before: ['en'], after: ['en', 'home'], added: ['home'], removed: [] }]
+ * @param {object} before
+ * @param {object} after
+ * @returns {Array} one change `{ field, before, after }` per field that differs, ignoring revision metadata. Changes
+ * to text fields have `lines`, as returned by `diffLines`, and changes to `tags` list the tags `added` and `removed`.
+ */
+function diffChunks(before, after) {
+    var fields = Object.keys(before).concat(Object.keys(after)).filter(function (field, index, all) {
+        return all.indexOf(field) === index && METADATA.indexOf(field) === -1;
+    });
+    return fields.filter(function (field) {
+        return JSON.stringify(before[field]) !== JSON.stringify(after[field]);
+    }).map(function (field) {
+        var change = { field: field, before: before[field], after: after[field] };
+        if (Array.isArray(change.before) || Array.isArray(change.after)) {
+            var from = change.before || [];
+            var to = change.after || [];
+            change.added = to.filter(function (item) { return from.indexOf(item) === -1; });
+            change.removed = from.filter(function (item) { return to.indexOf(item) === -1; });
+        } else if (typeof change.before === 'string' || typeof change.after === 'string') {
+            change.lines = diffLines(change.before || '', change.after || '');
+        }
+        return change;
+    });
+}
+
+/**
+ * A line by line diff of two texts, keeping the longest run of common lines.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array} `{ type: 'unchanged' | 'removed' | 'added', text }` for every line, in order.
+ */
+function diffLines(before, after) {
+    var a = before.split('\n');
+    var b = after.split('\n');
+    // common[i][j] is the length of the longest common subsequence of a[i..] and b[j..]
+    var common = [];
+    for (var i = a.length; i >= 0; i--) {
+        common[i] = [];
+        for (var j = b.length; j >= 0; j--) {
+            if (i === a.length || j === b.length)
+                common[i][j] = 0;
+            else if (a[i] === b[j])
+                common[i][j] = common[i + 1][j + 1] + 1;
+            else
+                common[i][j] = Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+    var lines = [];
+    i = 0;
+    j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ type: 'unchanged', text: a[i++] });
+            j++;
+        } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    return lines;
+}
+
+/**
+ * The content of a revision, without its revision metadata, ready to be saved with `update`.
+ * @param {object} revision
+ * @returns {object} the chunk.
+ */
+function revisionContent(revision) {
+    var chunk = Object.assign({}, revision);
+    METADATA.forEach(function (field) {
+        if (field !== 'id')
+            delete chunk[field];
+    });
+    return chunk;
+}
+
+module.exports = {
+    diffChunks: diffChunks,
+    diffLines: diffLines,
+    revisionContent: revisionContent
+};
@@ -0,0 +1,215 @@
+"use strict";
+
+var html = require('./html');
+
+/**
+ * HTML sanitisation of chunk content, so that scripts stored in a chunk do not run on the page it is bound to.
+ * @module Sanitize
+ */
+
+/**
+ * The default allow-list. `tags` lists the elements kept, `attributes` the attributes kept on every element (`*`) and
+ * on particular elements, where a trailing `*` allows a prefix such as `aria-*`. `schemes` lists the URL schemes allowed
+ * in `href`, `src`, `cite` and `srcset`; relative URLs are always allowed.
+ */
+var defaults = {
+    tags: [
+        'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite', 'code',
+        'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'footer',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark', 'nav', 'ol',
+        'p', 'picture', 'pre', 'q', 's', 'samp', 'section', 'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup',
+        'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+    ],
+    attributes: {
+        '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'aria-*'],
+        a: ['href', 'target', 'rel', 'name', 'hreflang'],
+        blockquote: ['cite'],
+        col: ['span'],
+        colgroup: ['span'],
+        del: ['cite', 'datetime'],
+        details: ['open'],
+        img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading'],
+        ins: ['cite', 'datetime'],
+        ol: ['start', 'reversed', 'type'],
+        q: ['cite'],
+        source: ['srcset', 'sizes', 'media', 'type'],
+        td: ['colspan', 'rowspan', 'headers'],
+        th: ['colspan', 'rowspan', 'headers', 'scope'],
+        time: ['datetime']
+    },
+    schemes: ['http', 'https', 'mailto', 'tel']
+};
+
+// Elements removed together with their content rather than unwrapped.
+var DROP_CONTENT = ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'noembed', 'textarea', 'title', 'svg', 'math', 'select'];
+var URL_ATTRIBUTES = ['href', 'src', 'cite', 'srcset'];
+var NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', colon: ':', tab: '\t', newline: '\n' };
+
+/**
+ * Remove everything from `markup` that is not on the allow-list: disallowed elements are unwrapped (or dropped with their
+ * content, in the case of `script`, `style` and similar), disallowed attributes and URLs with disallowed schemes are
+ * removed, and comments are dropped. Unclosed elements are closed so that the markup cannot leak out of the element it
+ * is bound to.
+ * @example
+ * sanitizeHtml('<p onclick="steal()">Hi<script>steal()</script></p>'); // '<p>Hi</p>'
+ * sanitizeHtml(chunk.html, { tags: sanitizeHtml.defaults.tags.concat(['video']), attributes: { video: ['src', 'controls'] } });
+ * @param {string} markup
+ * @param {object} [options] - `{ tags: string[], attributes: object, schemes: string[] }`. `tags` and `schemes` replace
+ * the defaults; `attributes` replaces the defaults of the elements it names.
+ * @returns {string} the sanitised markup.
+ */
+function sanitizeHtml(markup, options) {
+    var allowed = allowList(options);
+    var tokens = html.tokenize(String(markup === undefined || markup === null ? '' : markup));
+    var open = [];
+    var output = '';
+    for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i];
+        if (token.type === 'text') {
+            output += token.raw.replace(/</g, '&lt;');
+        } else if (token.type === 'start') {
+            if (allowed.tags.indexOf(token.name) === -1) {
+                if (DROP_CONTENT.indexOf(token.name) !== -1 && !token.selfClosing)
+                    i = html.matchingEnd(tokens, i);
+                continue;
+            }
+            var selfClosing = html.VOID_ELEMENTS.indexOf(token.name) !== -1;
+            output += startTag(token.name, allowedAttributes(token, allowed), selfClosing);
+            if (!selfClosing)
+                open.push(token.name);
+        } else if (token.type === 'end') {
+            var index = open.lastIndexOf(token.name);
+            if (index === -1)
+                continue;
+            while (open.length > index)
+                output += '</' + open.pop() + '>';
+        }
+    }
+    while (open.length > 0)
+        output += '</' + open.pop() + '>';
+    return output;
+}
+sanitizeHtml.defaults = defaults;
+
+function allowList(options) {
+    options = options || {};
+    return {
+        tags: options.tags || defaults.tags,
+        attributes: Object.assign({}, defaults.attributes, options.attributes),
+        schemes: (options.schemes || defaults.schemes).map(function (scheme) { return scheme.toLowerCase(); })
+    };
+}
+
+function allowedAttributes(token, allowed) {
+    var names = (allowed.attributes['*'] || []).concat(allowed.attributes[token.name] || []);
+    var attributes = token.attributes.filter(function (attr) {
+        if (!names.some(function (name) { return matchesName(name, attr.name); }))
+            return false;
+        if (attr.name === 'srcset')
+            return decodeEntities(attr.value).split(',').every(function (candidate) {
+                return safeUrl(candidate.trim().split(/\s+/)[0], allowed.schemes);
+            });
+        return URL_ATTRIBUTES.indexOf(attr.name) === -1 || safeUrl(decodeEntities(attr.value), allowed.schemes);
+    }).map(function (attr) {
+        var url = URL_ATTRIBUTES.indexOf(attr.name) !== -1;
+        return { name: attr.name, value: url ? decodeEntities(attr.value) : attr.value, decoded: url };
+    });
+    // links opening another window must not be able to navigate this one
+    if (token.name === 'a' && attributes.some(function (attr) { return attr.name === 'target'; })) {
+        var rel = attributes.filter(function (attr) { return attr.name === 'rel'; })[0];
+        if (!rel)
+            attributes.push(rel = { name: 'rel', value: '' });
+        if (!/\bnoopener\b/i.test(rel.value))
+            rel.value = (rel.value + ' noopener').trim();
+    }
+    return attributes;
+}
+
+function matchesName(pattern, name) {
+    return /\*$/.test(pattern) ? name.indexOf(pattern.slice(0, -1)) === 0 : pattern === name;
+}
+
+function safeUrl(url, schemes) {
+    // browsers ignore control characters and whitespace when reading the scheme
+    var normalised = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+    var scheme = /^([a-zA-Z][a-zA-Z0-9+.\-]*):/.exec(normalised);
+    return !scheme || schemes.indexOf(scheme[1].toLowerCase()) !== -1;
+}
+
+/**
+ * Test a URL against the schemes allowed by the sanitiser.
+ * @param {string} url - the URL, with any entities decoded.
+ * @param {object} [options] - sanitiser options; only `schemes` is used.
+ * @returns {boolean} true if the URL is relative or has an allowed scheme.
+ */
+function isSafeUrl(url, options) {
+    return safeUrl(url, allowList(options).schemes);
+}
+
+/**
+ * Decode the character references in an attribute value, as a browser would before reading it as a URL.
+ * @param {string} value
+ * @returns {string} the decoded value. Unknown named references are left as they are.
+ */
+function decodeEntities(value) {
+    return value.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z]+));?/g, function (entity, decimal, hex, name) {
+        if (name)
+            return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name.toLowerCase()) ? NAMED_ENTITIES[name.toLowerCase()] : entity;
+        var code = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\uFFFD';
+    });
+}
+
+// Serialise a start tag. Decoded URLs have every `&` escaped, so that the browser reads exactly the URL that was checked.
+function startTag(name, attributes, selfClosing) {
+    return '<' + name + attributes.map(function (attr) {
+        var value = attr.decoded ? attr.value.replace(/&/g, '&amp;') : attr.value;
+        return ' ' + attr.name + '="' + html.escapeAttribute(value) + '"';
+    }).join('') + (selfClosing ? ' />' : '>');
+}
+
+var policies = {};
+
+/**
+ * The Trusted Types policy used to write chunk html into the DOM, in browsers that support Trusted Types. Its
+ * `createHTML(html, options)` sanitises `html` with `options`, or passes it through when `options` is `false`.
+ * @param {string} name - the policy name, which must be allowed by the page's `trusted-types` CSP directive.
+ * @returns {object|null} the policy, or `null` where Trusted Types are not supported.
+ */
+function trustedTypesPolicy(name) {
+    var trustedTypes = typeof window !== 'undefined' ? window.trustedTypes : undefined;
+    if (!trustedTypes || !trustedTypes.createPolicy)
+        return null;
+    if (!policies[name]) {
+        policies[name] = trustedTypes.createPolicy(name, {
+            createHTML: function (markup, options) {
+                return options === false ? markup : sanitizeHtml(markup, options);
+            }
+        });
+    }
+    return policies[name];
+}
+
+/**
+ * Prepare chunk html for assignment to `innerHTML`: sanitise it, unless `options` is `false`, and wrap it in a
+ * `TrustedHTML` where Trusted Types are supported.
+ * @param {string} markup
+ * @param {object|boolean} options - sanitiser options, `true` for the defaults, or `false` for trusted content.
+ * @param {string} policyName - the Trusted Types policy name.
+ * @returns {string|TrustedHTML}
+ */
+function toHtml(markup, options, policyName) {
+    options = options === true ? undefined : options;
+    var policy = trustedTypesPolicy(policyName);
+    if (policy)
+        return policy.createHTML(markup === undefined || markup === null ? '' : String(markup), options);
+    return options === false ? markup : sanitizeHtml(markup, options);
+}
+
+module.exports = {
+    sanitizeHtml: sanitizeHtml,
+    isSafeUrl: isSafeUrl,
+    decodeEntities: decodeEntities,
+    trustedTypesPolicy: trustedTypesPolicy,
+    toHtml: toHtml
+};
@@ -0,0 +1,98 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+
+/**
+ * Serving client requests from a static bundle built by `blackstar-build`.
+ * @module Static
+ */
+
+/** The version of the bundle format written by the build tool. */
+var BUNDLE_FORMAT = 1;
+
+/**
+ * Create a `fetch` that answers the requests of a `Client` from a bundle instead of a server: chunk listings and
+ * `byids`, `bynames` and `bytags` queries, tags, admin search and media search. Every other request, including every
+ * write, fails with HTTP 405 because a bundle is read only.
+ * @param {object} bundle - a bundle as written by `buildBundle`.
+ * @param {string} serverUrl - the server url of the client, ending in a slash.
+ * @returns {function} a function taking a url and fetch options, returning a promise of a response.
+ */
+function bundleFetch(bundle, serverUrl) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT)
+        throw new Error('Unsupported bundle format ' + (bundle && bundle.format) + ', expected ' + BUNDLE_FORMAT);
+    var routes = [
+        { pattern: /^api\/content\/?$/, answer: function () { return bundle.chunks; } },
+        { pattern: /^api\/content\/byids\/(.+)$/, answer: function (values) { return matching(bundle.chunks, 'id', values); } },
+        { pattern: /^api\/content\/bynames\/(.+)$/, answer: function (values) { return matching(bundle.chunks, 'name', values); } },
+        {
+            pattern: /^api\/content\/bytags\/(.+)$/,
+            answer: function (tags) {
+                return bundle.chunks.filter(function (chunk) {
+                    return tags.every(function (tag) { return (chunk.tags || []).indexOf(tag) !== -1; });
+                });
+            }
+        },
+        { pattern: /^api\/tags\/?$/, answer: function () { return bundle.tags; } },
+        {
+            pattern: /^api\/adminSearch\/(.*)$/,
+            answer: function (terms) { return search(bundle.chunks, terms.join('/'), ['name', 'html', 'value', 'tags']); }
+        },
+        {
+            pattern: /^api\/mediaSearch\/(.*)$/,
+            answer: function (terms) { return search(bundle.media || [], terms.join('/'), ['hash', 'name', 'filename', 'type']); }
+        }
+    ];
+    return function (url, options) {
+        var method = ((options && options.method) || 'GET').toUpperCase();
+        var path = url.indexOf(serverUrl) === 0 ? url.slice(serverUrl.length).split(/[?#]/)[0] : null;
+        if (method !== 'GET' || path === null)
+            return Promise.resolve(response(405, { message: 'A static bundle only answers reads of its own content' }));
+        for (var i = 0; i < routes.length; i++) {
+            var match = routes[i].pattern.exec(path);
+            if (match) {
+                var values = match[1] === undefined ? [] : match[1].split('/').map(decodeURIComponent);
+                return Promise.resolve(response(200, routes[i].answer(values)));
+            }
+        }
+        return Promise.resolve(response(404, { message: 'Not in the bundle: ' + path }));
+    };
+}
+
+function matching(chunks, field, values) {
+    return chunks.filter(function (chunk) { return values.indexOf(String(chunk[field])) !== -1; });
+}
+
+/**
+ * Case insensitive substring search, as done by the server's admin and media search.
+ * @param {Array} items
+ * @param {string} query
+ * @param {Array} fields - the fields of each item that are searched.
+ * @returns {Array} the items with a field containing `query`.
+ */
+function search(items, query, fields) {
+    var term = query.toLowerCase();
+    return items.filter(function (item) {
+        return fields.some(function (field) {
+            var value = item[field];
+            return value !== undefined && value !== null && String(value).toLowerCase().indexOf(term) !== -1;
+        });
+    });
+}
+
+function response(status, body) {
+    var text = JSON.stringify(body);
+    return {
+        status: status,
+        ok: status >= 200 && status < 300,
+        headers: { get: function (name) { return name.toLowerCase() === 'content-type' ? 'application/json' : null; } },
+        text: function () { return Promise.resolve(text); },
+        json: function () { return Promise.resolve(JSON.parse(text)); }
+    };
+}
+
+module.exports = {
+    BUNDLE_FORMAT: BUNDLE_FORMAT,
+    bundleFetch: bundleFetch,
+    search: search
+};
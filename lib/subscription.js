@@ -0,0 +1,261 @@
+"use strict";
+
+var Query = require('./query').Query;
+
+/**
+ * A live subscription to chunk changes. Create one with `client.subscribe(query, callback)`.
+ *
+ * Change events are pushed by the server over server-sent events or a WebSocket at `api/events`. Each message is JSON
+ * of the form `{ type: 'created' | 'updated' | 'deleted', chunk: object }`. The client's token is sent as the
+ * `access_token` query parameter, since neither transport can send an `Authorization` header. Dropped connections are
+ * reopened with exponential backoff; if push cannot be established at all the subscription polls all chunks, past the
+ * client's cache, and diffs the results.
+ * @constructor
+ * @param {Client} client
+ * @param {object|Query|null} query - a `get` request (`{ ids }`, `{ names }` or `{ tags }`), a `Query`, or `null` for
+ * every chunk. Only matching changes are delivered.
+ * @param {function} callback - called with each matching event.
+ * @param {object} [options] - `{ transport: string, bind: boolean, pollInterval: number, minDelay: number, maxDelay: number, maxAttempts: number, EventSource: function, WebSocket: function, onError: function }`.
+ * `transport` is `auto` (the default), `sse`, `websocket` or `poll`. With `bind` the affected elements on the page are
+ * re-rendered in place. `pollInterval` defaults to 30000ms. Reconnection starts after `minDelay` (1000ms) and backs off
+ * to `maxDelay` (30000ms); after `maxAttempts` (5) failures without ever connecting, `auto` falls back to polling.
+ * `EventSource` and `WebSocket` override the global implementations, e.g. in node. `onError(error)` is called when a
+ * poll fails or delivering an event throws; the subscription carries on either way.
+ */
+function Subscription(client, query, callback, options) {
+    options = options || {};
+    this.client = client;
+    this.query = query || null;
+    this.callback = callback;
+    this.transport = options.transport || 'auto';
+    this.bind = !!options.bind;
+    this.pollInterval = options.pollInterval || 30000;
+    this.minDelay = typeof options.minDelay === 'number' ? options.minDelay : 1000;
+    this.maxDelay = typeof options.maxDelay === 'number' ? options.maxDelay : 30000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.EventSource = options.EventSource || (typeof EventSource !== 'undefined' ? EventSource : null);
+    this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this.onError = options.onError || function () { };
+    this.known = {};
+    this.snapshot = null;
+    this.connection = null;
+    this.connected = false;
+    this.attempts = 0;
+    this.timer = null;
+    this.closed = false;
+    this.mode = null;
+}
+
+/**
+ * Open the connection. Called by `client.subscribe`.
+ * @returns {Subscription} this subscription.
+ */
+Subscription.prototype.start = function () {
+    var mode = this.transport;
+    if (mode === 'auto')
+        mode = this.EventSource ? 'sse' : this.WebSocket ? 'websocket' : 'poll';
+    this.mode = mode;
+    if (mode === 'poll')
+        this.poll();
+    else
+        this.connect();
+    return this;
+};
+
+/**
+ * Close the connection and stop polling. No events are delivered afterwards.
+ */
+Subscription.prototype.unsubscribe = function () {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.disconnect();
+};
+
+Subscription.prototype.connect = function () {
+    var subscription = this;
+    return subscription.client.tokens.token().then(function (token) {
+        if (!subscription.closed)
+            subscription.open(token);
+    }, function () {
+        subscription.retry();
+    });
+};
+
+Subscription.prototype.open = function (token) {
+    var subscription = this;
+    var url = subscription.client.serverUrl + 'api/events' + (token ? '?access_token=' + encodeURIComponent(token) : '');
+    var connection;
+    if (subscription.mode === 'sse')
+        connection = new subscription.EventSource(url, { withCredentials: true });
+    else
+        connection = new subscription.WebSocket(url.replace(/^http/, 'ws'));
+    connection.onopen = function () {
+        subscription.connected = true;
+        subscription.attempts = 0;
+    };
+    connection.onmessage = function (message) {
+        var event;
+        try {
+            event = JSON.parse(message.data);
+        } catch (e) {
+            return;
+        }
+        try {
+            subscription.handle(event);
+        } catch (error) {
+            subscription.onError(error);
+        }
+    };
+    connection.onerror = function () {
+        if (subscription.mode === 'sse')
+            subscription.reconnect();
+    };
+    connection.onclose = function () {
+        subscription.reconnect();
+    };
+    subscription.connection = connection;
+};
+
+Subscription.prototype.disconnect = function () {
+    var connection = this.connection;
+    this.connection = null;
+    if (connection) {
+        connection.onopen = connection.onmessage = connection.onerror = connection.onclose = null;
+        connection.close();
+    }
+};
+
+Subscription.prototype.reconnect = function () {
+    var subscription = this;
+    if (subscription.closed || !subscription.connection)
+        return;
+    subscription.disconnect();
+    subscription.retry();
+};
+
+// Count a failed attempt to connect and try again later, or fall back to polling.
+Subscription.prototype.retry = function () {
+    var subscription = this;
+    if (subscription.closed)
+        return;
+    subscription.attempts++;
+    if (!subscription.connected && subscription.transport === 'auto' && subscription.attempts >= subscription.maxAttempts) {
+        subscription.mode = 'poll';
+        subscription.poll();
+        return;
+    }
+    var delay = Math.min(subscription.maxDelay, subscription.minDelay * Math.pow(2, subscription.attempts - 1));
+    subscription.timer = setTimeout(function () { subscription.connect(); }, delay);
+};
+
+Subscription.prototype.poll = function () {
+    var subscription = this;
+    if (subscription.closed)
+        return;
+    function next() {
+        clearTimeout(subscription.timer);
+        if (!subscription.closed)
+            subscription.timer = setTimeout(function () { subscription.poll(); }, subscription.pollInterval);
+    }
+    var client = subscription.client;
+    // a cached listing would hide changes made since it was cached
+    return client.blackstarFetch(client.apiUrl.slice(0, -1), { cache: 'no-store' }).then(function (response) {
+        return response.json();
+    }).then(function (chunks) {
+        subscription.diff(client.enrichCollectionWithByMethods(chunks));
+    }).then(null, function (error) {
+        subscription.onError(error);
+    }).then(next);
+};
+
+// Turn the difference between two getAll results into change events. The first result only records a baseline.
+Subscription.prototype.diff = function (chunks) {
+    var subscription = this;
+    var previous = subscription.snapshot;
+    var current = {};
+    chunks.forEach(function (chunk) { current[chunk.id] = chunk; });
+    subscription.snapshot = current;
+    if (previous === null)
+        return;
+    Object.keys(current).forEach(function (id) {
+        if (!previous[id])
+            subscription.handle({ type: 'created', chunk: current[id] });
+        else if (JSON.stringify(previous[id]) !== JSON.stringify(current[id]))
+            subscription.handle({ type: 'updated', chunk: current[id] });
+    });
+    Object.keys(previous).forEach(function (id) {
+        if (!current[id])
+            subscription.handle({ type: 'deleted', chunk: previous[id] });
+    });
+};
+
+Subscription.prototype.handle = function (event) {
+    if (this.closed || !event || !event.chunk)
+        return;
+    var chunk = event.chunk;
+    var wasKnown = Object.prototype.hasOwnProperty.call(this.known, chunk.id);
+    var matches = this.matches(chunk);
+    if (event.type === 'deleted') {
+        delete this.known[chunk.id];
+        if (!wasKnown && !matches)
+            return;
+    } else if (matches) {
+        this.known[chunk.id] = chunk;
+    } else {
+        // an update that moves a chunk out of the query is delivered as a deletion
+        if (!wasKnown)
+            return;
+        delete this.known[chunk.id];
+        event = { type: 'deleted', chunk: chunk };
+    }
+    if (this.bind)
+        this.render(event);
+    this.callback(event);
+};
+
+/**
+ * Test a chunk against the subscription's query.
+ * @param {object} chunk
+ * @returns {boolean} true if changes to the chunk are delivered.
+ */
+Subscription.prototype.matches = function (chunk) {
+    var query = this.query;
+    if (query === null)
+        return true;
+    if (query instanceof Query)
+        return query.matches(chunk);
+    switch (this.client.requestKind(query)) {
+        case 'ids':
+            return query.ids.map(String).indexOf(String(chunk.id)) !== -1;
+        case 'names':
+            return query.names.indexOf(chunk.name) !== -1;
+        default:
+            return query.tags.every(function (tag) { return (chunk.tags || []).indexOf(tag) !== -1; });
+    }
+};
+
+// Re-render the elements bound to the changed chunk.
+Subscription.prototype.render = function (event) {
+    if (typeof window === 'undefined' || typeof window.document === 'undefined')
+        return;
+    var chunk = event.chunk;
+    if (event.type === 'deleted') {
+        var bound = document.querySelectorAll('[data-blackstar-id="' + chunk.id + '"]');
+        for (var i = 0; i < bound.length; i++) {
+            bound[i].textContent = '';
+            bound[i].removeAttribute('data-blackstar-id');
+        }
+        return;
+    }
+    var client = this.client;
+    var elements = document.querySelectorAll('[data-blackstar-id="' + chunk.id + '"]');
+    if (!elements.length)
+        elements = document.querySelectorAll('[data-blackstar-name="' + chunk.name + '"]:not([data-blackstar-id])');
+    Array.prototype.forEach.call(elements, function (el) {
+        client.bind([chunk], function () { return el; });
+    });
+};
+
+module.exports = {
+    Subscription: Subscription
+};
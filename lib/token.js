@@ -0,0 +1,250 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+var docCookies = require('./cookies');
+var errors = require('./errors');
+
+/**
+ * Token providers, token stores and the `TokenManager` that ties them together.
+ *
+ * A token provider is an object with `getToken()` and, optionally, `refreshToken()`. Both may return the token directly
+ * or as a promise, and may return `null` when no token is available.
+ *
+ * A token store persists the current token, e.g. so that the admin pages of the Blackstar server can read it from a
+ * cookie. It has `get()`, `set(token)` and `remove()` methods.
+ * @module Token
+ */
+
+/**
+ * A provider for a token that never changes. Used when the client is created with `options.token`.
+ * @constructor
+ * @param {string} token
+ */
+function StaticTokenProvider(token) {
+    this.token = token || null;
+}
+StaticTokenProvider.prototype.getToken = function () {
+    return this.token;
+};
+
+/**
+ * Persists the token in a cookie.
+ * @constructor
+ * @param {object} [options] - `{ name: string, path: string, domain: string, secure: boolean, sameSite: string, expires: number|string|Date }`.
+ * `name` defaults to `t`, the cookie read by the Blackstar server. `expires` is a max-age in seconds, an expiry date string or a `Date`.
+ */
+function CookieTokenStore(options) {
+    options = options || {};
+    this.name = options.name || 't';
+    this.path = options.path;
+    this.domain = options.domain;
+    this.secure = options.secure;
+    this.sameSite = options.sameSite;
+    this.expires = options.expires;
+}
+CookieTokenStore.prototype.get = function () {
+    return hasDocument() ? docCookies.getItem(this.name) : null;
+};
+CookieTokenStore.prototype.set = function (token) {
+    if (hasDocument())
+        docCookies.setItem(this.name, token, this.expires, this.path, this.domain, this.secure, this.sameSite);
+};
+CookieTokenStore.prototype.remove = function () {
+    if (hasDocument())
+        docCookies.removeItem(this.name, this.path, this.domain);
+};
+
+/**
+ * Persists the token in a Web Storage object such as `window.sessionStorage`.
+ * @constructor
+ * @param {Storage} storage
+ * @param {string} [key] - defaults to `blackstar:token`.
+ */
+function WebStorageTokenStore(storage, key) {
+    this.storage = storage;
+    this.key = key || 'blackstar:token';
+}
+WebStorageTokenStore.prototype.get = function () {
+    return this.storage.getItem(this.key);
+};
+WebStorageTokenStore.prototype.set = function (token) {
+    this.storage.setItem(this.key, token);
+};
+WebStorageTokenStore.prototype.remove = function () {
+    this.storage.removeItem(this.key);
+};
+
+/**
+ * Keeps the token in memory only, so it is lost when the page is reloaded.
+ * @constructor
+ */
+function MemoryTokenStore() {
+    this.token = null;
+}
+MemoryTokenStore.prototype.get = function () {
+    return this.token;
+};
+MemoryTokenStore.prototype.set = function (token) {
+    this.token = token;
+};
+MemoryTokenStore.prototype.remove = function () {
+    this.token = null;
+};
+
+function NullTokenStore() { }
+NullTokenStore.prototype.get = function () { return null; };
+NullTokenStore.prototype.set = function () { };
+NullTokenStore.prototype.remove = function () { };
+
+/**
+ * Create the token store named by the `tokenStorage` client option.
+ * @param {string|object} [storage] - `cookie` (the default), `sessionStorage`, `memory`, `none` or a custom store.
+ * `sessionStorage` falls back to `memory` where there is none, e.g. in node.
+ * @param {object} [cookieOptions] - the options of the `cookie` store.
+ * @returns {object} a token store.
+ */
+function createTokenStore(storage, cookieOptions) {
+    if (storage && typeof storage === 'object')
+        return storage;
+    switch (storage || 'cookie') {
+        case 'cookie':
+            return new CookieTokenStore(cookieOptions);
+        case 'sessionStorage':
+            return typeof window !== 'undefined' && window.sessionStorage
+                ? new WebStorageTokenStore(window.sessionStorage)
+                : new MemoryTokenStore();
+        case 'memory':
+            return new MemoryTokenStore();
+        case 'none':
+            return new NullTokenStore();
+        default:
+            throw new Error('Unknown token storage: ' + storage);
+    }
+}
+
+/**
+ * Supplies the token for each request. Tokens are taken from the provider and refreshed through the provider when they
+ * are rejected by the server or, for JWTs, when they are about to expire. Concurrent callers share a single refresh.
+ * @constructor
+ * @param {object} provider - a token provider.
+ * @param {object} store - a token store.
+ * @param {object} [options] - `{ expirySkew: number, restore: boolean }`. `expirySkew` is the number of seconds before a
+ * JWT's `exp` at which it is refreshed, 30 by default. With `restore`, the token kept in the store, e.g. by an earlier
+ * page, is used when the provider has none.
+ */
+function TokenManager(provider, store, options) {
+    options = options || {};
+    this.provider = provider;
+    this.store = store;
+    this.expirySkew = typeof options.expirySkew === 'number' ? options.expirySkew : 30;
+    this.restore = !!options.restore;
+    this.current = null;
+    this.refreshing = null;
+}
+TokenManager.prototype.canRefresh = function () {
+    return typeof this.provider.refreshToken === 'function';
+};
+/**
+ * The provider is asked for a token until it supplies one; after that the token is reused until it is refreshed.
+ * @returns {Promise} a promise of the token to send, or `null` if there is none.
+ */
+TokenManager.prototype.token = function () {
+    var manager = this;
+    if (manager.refreshing)
+        return manager.refreshing;
+    if (manager.current) {
+        if (manager.canRefresh() && isExpired(manager.current, manager.expirySkew))
+            return manager.refresh();
+        return Promise.resolve(manager.current);
+    }
+    return Promise.resolve(manager.provider.getToken()).then(function (token) {
+        if (!token && manager.restore)
+            token = manager.store.get();
+        if (token && manager.canRefresh() && isExpired(token, manager.expirySkew))
+            return manager.refresh();
+        return manager.use(token || null);
+    });
+};
+/**
+ * Refresh the token. Calls made while a refresh is in flight share its result.
+ * @returns {Promise} a promise of the new token. Rejects with an `AuthError` if the provider fails to refresh it.
+ */
+TokenManager.prototype.refresh = function () {
+    var manager = this;
+    if (!manager.refreshing) {
+        var settle = function () { manager.refreshing = null; };
+        manager.refreshing = Promise.resolve(manager.provider.refreshToken()).then(function (token) {
+            return manager.use(token || null);
+        }, function (error) {
+            if (error instanceof errors.BlackstarError)
+                throw error;
+            throw new errors.AuthError('The token could not be refreshed: ' + (error && error.message), { cause: error });
+        });
+        manager.refreshing.then(settle, settle);
+    }
+    return manager.refreshing;
+};
+/**
+ * Obtain a token to replace `rejected`, which the server refused. Refreshes only if no other request has already
+ * replaced it.
+ * @param {string} rejected - the token sent with the refused request.
+ * @returns {Promise} a promise of the replacement token.
+ */
+TokenManager.prototype.replace = function (rejected) {
+    if (this.refreshing || this.current === rejected)
+        return this.refresh();
+    return Promise.resolve(this.current);
+};
+TokenManager.prototype.use = function (token) {
+    if (token !== this.current) {
+        this.current = token;
+        if (token)
+            this.store.set(token);
+        else
+            this.store.remove();
+    }
+    return token;
+};
+
+/**
+ * Read the `exp` claim of a JWT.
+ * @param {string} token
+ * @returns {number|null} the expiry time in seconds since the epoch, or `null` if `token` is not a JWT with an expiry.
+ */
+function jwtExpiry(token) {
+    var parts = String(token).split('.');
+    if (parts.length !== 3)
+        return null;
+    try {
+        var payload = JSON.parse(base64UrlDecode(parts[1]));
+        return typeof payload.exp === 'number' ? payload.exp : null;
+    } catch (e) {
+        return null;
+    }
+}
+function isExpired(token, skew) {
+    var expiry = jwtExpiry(token);
+    return expiry !== null && expiry - skew <= Date.now() / 1000;
+}
+function base64UrlDecode(input) {
+    var base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+    while (base64.length % 4)
+        base64 += '=';
+    if (typeof atob === 'function')
+        return decodeURIComponent(escape(atob(base64)));
+    return Buffer.from(base64, 'base64').toString('utf8');
+}
+
+function hasDocument() {
+    return typeof document !== 'undefined';
+}
+
+module.exports = {
+    StaticTokenProvider: StaticTokenProvider,
+    CookieTokenStore: CookieTokenStore,
+    WebStorageTokenStore: WebStorageTokenStore,
+    MemoryTokenStore: MemoryTokenStore,
+    TokenManager: TokenManager,
+    createTokenStore: createTokenStore,
+    jwtExpiry: jwtExpiry
+};
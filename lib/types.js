@@ -0,0 +1,276 @@
+"use strict";
+
+var errors = require('./errors');
+var html = require('./html');
+var markdown = require('./markdown');
+var sanitize = require('./sanitize');
+
+/**
+ * Chunk content types: how a chunk is validated before it is saved, parsed when it is read and rendered when it is bound.
+ * @module Types
+ */
+
+var FIELD_TYPES = ['string', 'number', 'boolean', 'object', 'array'];
+
+/**
+ * The built-in types. A chunk names its type in its `type` field.
+ *
+ * - `html`: rich text in `html`. Chunks without a `type` are treated as `html` but are not validated.
+ * - `text`: plain text in `value`, escaped when bound.
+ * - `markdown`: Markdown in `value`, rendered to HTML when bound.
+ * - `json`: any JSON in `value`. Bound as its `html`, if it has any.
+ * - `link`: `{ href, text, title }` as JSON in `value`, bound as an `<a>`.
+ * - `image`: `{ hash, alt, width, height }` as JSON in `value`, a reference to a media item bound as an `<img>`.
+ *
+ * The JSON of `json`, `link` and `image` chunks is parsed into their `data` when they are read, and `data` is sent as
+ * their `value` when they are saved. Until `data` is assigned it follows `value`, so either one can be edited.
+ */
+var BUILT_IN = {
+    html: {
+        inline: true,
+        validate: function (chunk) { return typeof chunk.html === 'string' ? [] : ['html must be a string']; },
+        render: function (chunk) { return chunk.html || ''; }
+    },
+    text: {
+        validate: valueIsString,
+        render: function (chunk) { return html.escapeText(chunk.value || ''); }
+    },
+    markdown: {
+        validate: valueIsString,
+        render: function (chunk) { return markdown.renderMarkdown(chunk.value); }
+    },
+    json: {
+        structured: true
+    },
+    link: {
+        structured: true,
+        schema: {
+            href: { type: 'string', required: true },
+            text: { type: 'string', required: true },
+            title: { type: 'string' }
+        },
+        validate: function (chunk, data) {
+            return typeof data.href === 'string' && safeHref(data.href) === null ? ['href is not a safe url'] : [];
+        },
+        render: function (chunk, client, data) {
+            var url = typeof data.href === 'string' ? safeHref(data.href) : null;
+            var href = url !== null ? ' href="' + html.escapeAttribute(url.replace(/&/g, '&amp;')) + '"' : '';
+            var title = data.title ? ' title="' + html.escapeAttribute(data.title) + '"' : '';
+            return '<a' + href + title + '>' + html.escapeText(data.text || '') + '</a>';
+        }
+    },
+    image: {
+        structured: true,
+        schema: {
+            hash: { type: 'string', required: true },
+            alt: { type: 'string', required: true },
+            width: { type: 'number' },
+            height: { type: 'number' }
+        },
+        render: function (chunk, client, data) {
+            if (typeof data.hash !== 'string')
+                return '';
+            return '<img src="' + html.escapeAttribute(client.mediaUrlFor(data.hash)) + '" alt="' + html.escapeAttribute(data.alt || '') + '"' +
+                ['width', 'height'].map(function (size) {
+                    return typeof data[size] === 'number' ? ' ' + size + '="' + data[size] + '"' : '';
+                }).join('') + '>';
+        }
+    }
+};
+
+function valueIsString(chunk) {
+    return typeof chunk.value === 'string' ? [] : ['value must be a string'];
+}
+
+// The href a browser would read from the attribute, or null if it is unsafe. It is written back with every `&` escaped so
+// that the browser reads exactly the url that was checked.
+function safeHref(href) {
+    var url = sanitize.decodeEntities(href.trim());
+    return sanitize.isSafeUrl(url) ? url : null;
+}
+
+/**
+ * The chunk types known to a client, by name. Starts with the built-in types: `html`, `text`, `markdown`, `json`, `link`
+ * and `image`.
+ * @example
+ * var types = new TypeRegistry({
+ *     price: {
+ *         structured: true,
+ *         schema: { amount: { type: 'number', required: true }, currency: { type: 'string', required: true } },
+ *         render: function (chunk, client, data) { return data.currency + ' ' + data.amount.toFixed(2); }
+ *     }
+ * });
+ * @constructor
+ * @param {object} [types] - more types, by name, as for `define`.
+ */
+function TypeRegistry(types) {
+    var registry = this;
+    registry.types = {};
+    Object.keys(BUILT_IN).forEach(function (name) { registry.define(name, BUILT_IN[name]); });
+    Object.keys(types || {}).forEach(function (name) { registry.define(name, types[name]); });
+}
+
+/**
+ * Add a type, or replace one.
+ * @param {string} name - the name chunks give in their `type` field.
+ * @param {object} definition - `{ structured: boolean, schema: object, validate: function, render: function, inline: boolean }`.
+ * `structured` types hold JSON in `value`, parsed into `data`. `schema` describes the fields of `data` as
+ * `{ field: { type: 'string' | 'number' | 'boolean' | 'object' | 'array', required: boolean } }`.
+ * `validate(chunk, data)` returns a list of problems, empty if there are none. `render(chunk, client, data)` returns
+ * the chunk's HTML, which is sanitised like any chunk html; by default it is the chunk's `html`. Only `inline` types can
+ * be edited in place by the edit overlay.
+ * @returns {TypeRegistry} this registry.
+ */
+TypeRegistry.prototype.define = function (name, definition) {
+    if (!definition || typeof definition !== 'object')
+        throw new TypeError('The definition of chunk type ' + name + ' must be an object');
+    Object.keys(definition.schema || {}).forEach(function (field) {
+        if (FIELD_TYPES.indexOf(definition.schema[field].type) === -1)
+            throw new TypeError('Unknown type ' + definition.schema[field].type + ' for field ' + field + ' of chunk type ' + name);
+    });
+    this.types[name] = definition;
+    return this;
+};
+
+/**
+ * @param {object} chunk
+ * @returns {object|null} the definition of the chunk's type, or `null` if it is not known.
+ */
+TypeRegistry.prototype.typeOf = function (chunk) {
+    var name = chunk.type === undefined || chunk.type === null ? 'html' : chunk.type;
+    return Object.prototype.hasOwnProperty.call(this.types, name) ? this.types[name] : null;
+};
+
+/**
+ * Check a chunk against its type.
+ * @param {object} chunk
+ * @returns {Array} the problems found, empty if the chunk is valid. Chunks without a `type` are always valid.
+ */
+TypeRegistry.prototype.problems = function (chunk) {
+    if (chunk.type === undefined || chunk.type === null)
+        return [];
+    var type = this.typeOf(chunk);
+    if (!type)
+        return ['unknown type ' + chunk.type];
+    var data;
+    if (type.structured) {
+        data = chunk.data !== undefined ? chunk.data : parseJson(chunk.value);
+        if (data === undefined)
+            return ['value must be JSON'];
+        var problems = checkSchema(type.schema, data);
+        if (problems.length)
+            return problems;
+    }
+    return type.validate ? type.validate(chunk, data) : [];
+};
+
+/**
+ * Validate a chunk and prepare it to be sent to the server: the `data` of a structured chunk becomes its `value`.
+ * @param {object} chunk
+ * @returns {object} the chunk to send.
+ * @throws {ValidationError} listing every problem with the chunk.
+ */
+TypeRegistry.prototype.serialize = function (chunk) {
+    var problems = this.problems(chunk);
+    if (problems.length) {
+        var message = 'Chunk ' + (chunk.name || chunk.id || '') + ' is not a valid ' + chunk.type + ' chunk: ' + problems.join('; ');
+        throw new errors.ValidationError(message, { serverMessage: problems.join('; ') });
+    }
+    var type = this.typeOf(chunk);
+    if (!type || !type.structured || chunk.data === undefined)
+        return chunk;
+    var serialized = Object.assign({}, chunk, { value: JSON.stringify(chunk.data) });
+    delete serialized.data;
+    return serialized;
+};
+
+/**
+ * Parse the JSON `value` of a structured chunk into its `data`. Chunks that have `data` already, are not structured or
+ * whose value is not JSON are left alone. `data` is parsed again whenever `value` changes, until `data` is assigned.
+ * @param {object} chunk - changed in place.
+ * @returns {object} the chunk.
+ */
+TypeRegistry.prototype.parse = function (chunk) {
+    var type = this.typeOf(chunk);
+    if (type && type.structured && chunk.data === undefined && parseJson(chunk.value) !== undefined)
+        defineData(chunk);
+    return chunk;
+};
+
+/**
+ * Render a chunk as its type requires. Chunks of unknown types are rendered as their `html`.
+ * @param {object} chunk
+ * @param {Client} client - the client binding the chunk, used for example to build media urls.
+ * @returns {string} the HTML, not yet sanitised.
+ */
+TypeRegistry.prototype.render = function (chunk, client) {
+    var type = this.typeOf(chunk);
+    if (!type || !type.render)
+        return chunk.html || '';
+    var data = type.structured ? (chunk.data !== undefined ? chunk.data : parseJson(chunk.value)) : undefined;
+    if (type.structured && (data === null || typeof data !== 'object'))
+        return chunk.html || '';
+    return type.render(chunk, client, data);
+};
+
+/**
+ * @param {object} chunk
+ * @returns {boolean} true if the chunk's html can be edited in place.
+ */
+TypeRegistry.prototype.editsInline = function (chunk) {
+    var type = this.typeOf(chunk);
+    return !!type && !!type.inline;
+};
+
+// Make chunk.data follow chunk.value, keeping the parsed object while the value is unchanged so that it can be edited in
+// place. Assigning chunk.data makes it an ordinary property.
+function defineData(chunk) {
+    var parsedValue;
+    var parsed;
+    Object.defineProperty(chunk, 'data', {
+        configurable: true,
+        enumerable: true,
+        get: function () {
+            if (chunk.value !== parsedValue) {
+                parsedValue = chunk.value;
+                parsed = parseJson(chunk.value);
+            }
+            return parsed;
+        },
+        set: function (data) {
+            Object.defineProperty(chunk, 'data', { configurable: true, enumerable: true, writable: true, value: data });
+        }
+    });
+}
+
+function parseJson(value) {
+    if (typeof value !== 'string')
+        return undefined;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+function checkSchema(schema, data) {
+    if (!schema)
+        return [];
+    if (data === null || typeof data !== 'object' || Array.isArray(data))
+        return ['value must be a JSON object'];
+    return Object.keys(schema).reduce(function (problems, field) {
+        var value = data[field];
+        if (value === undefined || value === null) {
+            if (schema[field].required)
+                problems.push(field + ' is required');
+        } else if ((Array.isArray(value) ? 'array' : typeof value) !== schema[field].type) {
+            problems.push(field + ' must be ' + (schema[field].type === 'array' ? 'an array' : 'a ' + schema[field].type));
+        }
+        return problems;
+    }, []);
+}
+
+module.exports = {
+    TypeRegistry: TypeRegistry,
+    BUILT_IN: BUILT_IN
+};
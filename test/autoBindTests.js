@@ -0,0 +1,133 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+var installDom = require('./support/dom').installDom;
+
+describe('auto-binding', function () {
+    "use strict";
+    var chunks = [
+        { id: 6, name: 'heading', tags: ['home'], html: 'Welcome' },
+        { id: 7, name: 'caption', tags: ['home'], html: 'A <b>red</b> logo' },
+        { id: 8, name: 'news-1', tags: ['news', 'en'], html: 'First' },
+        { id: 9, name: 'news-2', tags: ['news', 'en'], html: 'Second' },
+        { id: 10, name: 'link', tags: [], html: 'javascript:steal()' },
+        { id: 11, name: 'about-url', tags: [], html: '/about' }
+    ];
+    var dom;
+    var fetch;
+    var client;
+    var binder;
+
+    // Answer bynames, byids and bytags requests from the chunks above.
+    function serve(url) {
+        var parts = url.replace('http://localhost:2999/api/content/', '').split('/').map(decodeURIComponent);
+        var kind = parts.shift();
+        return stubs.response(200, chunks.filter(chunk => {
+            if (kind === 'bynames')
+                return parts.indexOf(chunk.name) !== -1;
+            if (kind === 'byids')
+                return parts.indexOf(String(chunk.id)) !== -1;
+            return parts.every(tag => chunk.tags.indexOf(tag) !== -1);
+        }));
+    }
+    function setup(body, handler) {
+        dom = installDom('<!DOCTYPE html><html><body>' + body + '</body></html>');
+        fetch = stubs.stubFetch(handler || serve);
+        client = new Blackstar.Client('http://localhost:2999');
+    }
+    function $(selector) {
+        return dom.document.querySelector(selector);
+    }
+    function tick() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    afterEach(() => {
+        if (binder)
+            binder.disconnect();
+        binder = null;
+        fetch.restore();
+        dom.restore();
+    });
+
+    it('should bind names, ids and tags in one request each', () => {
+        setup('<h1 data-blackstar-name="heading"></h1><p data-blackstar-name="caption"></p><span data-blackstar-id="11"></span>' +
+            '<ul data-blackstar-tag="news en"><template><li class="item"></li></template></ul><div data-blackstar-tag="news en"></div>');
+        binder = client.autoBind();
+        return binder.ready.then(() => {
+            assert.equal(3, fetch.calls.length);
+            assert.equal('Welcome', $('h1').innerHTML);
+            assert.equal('6', $('h1').getAttribute('data-blackstar-id'));
+            assert.equal('bound', $('h1').getAttribute('data-blackstar-state'));
+            assert.equal('A <b>red</b> logo', $('p').innerHTML);
+            assert.equal('/about', $('span').innerHTML);
+            var items = dom.document.querySelectorAll('ul li.item');
+            assert.deepEqual(['First', 'Second'], Array.prototype.map.call(items, item => item.innerHTML));
+            assert.deepEqual(['8', '9'], Array.prototype.map.call(items, item => item.getAttribute('data-blackstar-id')));
+            assert.ok($('ul template'));
+            assert.equal(2, dom.document.querySelectorAll('div[data-blackstar-tag] > div').length);
+        });
+    });
+    it('should bind into attributes named by data-blackstar-field', () => {
+        setup('<img src="logo.png" data-blackstar-name="caption" data-blackstar-field="alt title" onerror="x">' +
+            '<a href="/" data-blackstar-name="about-url" data-blackstar-field="href"></a>' +
+            '<a href="/" data-blackstar-name="link" data-blackstar-field="href onclick"></a>' +
+            '<span data-blackstar-name="caption" data-blackstar-field="text"></span>');
+        binder = client.autoBind(dom.document.body);
+        return binder.ready.then(() => {
+            assert.equal('A red logo', $('img').getAttribute('alt'));
+            assert.equal('A red logo', $('img').getAttribute('title'));
+            assert.equal('/about', $('a[data-blackstar-name="about-url"]').getAttribute('href'));
+            assert.equal(null, $('a[data-blackstar-name="link"]').getAttribute('href'));
+            assert.equal(null, $('a[data-blackstar-name="link"]').getAttribute('onclick'));
+            assert.equal('A red logo', $('span').innerHTML);
+        });
+    });
+    it('should show a placeholder while loading and keep fallback content when a chunk is missing', () => {
+        setup('<h1 data-blackstar-name="heading">Fallback</h1><h2 data-blackstar-name="missing"><i>Fallback</i></h2>');
+        binder = client.autoBind(dom.document.body, { placeholder: '<span class="spinner"></span>' });
+        assert.equal('loading', $('h1').getAttribute('data-blackstar-state'));
+        assert.equal('true', $('h1').getAttribute('aria-busy'));
+        assert.ok($('h1 .spinner'));
+        return binder.ready.then(() => {
+            assert.equal('Welcome', $('h1').innerHTML);
+            assert.equal(null, $('h1').getAttribute('aria-busy'));
+            assert.equal('missing', $('h2').getAttribute('data-blackstar-state'));
+            assert.equal('<i>Fallback</i>', $('h2').innerHTML);
+        });
+    });
+    it('should keep fallback content and report failed requests', () => {
+        var errors = [];
+        setup('<h1 data-blackstar-name="heading">Fallback</h1>', () => stubs.response(500, 'down'));
+        binder = client.autoBind(dom.document.body, { onError: error => errors.push(error) });
+        return binder.ready.then(() => {
+            assert.equal('error', $('h1').getAttribute('data-blackstar-state'));
+            assert.equal('Fallback', $('h1').innerHTML);
+            assert.equal(1, errors.length);
+            assert.ok(errors[0] instanceof Blackstar.BlackstarError);
+        });
+    });
+    it('should bind elements added later and rebind changed ones, without fetching bound chunks again', () => {
+        setup('<main></main>');
+        binder = client.autoBind($('main'));
+        return binder.ready.then(() => {
+            assert.equal(0, fetch.calls.length);
+            $('main').innerHTML = '<section><h1 data-blackstar-name="heading"></h1></section>';
+            return tick();
+        }).then(tick).then(() => {
+            assert.equal('Welcome', $('h1').innerHTML);
+            assert.equal(1, fetch.calls.length);
+            $('h1').setAttribute('data-blackstar-name', 'caption');
+            return tick();
+        }).then(tick).then(() => {
+            assert.equal('A <b>red</b> logo', $('h1').innerHTML);
+            assert.equal(2, fetch.calls.length);
+            binder.disconnect();
+            $('main').innerHTML += '<p data-blackstar-name="heading"></p>';
+            return tick();
+        }).then(tick).then(() => {
+            assert.equal('', $('p').innerHTML);
+            assert.equal(2, fetch.calls.length);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+
+describe('batching get requests', function () {
+    "use strict";
+    var chunks = [
+        { id: 1, name: 'header', tags: [], html: 'Header' },
+        { id: 2, name: 'footer', tags: [], html: 'Footer' },
+        { id: 3, name: 'sidebar', tags: [], html: 'Sidebar' }
+    ];
+    var fetch = null;
+    beforeEach(() => {
+        fetch = stubs.stubFetch(url => {
+            var match = /\/(byids|bynames)\/(.*)$/.exec(url);
+            var values = match[2].split('/');
+            return stubs.response(200, chunks.filter(chunk => values.indexOf(String(match[1] === 'byids' ? chunk.id : chunk.name)) !== -1));
+        });
+    });
+    afterEach(() => { fetch.restore(); });
+
+    it('should merge calls made in the same tick into one request', () => {
+        var client = new Blackstar.Client('http://localhost:2999', { batch: true });
+        return Promise.all([
+            client.get({ names: ['header'] }),
+            client.get({ names: ['footer', 'header'] })
+        ]).then(results => {
+            assert.equal(1, fetch.calls.length);
+            assert.equal('http://localhost:2999/api/content/bynames/header/footer', fetch.calls[0].url);
+            assert.deepEqual(['header'], results[0].map(chunk => chunk.name));
+            assert.deepEqual(['header', 'footer'], results[1].map(chunk => chunk.name));
+            assert.equal('Footer', results[1].byName('footer').html);
+        });
+    });
+    it('should send ids and names as separate requests', () => {
+        var client = new Blackstar.Client('http://localhost:2999', { batch: true });
+        return Promise.all([
+            client.get({ ids: [3] }),
+            client.get({ ids: [1] }),
+            client.get({ names: ['footer'] })
+        ]).then(results => {
+            assert.equal(2, fetch.calls.length);
+            assert.equal('http://localhost:2999/api/content/byids/3/1', fetch.calls[0].url);
+            assert.equal(3, results[0].byId(3).id);
+            assert.equal(1, results[1].length);
+            assert.equal('footer', results[2][0].name);
+        });
+    });
+    it('should split batches that exceed the maximum url length', () => {
+        var client = new Blackstar.Client('http://localhost:2999', { batch: { maxUrlLength: 60 } });
+        return Promise.all([
+            client.get({ names: ['header'] }),
+            client.get({ names: ['footer'] }),
+            client.get({ names: ['sidebar'] })
+        ]).then(results => {
+            assert.ok(fetch.calls.length > 1);
+            fetch.calls.forEach(call => { assert.ok(call.url.length <= 60); });
+            assert.deepEqual(['header', 'footer', 'sidebar'], results.map(result => result[0].name));
+        });
+    });
+    it('should enrich and parse each caller\'s chunks once', () => {
+        var client = new Blackstar.Client('http://localhost:2999', { batch: true });
+        var enriched = 0;
+        var enrich = client.enrichCollectionWithByMethods;
+        client.enrichCollectionWithByMethods = function (data) {
+            enriched++;
+            return enrich.call(this, data);
+        };
+        return Promise.all([client.get({ ids: [1] }), client.get({ ids: [2] })]).then(results => {
+            assert.equal(2, enriched);
+            assert.equal('Footer', results[1].byId(2).html);
+        });
+    });
+    it('should not batch tags requests', () => {
+        var client = new Blackstar.Client('http://localhost:2999', { batch: true });
+        fetch.restore();
+        fetch = stubs.stubFetch(() => stubs.response(200, chunks));
+        return client.get({ tags: ['layout'] }).then(() => {
+            assert.equal('http://localhost:2999/api/content/bytags/layout', fetch.calls[0].url);
+        });
+    });
+});
@@ -0,0 +1,195 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+
+describe('bulk writes', function () {
+    "use strict";
+    var chunks;
+    var nextId;
+    var failing;
+    var inFlight;
+    var maxInFlight;
+    var fetch;
+    var client;
+
+    // A small in-memory server. Writes to the chunks named in `failing` fail with 400.
+    function serve(url, options) {
+        var method = options.method || 'GET';
+        var path = url.replace('http://localhost:2999/api/content', '');
+        var tags = /^\/bytags\/(.+)$/.exec(path);
+        var ids = /^\/byids\/(.+)$/.exec(path);
+        if (method === 'GET' && tags) {
+            var wanted = tags[1].split('/').map(decodeURIComponent);
+            return stubs.response(200, chunks.filter(chunk => wanted.every(tag => chunk.tags.indexOf(tag) !== -1)));
+        }
+        if (method === 'GET' && ids)
+            return stubs.response(200, chunks.filter(chunk => ids[1].split('/').indexOf(String(chunk.id)) !== -1));
+        var body = options.body ? JSON.parse(options.body) : null;
+        var target = body || chunks.filter(chunk => '/' + chunk.id === path)[0] || {};
+        if (failing.indexOf(target.name) !== -1)
+            return stubs.response(400, { message: 'Invalid chunk ' + target.name });
+        if (method === 'POST' && path === '') {
+            var created = Object.assign({}, body, { id: nextId++ });
+            chunks.push(created);
+            return stubs.response(200, created.id);
+        }
+        var id = Number(path.slice(1));
+        chunks = chunks.filter(chunk => chunk.id !== id);
+        if (method === 'POST')
+            chunks.push(body);
+        return stubs.response(200, {});
+    }
+
+    beforeEach(() => {
+        chunks = [
+            { id: 1, name: 'heading', tags: ['english', 'home'], html: 'Welcome' },
+            { id: 2, name: 'footer', tags: ['english'], html: 'Bye' },
+            { id: 3, name: 'titre', tags: ['french', 'home'], html: 'Bienvenue' }
+        ];
+        nextId = 100;
+        failing = [];
+        inFlight = 0;
+        maxInFlight = 0;
+        fetch = stubs.stubFetch((url, options) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            return new Promise(resolve => setTimeout(resolve, 1)).then(() => {
+                inFlight--;
+                return serve(url, options);
+            });
+        });
+        client = new Blackstar.Client('http://localhost:2999', { retry: false });
+    });
+    afterEach(() => fetch.restore());
+
+    function byName(name) {
+        return chunks.filter(chunk => chunk.name === name)[0];
+    }
+
+    it('runs queued operations and reports each one', () => {
+        return client.bulk()
+            .create({ name: 'banner', tags: [], html: 'Sale' })
+            .update({ id: 1, name: 'heading', tags: ['english'], html: 'Hello' })
+            .delete(2)
+            .run()
+            .then(report => {
+                assert.deepEqual(report.results.map(r => r.type + ':' + r.status), ['create:succeeded', 'update:succeeded', 'delete:succeeded']);
+                assert.equal(report.succeeded, 3);
+                assert.equal(report.failed, 0);
+                assert.equal(byName('heading').html, 'Hello');
+                assert.ok(byName('banner'));
+                assert.equal(byName('footer'), undefined);
+            });
+    });
+
+    it('keeps at most `concurrency` requests in flight', () => {
+        var bulk = client.bulk({ concurrency: 2 });
+        for (var i = 0; i < 6; i++)
+            bulk.create({ name: 'chunk' + i, tags: [], html: '' });
+        return bulk.run().then(report => {
+            assert.equal(report.succeeded, 6);
+            assert.equal(maxInFlight, 2);
+        });
+    });
+
+    it('reports failures and carries on without rollback', () => {
+        failing = ['footer'];
+        return client.bulk()
+            .update({ id: 2, name: 'footer', tags: [], html: '' })
+            .update({ id: 3, name: 'titre', tags: ['french'], html: 'Salut' })
+            .run()
+            .then(report => {
+                assert.equal(report.failed, 1);
+                assert.ok(report.results[0].error instanceof Blackstar.ValidationError);
+                assert.equal(report.results[1].status, 'succeeded');
+                assert.equal(byName('titre').html, 'Salut');
+            });
+    });
+
+    it('plans without writing in a dry run', () => {
+        return client.bulk({ dryRun: true })
+            .renameTag('english', 'en')
+            .delete(3)
+            .run()
+            .then(report => {
+                assert.equal(report.dryRun, true);
+                assert.deepEqual(report.results.map(r => r.type + ':' + r.chunk.id + ':' + r.status),
+                    ['update:1:planned', 'update:2:planned', 'delete:3:planned']);
+                assert.deepEqual(report.results[0].chunk.tags, ['home', 'en']);
+                assert.ok(fetch.calls.every(call => !call.options.method || call.options.method === 'GET'));
+                assert.equal(chunks.length, 3);
+            });
+    });
+
+    it('adds, removes and renames tags on the chunks found by tags', () => {
+        return client.bulk()
+            .addTag('featured', ['home'])
+            .removeTag('english', ['home'])
+            .renameTag('french', 'fr')
+            .run()
+            .then(report => {
+                assert.equal(report.failed, 0);
+                assert.deepEqual(byName('heading').tags, ['home', 'featured']);
+                assert.deepEqual(byName('footer').tags, ['english']);
+                assert.deepEqual(byName('titre').tags, ['home', 'featured', 'fr']);
+            });
+    });
+
+    it('skips chunks that already have the tag being added', () => {
+        return client.bulk({ dryRun: true }).addTag('home', ['english']).run().then(report => {
+            assert.deepEqual(report.results.map(r => r.chunk.name), ['footer']);
+        });
+    });
+
+    it('retags every locale variant of a chunk', () => {
+        chunks.push({ id: 4, name: 'heading', tags: ['french', 'home'], html: 'Bonjour' });
+        client = new Blackstar.Client('http://localhost:2999', { retry: false, locale: 'en' });
+        return client.bulk({ dryRun: true }).addTag('featured', ['home']).run().then(report => {
+            assert.deepEqual(report.results.map(r => r.chunk.id), [1, 3, 4]);
+        });
+    });
+
+    it('rolls back completed operations when one fails', () => {
+        failing = ['broken'];
+        return client.bulk({ rollback: true, concurrency: 1 })
+            .create({ name: 'banner', tags: [], html: 'Sale' })
+            .update({ id: 1, name: 'heading', tags: ['english'], html: 'Hello' })
+            .delete(2)
+            .create({ name: 'broken', tags: [], html: '' })
+            .update({ id: 3, name: 'titre', tags: [], html: 'never sent' })
+            .run()
+            .then(report => {
+                assert.deepEqual(report.results.map(r => r.status), ['rolledBack', 'rolledBack', 'rolledBack', 'failed', 'skipped']);
+                assert.equal(report.rolledBack, 3);
+                assert.equal(byName('banner'), undefined);
+                assert.equal(byName('heading').html, 'Welcome');
+                assert.equal(byName('footer').html, 'Bye');
+                assert.equal(byName('titre').html, 'Bienvenue');
+            });
+    });
+
+    it('records operations that cannot be rolled back', () => {
+        failing = ['broken'];
+        fetch.restore();
+        fetch = stubs.stubFetch((url, options) => {
+            if (options.method === 'POST' && /content$/.test(url))
+                return JSON.parse(options.body).name === 'broken' ? stubs.response(400, {}) : stubs.response(201, '');
+            return serve(url, options);
+        });
+        return client.bulk({ rollback: true, concurrency: 1 })
+            .create({ name: 'banner', tags: [], html: '' })
+            .create({ name: 'broken', tags: [], html: '' })
+            .run()
+            .then(report => {
+                assert.equal(report.results[0].status, 'succeeded');
+                assert.ok(report.results[0].rollbackError instanceof Blackstar.BlackstarError);
+            });
+    });
+
+    it('calls onResult as operations settle', () => {
+        var seen = [];
+        return client.bulk({ onResult: result => seen.push(result.type) }).delete(1).delete(2).run().then(() => {
+            assert.deepEqual(seen, ['delete', 'delete']);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+
+describe('chunk cache', function () {
+    "use strict";
+    var chunks = [
+        { id: 1, name: 'header', tags: ['layout', 'english'], html: 'Header' },
+        { id: 2, name: 'footer', tags: ['layout'], html: 'Footer' }
+    ];
+    var fetch = null;
+    afterEach(() => { fetch.restore(); });
+
+    describe('within the ttl', () => {
+        it('should serve repeated requests from the cache', () => {
+            fetch = stubs.stubFetch(() => stubs.response(200, chunks));
+            var client = new Blackstar.Client('http://localhost:2999', { cache: true });
+            return client.get({ names: ['header', 'footer'] })
+                .then(() => client.get({ names: ['header', 'footer'] }))
+                .then(result => {
+                    assert.equal(1, fetch.calls.length);
+                    assert.equal(2, result.length);
+                    assert.equal('Footer', result.byName('footer').html);
+                });
+        });
+        it('should share one request between concurrent callers', () => {
+            fetch = stubs.stubFetch(() => stubs.response(200, chunks));
+            var client = new Blackstar.Client('http://localhost:2999', { cache: true });
+            return Promise.all([client.getAll(), client.getAll(), client.getAll()]).then(results => {
+                assert.equal(1, fetch.calls.length);
+                results.forEach(result => { assert.equal(2, result.length); });
+            });
+        });
+        it('should not cache failed responses', () => {
+            fetch = stubs.stubFetch((url, options, n) => n === 1 ? stubs.response(500, 'oops') : stubs.response(200, ['english']));
+            var client = new Blackstar.Client('http://localhost:2999', { cache: true });
+            return client.getAllTags()
+                .catch(() => client.getAllTags())
+                .then(tags => {
+                    assert.equal(2, fetch.calls.length);
+                    assert.deepEqual(['english'], tags);
+                });
+        });
+    });
+
+    describe('after the ttl', () => {
+        it('should revalidate with the etag', () => {
+            fetch = stubs.stubFetch((url, options, n) => n === 1
+                ? stubs.response(200, chunks, { ETag: '"v1"' })
+                : stubs.response(304, ''));
+            var client = new Blackstar.Client('http://localhost:2999', { cache: { ttl: 0 } });
+            return client.getAll()
+                .then(() => client.getAll())
+                .then(result => {
+                    assert.equal(2, fetch.calls.length);
+                    assert.equal('"v1"', fetch.calls[1].options.headers['If-None-Match']);
+                    assert.equal(2, result.length);
+                });
+        });
+    });
+
+    describe('invalidation', () => {
+        var client = null;
+        beforeEach(() => {
+            fetch = stubs.stubFetch((url, options) => {
+                if (options.method === 'POST' || options.method === 'DELETE')
+                    return stubs.response(200, '1');
+                if (/bytags\/english$/.test(url))
+                    return stubs.response(200, chunks.slice(0, 1));
+                if (/bynames\/sidebar$/.test(url))
+                    return stubs.response(200, []);
+                if (/byids\/2$/.test(url))
+                    return stubs.response(200, chunks.slice(1));
+                return stubs.response(200, chunks);
+            });
+            client = new Blackstar.Client('http://localhost:2999', { cache: true });
+            return Promise.all([
+                client.get({ tags: ['english'] }),
+                client.get({ names: ['sidebar'] }),
+                client.get({ ids: [2] }),
+                client.getAll()
+            ]);
+        });
+        function cachedUrls() {
+            return client.cache.store.keys().map(url => url.replace('http://localhost:2999/api/content', ''));
+        }
+
+        it('should invalidate by id on delete', () => {
+            return client.delete(2).then(() => {
+                assert.deepEqual(['/bytags/english', '/bynames/sidebar'], cachedUrls());
+            });
+        });
+        it('should invalidate by name on create', () => {
+            return client.create({ id: 0, name: 'sidebar', tags: [], html: '' }).then(() => {
+                assert.deepEqual(['/bytags/english', '/byids/2'], cachedUrls());
+            });
+        });
+        it('should invalidate by tag on update', () => {
+            return client.update({ id: 2, name: 'footer', tags: ['english'], html: '' }).then(() => {
+                assert.deepEqual(['/bynames/sidebar'], cachedUrls());
+            });
+        });
+    });
+});
@@ -0,0 +1,196 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var MockServer = require('../lib/mock').MockServer;
+var referencedMedia = require('../lib/build').referencedMedia;
+var installDom = require('./support/dom').installDom;
+
+describe('chunk types', function () {
+    "use strict";
+    var server;
+    var client;
+
+    beforeEach(() => {
+        server = new MockServer({ tokens: ['secret'] });
+        client = new Blackstar.Client(server.url, { fetch: server.fetch, token: 'secret', tokenStorage: 'none' });
+    });
+
+    describe('markdown', () => {
+        it('should render blocks', () => {
+            assert.equal(Blackstar.renderMarkdown('# Title\n\nOne\ntwo  \nthree\n\n- a\n- b\n\n3. c\n4. d\n\n> quoted\n\n---\n\n```js\nif (a < b) {}\n```'), [
+                '<h1>Title</h1>',
+                '<p>One\ntwo<br>\nthree</p>',
+                '<ul>\n<li>a</li>\n<li>b</li>\n</ul>',
+                '<ol start="3">\n<li>c</li>\n<li>d</li>\n</ol>',
+                '<blockquote>\n<p>quoted</p>\n</blockquote>',
+                '<hr>',
+                '<pre><code class="language-js">if (a &lt; b) {}</code></pre>'
+            ].join('\n'));
+        });
+        it('should render inline markup and escape html', () => {
+            assert.equal(Blackstar.renderMarkdown('**Bold**, *em*, `a*b*`, [site](https://example.com/a_b_c "Home") and ![logo](/logo.png) <b>'),
+                '<p><strong>Bold</strong>, <em>em</em>, <code>a*b*</code>, <a href="https://example.com/a_b_c" title="Home">site</a> and ' +
+                '<img src="/logo.png" alt="logo"> &lt;b&gt;</p>');
+        });
+        it('should not link unsafe urls', () => {
+            assert.equal(Blackstar.renderMarkdown('[click](javascript:alert(1))'), '<p>[click](javascript:alert(1))</p>');
+        });
+        it('should decode character references before checking urls', () => {
+            assert.equal(Blackstar.renderMarkdown('[x](javascript&colon;alert&lpar;1&rpar;) ![y](&#106;avascript:alert)'),
+                '<p>[x](javascript&amp;colon;alert&amp;lpar;1&amp;rpar;) ![y](&amp;#106;avascript:alert)</p>');
+            assert.equal(Blackstar.renderMarkdown('[search](/find?a=1&amp;b=2&c=3)'), '<p><a href="/find?a=1&amp;b=2&amp;c=3">search</a></p>');
+        });
+    });
+
+    describe('validation', () => {
+        it('should reject invalid chunks without sending them', () => {
+            return Promise.all([
+                client.create({ name: 'logo', tags: [], type: 'image', data: { alt: 'Logo', width: '10' } }),
+                client.update({ id: 29, name: 'nav', tags: [], type: 'link', value: '{"href":"javascript:alert(1)","text":"Home"}' }),
+            client.update({ id: 29, name: 'nav', tags: [], type: 'link', data: { href: 'javascript&colon;alert(1)', text: 'Home' } }),
+                client.saveDraft({ id: 29, name: 'config', tags: [], type: 'json', value: '{' }),
+                client.create({ name: 'intro', tags: [], type: 'markdown' }),
+                client.create({ name: 'odd', tags: [], type: 'odd', value: '' })
+            ].map(write => write.then(() => assert.fail('expected a ValidationError'), error => {
+                assert.ok(error instanceof Blackstar.ValidationError);
+                return error.serverMessage;
+            }))).then(messages => {
+                assert.deepEqual(messages, [
+                    'hash is required; width must be a number',
+                    'href is not a safe url',
+                    'href is not a safe url',
+                    'value must be JSON',
+                    'value must be a string',
+                    'unknown type odd'
+                ]);
+                assert.equal(server.requests.length, 0);
+            });
+        });
+        it('should send untyped chunks as they are', () => {
+            return client.create({ tags: [] }).then(() => assert.fail('expected a ValidationError'), error => {
+                assert.equal(error.serverMessage, 'A chunk must have a name');
+                assert.equal(server.requests.length, 1);
+            });
+        });
+        it('should check custom types against their schema and validate function', () => {
+            client = new Blackstar.Client(server.url, {
+                fetch: server.fetch, token: 'secret', tokenStorage: 'none',
+                types: {
+                    price: {
+                        structured: true,
+                        schema: { amount: { type: 'number', required: true }, currencies: { type: 'array' } },
+                        validate: (chunk, data) => data.amount < 0 ? ['amount must not be negative'] : []
+                    }
+                }
+            });
+            var types = client.types;
+            assert.deepEqual(types.problems({ type: 'price', data: { amount: 'free', currencies: 'NZD' } }), ['amount must be a number', 'currencies must be an array']);
+            assert.deepEqual(types.problems({ type: 'price', data: { amount: -1 } }), ['amount must not be negative']);
+            assert.deepEqual(types.problems({ type: 'price', data: [] }), ['value must be a JSON object']);
+            assert.deepEqual(types.problems({ type: 'price', value: '{"amount":5}' }), []);
+            assert.throws(() => types.define('bad', { schema: { amount: { type: 'money' } } }), TypeError);
+        });
+    });
+
+    describe('reads', () => {
+        it('should send data as the value and parse it again on get', () => {
+            var link = { name: 'nav-home', tags: ['english'], type: 'link', data: { href: '/home', text: 'Home' } };
+            return client.create(link).then(() => {
+                var sent = server.chunks[server.chunks.length - 1];
+                assert.equal(sent.value, '{"href":"/home","text":"Home"}');
+                assert.equal(sent.data, undefined);
+                return client.get({ names: ['nav-home'] });
+            }).then(chunks => {
+                assert.deepEqual(chunks[0].data, { href: '/home', text: 'Home' });
+                return client.getAll();
+            }).then(chunks => {
+                assert.equal(chunks.byName('nav-home').data.text, 'Home');
+                assert.equal(chunks.byName('footer').data, undefined);
+            });
+        });
+        it('should save the value of a structured chunk that was edited after it was read', () => {
+            var saved = () => JSON.parse(server.chunks.filter(chunk => chunk.name === 'nav-home')[0].value);
+            return client.create({ name: 'nav-home', tags: [], type: 'link', data: { href: '/home', text: 'Home' } }).then(() => {
+                return client.get({ names: ['nav-home'] });
+            }).then(chunks => {
+                var chunk = chunks[0];
+                chunk.value = '{"href":"/start","text":"Start"}';
+                assert.deepEqual(chunk.data, { href: '/start', text: 'Start' });
+                return client.update(chunk).then(() => {
+                    assert.deepEqual(saved(), { href: '/start', text: 'Start' });
+                    chunk.data.text = 'Begin';
+                    return client.update(chunk);
+                }).then(() => {
+                    assert.deepEqual(saved(), { href: '/start', text: 'Begin' });
+                    chunk.data = { href: '/', text: 'Top' };
+                    return client.update(chunk);
+                });
+            }).then(() => assert.deepEqual(saved(), { href: '/', text: 'Top' }));
+        });
+        it('should leave a structured chunk without data when its value is not JSON', () => {
+            var chunk = client.types.parse({ type: 'json', value: 'not json' });
+            assert.equal(chunk.data, undefined);
+            assert.deepEqual(client.types.parse({ type: 'json', value: '[1,2]' }).data, [1, 2]);
+        });
+    });
+
+    describe('rendering', () => {
+        var chunks = [
+            { id: 1, name: 'intro', tags: [], type: 'markdown', value: 'Hello *world*', html: '' },
+            { id: 2, name: 'motto', tags: [], type: 'text', value: 'Fish & <chips>', html: '' },
+            { id: 3, name: 'logo', tags: [], type: 'image', value: '{"hash":"5f3a1c","alt":"Logo \\"B\\"","width":64}', html: '' },
+            { id: 4, name: 'nav', tags: [], type: 'link', data: { href: 'https://example.com', text: 'Example', title: 'Go' }, value: '', html: '' },
+            { id: 5, name: 'config', tags: [], type: 'json', value: '{"columns":2}', html: '<p>2 columns</p>' }
+        ];
+
+        it('should render each type in bindToString', () => {
+            var html = client.bindToString(chunks.map(chunk => '<div data-blackstar-name="' + chunk.name + '"></div>').join(''), chunks);
+            assert.equal(html, [
+                '<div data-blackstar-name="intro" data-blackstar-id="1"><p>Hello <em>world</em></p></div>',
+                '<div data-blackstar-name="motto" data-blackstar-id="2">Fish &amp; &lt;chips&gt;</div>',
+                '<div data-blackstar-name="logo" data-blackstar-id="3"><img src="http://blackstar.test/api/media/5f3a1c" alt="Logo &quot;B&quot;" width="64" /></div>',
+                '<div data-blackstar-name="nav" data-blackstar-id="4"><a href="https://example.com" title="Go">Example</a></div>',
+                '<div data-blackstar-name="config" data-blackstar-id="5"><p>2 columns</p></div>'
+            ].join(''));
+        });
+
+        describe('in the browser', () => {
+            var dom;
+            beforeEach(() => {
+                dom = installDom('<!DOCTYPE html><html><head></head><body><div data-blackstar-name="intro"></div><div data-blackstar-name="logo"></div></body></html>');
+            });
+            afterEach(() => dom.restore());
+
+            it('should render each type in bind', () => {
+                client.bind(chunks);
+                var document = dom.document;
+                assert.equal(document.querySelector('[data-blackstar-name="intro"]').innerHTML, '<p>Hello <em>world</em></p>');
+                var image = document.querySelector('img');
+                assert.equal(image.getAttribute('src'), client.mediaUrlFor('5f3a1c'));
+                assert.equal(image.getAttribute('alt'), 'Logo "B"');
+            });
+            it('should not edit rendered types in place', () => {
+                var editor = new Blackstar.InlineEditor(client);
+                client.bind(chunks);
+                editor.remember(chunks);
+                return editor.edit(dom.document.querySelector('[data-blackstar-name="intro"]')).then(() => {
+                    assert.deepEqual(Object.keys(editor.sessions), []);
+                });
+            });
+        });
+    });
+
+    it('should not render links whose href is unsafe once character references are decoded', () => {
+        var render = href => client.types.render({ type: 'link', data: { href: href, text: 'Home' } }, client);
+        assert.equal(render('javascript&colon;alert(1)'), '<a>Home</a>');
+        assert.equal(render('&#x6A;avascript:alert(1)'), '<a>Home</a>');
+        assert.equal(render('/find?a=1&amp;b=2&c=3'), '<a href="/find?a=1&amp;b=2&amp;c=3">Home</a>');
+    });
+
+    it('should bundle the media referenced by image chunks', () => {
+        assert.deepEqual(referencedMedia([
+            { type: 'image', value: '{"hash":"5f3a1c","alt":""}' },
+            { type: 'image', data: { hash: 'abc123', alt: '' } },
+            { html: '<img src="http://blackstar.test/api/media/5f3a1c">' }
+        ]), ['5f3a1c', 'abc123']);
+    });
+});
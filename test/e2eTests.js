@@ -0,0 +1,238 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var mock = require('../lib/mock');
+
+describe('end to end against the mock server', function () {
+    "use strict";
+    var server;
+    var client;
+
+    function connect(options) {
+        return new Blackstar.Client(server.url, Object.assign({ fetch: server.fetch, tokenStorage: 'none' }, options));
+    }
+
+    beforeEach(() => {
+        server = new mock.MockServer({ tokens: ['secret'] });
+        client = connect({ token: 'secret' });
+    });
+    afterEach(() => server.close());
+
+    describe('content', () => {
+        it('gets chunks by ids, names and tags', () => {
+            return Promise.all([
+                client.get({ ids: [29, 30] }),
+                client.get({ names: ['main-content', 'footer'] }),
+                client.get({ tags: ['blackstarpedia', 'english'] })
+            ]).then(results => {
+                assert.deepEqual(results[0].map(chunk => chunk.name), ['main-content', 'smaller-heading']);
+                assert.deepEqual(results[1].map(chunk => chunk.id), [29, 31]);
+                assert.equal(results[2].length, 5);
+                assert.ok(results[2].byName('heading'));
+            });
+        });
+
+        it('creates, updates and deletes chunks', () => {
+            var id;
+            return client.create({ name: 'banner', tags: ['home'], value: 'Sale', html: '<p>Sale</p>' })
+                .then(response => response.json())
+                .then(created => {
+                    id = created;
+                    return client.get({ ids: [id] });
+                })
+                .then(chunks => client.update(Object.assign({}, chunks[0], { html: '<p>Sale ends soon</p>' })))
+                .then(() => client.get({ names: ['banner'] }))
+                .then(chunks => {
+                    assert.equal(chunks[0].html, '<p>Sale ends soon</p>');
+                    return client.delete(id);
+                })
+                .then(() => client.get({ ids: [id] }))
+                .then(chunks => assert.equal(chunks.length, 0));
+        });
+
+        it('lists tags and searches', () => {
+            return Promise.all([client.getAllTags(), client.adminSearch('seebeck')]).then(results => {
+                assert.deepEqual(results[0], ['blackstarpedia', 'english']);
+                assert.deepEqual(results[1].map(chunk => chunk.name), ['heading', 'main-content']);
+            });
+        });
+
+        it('rejects invalid and missing chunks with typed errors', () => {
+            return client.create({ tags: [] }).then(() => assert.fail('expected a ValidationError'), error => {
+                assert.ok(error instanceof Blackstar.ValidationError);
+                assert.equal(error.serverMessage, 'A chunk must have a name');
+                return client.delete(999);
+            }).then(() => assert.fail('expected a NotFoundError'), error => {
+                assert.ok(error instanceof Blackstar.NotFoundError);
+            });
+        });
+
+        it('revalidates cached reads with the ETag', () => {
+            client = connect({ token: 'secret', cache: { ttl: 0 } });
+            return client.getAll().then(() => client.getAll()).then(chunks => {
+                assert.equal(chunks.length, 7);
+                assert.equal(server.requests.length, 2);
+                assert.ok(server.requests[1].headers['if-none-match']);
+            });
+        });
+    });
+
+    describe('media', () => {
+        it('searches, downloads and deletes media', () => {
+            return client.getMedia('5f3a1c').then(item => {
+                assert.equal(item.filename, 'logo.svg');
+                assert.equal(item.content, undefined);
+                return server.fetch(item.url);
+            }).then(response => {
+                assert.equal(response.headers.get('Content-Type'), 'image/svg+xml');
+                return client.deleteMedia('5f3a1c');
+            }).then(() => client.mediaSearch('logo')).then(items => assert.equal(items.length, 0));
+        });
+
+        it('refreshes cached media searches after uploads and deletes', () => {
+            client = connect({ token: 'secret', cache: true });
+            return client.mediaSearch('logo').then(items => {
+                assert.equal(items.length, 1);
+                return client.uploadMedia([new File(['<svg/>'], 'logo-dark.svg', { type: 'image/svg+xml' })]);
+            }).then(() => client.mediaSearch('logo')).then(items => {
+                assert.deepEqual(items.map(item => item.filename), ['logo.svg', 'logo-dark.svg']);
+                return client.deleteMedia('5f3a1c');
+            }).then(() => client.getMedia('5f3a1c')).then(() => assert.fail('expected a NotFoundError'), error => {
+                assert.ok(error instanceof Blackstar.NotFoundError);
+            });
+        });
+
+        it('uploads files in one request or resumably in chunks', () => {
+            var small = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+            var large = new File(['0123456789'.repeat(5)], 'digits.txt', { type: 'text/plain' });
+            return client.uploadMedia([small, large], { chunkSize: 20 }).then(items => {
+                assert.deepEqual(items.map(item => item.filename), ['hello.txt', 'digits.txt']);
+                assert.equal(server.requests.filter(request => request.method === 'PUT').length, 3);
+                return server.fetch(items[1].url);
+            }).then(response => response.text()).then(text => assert.equal(text, '0123456789'.repeat(5)));
+        });
+
+        it('resumes chunked uploads from the server\'s offset with the cache on', () => {
+            client = connect({ token: 'secret', cache: true });
+            var failed = {};
+            var upload = client.uploadMedia([new File(['0123456789ab'], 'digits.txt', { type: 'text/plain' })], { chunkSize: 4 })
+                .on('progress', event => {
+                    if (event.loaded < 12 && !failed[event.loaded]) {
+                        failed[event.loaded] = true;
+                        server.fault({ method: 'PUT', status: 500, times: 1 });
+                    }
+                });
+            var fails = () => assert.fail('expected the next chunk to fail');
+            return upload.then(fails, () => upload.resume()).then(fails, () => upload.resume()).then(items => {
+                assert.deepEqual(Object.keys(failed), ['4', '8']);
+                return server.fetch(items[0].url);
+            }).then(response => response.text()).then(text => assert.equal(text, '0123456789ab'));
+        });
+
+        it('reports the bytes sent after each chunk', () => {
+            var progress = [];
+            return client.uploadMedia([new File(['0123456789ab'], 'digits.txt', { type: 'text/plain' })], { chunkSize: 4 })
+                .on('progress', event => progress.push([event.loaded, event.total]))
+                .then(() => assert.deepEqual(progress, [[4, 12], [8, 12], [12, 12]]));
+        });
+    });
+
+    describe('auth', () => {
+        it('rejects writes without a valid token and calls authCallback', () => {
+            var rejected = [];
+            client = connect({ token: 'expired', authCallback: response => rejected.push(response.status) });
+            return client.getAll().then(chunks => {
+                assert.equal(chunks.length, 7);
+                return client.delete(29);
+            }).then(() => assert.fail('expected an AuthError'), error => {
+                assert.ok(error instanceof Blackstar.AuthError);
+                assert.deepEqual(rejected, [401]);
+            });
+        });
+
+        it('protects reads too with protectReads', () => {
+            server = new mock.MockServer({ tokens: ['secret'], protectReads: true });
+            return connect().getAll().then(() => assert.fail('expected an AuthError'), error => {
+                assert.ok(error instanceof Blackstar.AuthError);
+                return connect({ token: 'secret' }).getAll();
+            });
+        });
+
+        it('refreshes a revoked token and replays the request', () => {
+            client = connect({
+                tokenProvider: { getToken: () => 'old', refreshToken: () => Promise.resolve('secret') },
+                tokenStorage: 'memory'
+            });
+            return client.delete(29).then(() => {
+                assert.deepEqual(server.requests.map(request => request.headers.authorization), ['Bearer old', 'Bearer secret']);
+            });
+        });
+    });
+
+    describe('faults', () => {
+        it('retries injected server errors', () => {
+            client = connect({ retry: { minDelay: 1 } });
+            server.fault({ path: 'api/tags', status: 503, times: 2 });
+            return client.getAllTags().then(tags => {
+                assert.equal(tags.length, 2);
+                assert.equal(server.requests.length, 3);
+            });
+        });
+
+        it('simulates network failures', () => {
+            var fault = server.fault({ method: 'GET', network: true });
+            return client.getAll().then(() => assert.fail('expected a NetworkError'), error => {
+                assert.ok(error instanceof Blackstar.NetworkError);
+                server.clearFault(fault);
+                return client.getAll();
+            });
+        });
+
+        it('times out slow responses', () => {
+            client = connect({ timeout: 10 });
+            server.fault({ path: /^api\/content\/bytags\//, delay: 50 });
+            return client.get({ tags: ['english'] }).then(() => assert.fail('expected a TimeoutError'), error => {
+                assert.ok(error instanceof Blackstar.TimeoutError);
+            });
+        });
+
+        it('adds latency to every response', () => {
+            server.latency = { min: 20, max: 30 };
+            var started = Date.now();
+            return client.getAllTags().then(() => assert.ok(Date.now() - started >= 19));
+        });
+    });
+
+    describe('transports', () => {
+        it('answers the global fetch once installed', () => {
+            var restore = server.install();
+            var plain = new Blackstar.Client(server.url);
+            return plain.get({ names: ['footer'] }).then(chunks => {
+                restore();
+                assert.equal(chunks[0].html, '<p>Powered by Blackstar</p>');
+            }, error => {
+                restore();
+                throw error;
+            });
+        });
+
+        it('serves over HTTP', () => {
+            return server.listen().then(url => {
+                assert.ok(/^http:\/\/localhost:\d+\/$/.test(url));
+                return fetch(url + 'api/content/bynames/footer');
+            }).then(response => {
+                assert.ok(response.headers.get('ETag'));
+                return response.json();
+            }).then(chunks => assert.equal(chunks[0].id, 31));
+        });
+
+        it('keeps its fixtures until reset', () => {
+            return client.delete(31).then(() => {
+                assert.equal(server.chunks.length, 6);
+                server.reset();
+                assert.equal(server.chunks.length, 7);
+                assert.equal(server.requests.length, 0);
+                assert.deepEqual(mock.fixtures().chunks, server.chunks);
+            });
+        });
+    });
+});
@@ -0,0 +1,159 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+var installDom = require('./support/dom').installDom;
+
+describe('inline editing', function () {
+    "use strict";
+    var heading = { id: 6, name: 'heading', tags: ['home'], html: 'Welcome' };
+    var dom;
+    var fetch;
+    var client;
+    var editor;
+    var server;
+
+    beforeEach(() => {
+        dom = installDom('<!DOCTYPE html><html><body><h1 data-blackstar-name="heading"></h1><p data-blackstar-id="6">Welcome</p></body></html>');
+        server = { chunk: Object.assign({}, heading), update: 200 };
+        fetch = stubs.stubFetch((url, options) => {
+            if (options.method === 'POST')
+                return stubs.response(server.update, {});
+            return stubs.response(200, [server.chunk]);
+        });
+        client = new Blackstar.Client('http://localhost:2999', { showEditControls: true });
+        client.bind([heading]);
+        editor = client.editOverlay().editor;
+        client.editOverlay().toggleEditing(true);
+    });
+    afterEach(() => {
+        client.destroy();
+        fetch.restore();
+        dom.restore();
+    });
+
+    function h1() {
+        return dom.document.querySelector('h1');
+    }
+    function text(el) {
+        return el.firstChild.textContent;
+    }
+    function posts() {
+        return fetch.calls.filter(call => call.options.method === 'POST');
+    }
+    function startEditing() {
+        h1().click();
+        return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+            assert.equal('true', h1().getAttribute('contenteditable'));
+            h1().firstChild.textContent = 'Hello';
+        });
+    }
+
+    it('should make a clicked element editable with save and cancel controls', () => startEditing().then(() => {
+        var controls = dom.document.querySelector('[data-blackstar-overlay="edit-controls"]');
+        assert.equal(h1().nextSibling, controls);
+        assert.deepEqual(['Save', 'Cancel'], Array.prototype.map.call(controls.querySelectorAll('button'), button => button.textContent));
+        assert.equal(null, h1().querySelector('.blackstar-edit-link'));
+        assert.ok(editor.isDirty());
+    }));
+    it('should not start editing outside edit mode', () => {
+        client.editOverlay().toggleEditing(false);
+        h1().click();
+        return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+            assert.equal(null, h1().getAttribute('contenteditable'));
+        });
+    });
+    it('should restore the html on cancel', () => startEditing().then(() => {
+        h1().dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        assert.equal('Welcome', text(h1()));
+        assert.equal(null, h1().getAttribute('contenteditable'));
+        assert.ok(h1().querySelector('.blackstar-edit-link'));
+        assert.equal(0, dom.document.querySelectorAll('[data-blackstar-overlay="edit-controls"]').length);
+        assert.ok(!editor.isDirty());
+    }));
+    it('should render every bound element optimistically and save through update', () => {
+        var saved = null;
+        editor.onSave = chunk => { saved = chunk; };
+        return startEditing().then(() => {
+            var saving = editor.save(6);
+            return Promise.resolve().then(() => saving);
+        }).then(chunk => {
+            assert.equal('Hello', chunk.html);
+            assert.equal(saved, chunk);
+            assert.equal('Hello', text(dom.document.querySelector('p')));
+            assert.equal('Hello', text(h1()));
+            assert.ok(h1().querySelector('.blackstar-edit-link'));
+            assert.equal(1, posts().length);
+            assert.equal('http://localhost:2999/api/content/6', posts()[0].url);
+            assert.deepEqual({ id: 6, name: 'heading', tags: ['home'], html: 'Hello' }, JSON.parse(posts()[0].options.body));
+        });
+    });
+    it('should roll back when the update fails', () => {
+        server.update = 500;
+        var failed = null;
+        editor.onError = error => { failed = error; };
+        return startEditing().then(() => editor.save(6)).then(() => assert.fail('expected the save to fail'), error => {
+            assert.equal(failed, error);
+            assert.equal(500, error.status);
+            assert.equal('Welcome', text(h1()));
+            assert.equal('Welcome', text(dom.document.querySelector('p')));
+            assert.ok(h1().querySelector('.blackstar-edit-link'));
+        });
+    });
+    it('should refuse to overwrite a chunk that changed on the server', () => startEditing().then(() => {
+        server.chunk = Object.assign({}, heading, { html: 'Changed elsewhere' });
+        return editor.save(6);
+    }).then(() => assert.fail('expected a conflict'), error => {
+        assert.ok(error instanceof Blackstar.ConflictError);
+        assert.equal('Changed elsewhere', error.current.html);
+        assert.equal(0, posts().length);
+        assert.equal('true', h1().getAttribute('contenteditable'));
+        assert.equal('Hello', text(h1()));
+        return editor.save(6, { force: true });
+    }).then(chunk => {
+        assert.equal('Hello', chunk.html);
+        assert.equal(1, posts().length);
+    }));
+    it('should check for conflicts past the cache without flushing it', () => {
+        var cached = new Blackstar.Client('http://localhost:2999', { cache: true });
+        var cachedEditor = new Blackstar.InlineEditor(cached);
+        return cached.getAll()
+            .then(() => cached.get({ ids: [6] }))
+            .then(() => cachedEditor.checkConflict(heading))
+            .then(() => Promise.all([cached.getAll(), cached.get({ ids: [6] })]))
+            .then(() => {
+                assert.deepEqual(['', '/byids/6', '/byids/6'], fetch.calls.map(call => call.url.replace('http://localhost:2999/api/content', '')));
+            });
+    });
+    it('should not edit chunks whose html is changed by sanitising', () => {
+        var errors = [];
+        var embed = { id: 7, name: 'video', tags: [], html: '<p>Watch</p><iframe src="https://video.example/1"></iframe>' };
+        dom.document.body.insertAdjacentHTML('beforeend', '<div data-blackstar-name="video"></div>');
+        client.bind([embed]);
+        editor.onError = (error, chunk) => { errors.push([error, chunk]); };
+        var el = dom.document.querySelector('[data-blackstar-name="video"]');
+        return editor.edit(el).then(() => assert.fail('expected a ValidationError'), error => {
+            assert.ok(error instanceof Blackstar.ValidationError);
+            assert.deepEqual([[error, embed]], errors);
+            assert.equal(null, el.getAttribute('contenteditable'));
+            assert.ok(!editor.sessions[7]);
+            return editor.edit(h1());
+        }).then(() => assert.ok(editor.sessions[6]));
+    });
+    it('should warn before leaving the page with unsaved edits', () => {
+        var event = new dom.window.Event('beforeunload', { cancelable: true });
+        dom.window.dispatchEvent(event);
+        assert.ok(!event.defaultPrevented);
+        return startEditing().then(() => {
+            event = new dom.window.Event('beforeunload', { cancelable: true });
+            dom.window.dispatchEvent(event);
+            assert.ok(event.defaultPrevented);
+        });
+    });
+    it('should toggle edit mode from the toolbox', () => {
+        var button = dom.document.querySelector('#blackstar-toolbox button[aria-label="Edit in place"]');
+        assert.equal('true', button.getAttribute('aria-pressed'));
+        button.click();
+        assert.ok(!editor.enabled);
+        assert.equal('false', button.getAttribute('aria-pressed'));
+    });
+});
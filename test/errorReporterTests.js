@@ -0,0 +1,112 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+
+describe('error reporting', function () {
+    "use strict";
+    var fetch = null;
+    var page = null;
+    var client = null;
+    beforeEach(() => {
+        fetch = stubs.stubFetch(() => stubs.response(200, ''));
+        page = {
+            listeners: {},
+            onerror: null,
+            addEventListener: function (type, listener) { this.listeners[type] = listener; },
+            removeEventListener: function (type) { delete this.listeners[type]; }
+        };
+        client = new Blackstar.Client('http://localhost:2999');
+    });
+    afterEach(() => { fetch.restore(); });
+
+    function flush() {
+        return new Promise(resolve => setTimeout(resolve, 5));
+    }
+    function reported() {
+        return fetch.calls.map(call => JSON.parse(call.options.body));
+    }
+
+    it('should only install on window when enabled', () => {
+        global.window = page;
+        try {
+            new Blackstar.Client('http://localhost:2999');
+            assert.equal(null, page.onerror);
+            var reporting = new Blackstar.Client('http://localhost:2999', { errorReporting: true });
+            assert.equal('function', typeof page.onerror);
+            reporting.disableErrorReporting();
+            assert.equal(null, page.onerror);
+        } finally {
+            delete global.window;
+        }
+    });
+    it('should post errors to the blackstar server', () => {
+        var reporter = new Blackstar.ErrorReporter(client);
+        reporter.install(page);
+        page.onerror('boom', 'app.js', 10, 4, new Error('boom'));
+        return flush().then(() => {
+            assert.equal('http://localhost:2999/api/throw', fetch.calls[0].url);
+            assert.equal('boom', reported()[0].message);
+            assert.equal(10, reported()[0].line);
+        });
+    });
+    it('should chain to the previous handler and restore it', () => {
+        var previous = [];
+        var handler = function (message) { previous.push(message); return true; };
+        page.onerror = handler;
+        var reporter = new Blackstar.ErrorReporter(client);
+        reporter.install(page);
+        assert.equal(true, page.onerror('boom'));
+        assert.deepEqual(['boom'], previous);
+        reporter.uninstall();
+        assert.equal(handler, page.onerror);
+    });
+    it('should report unhandled rejections', () => {
+        new Blackstar.ErrorReporter(client).install(page);
+        page.listeners.unhandledrejection({ reason: new Error('nope') });
+        return flush().then(() => {
+            assert.equal('Unhandled rejection: nope', reported()[0].message);
+        });
+    });
+    it('should de-duplicate and rate limit reports', () => {
+        var reporter = new Blackstar.ErrorReporter(client, { maxPerMinute: 2 });
+        reporter.install(page);
+        page.onerror('same', 'app.js', 1, 1);
+        page.onerror('same', 'app.js', 1, 1);
+        page.onerror('second', 'app.js', 2, 1);
+        page.onerror('third', 'app.js', 3, 1);
+        return flush().then(() => {
+            assert.deepEqual(['same', 'second'], reported().map(report => report.message));
+        });
+    });
+    it('should forget reports once their de-duplication window has passed', () => {
+        var reporter = new Blackstar.ErrorReporter(client, { dedupeWindow: 5 });
+        return reporter.report({ message: 'first' })
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+            .then(() => reporter.report({ message: 'second' }))
+            .then(() => reporter.report({ message: 'second' }))
+            .then(sent => {
+                assert.equal(false, sent);
+                assert.deepEqual(['second|||'], Object.keys(reporter.recent));
+            });
+    });
+    it('should drop unsampled reports', () => {
+        var reporter = new Blackstar.ErrorReporter(client, { sampleRate: 0 });
+        return reporter.report({ message: 'boom' }).then(sent => {
+            assert.equal(false, sent);
+            assert.equal(0, fetch.calls.length);
+        });
+    });
+    it('should let beforeSend scrub or drop reports', () => {
+        var reporter = new Blackstar.ErrorReporter(client, {
+            endpoint: 'https://errors.example.com/collect',
+            beforeSend: report => report.message === 'secret' ? null : Object.assign(report, { stack: undefined, message: 'scrubbed' })
+        });
+        return reporter.report({ message: 'secret' })
+            .then(() => reporter.report({ message: 'boom', stack: 'at secret.js' }))
+            .then(() => {
+                assert.equal(1, fetch.calls.length);
+                assert.equal('https://errors.example.com/collect', fetch.calls[0].url);
+                assert.deepEqual({ message: 'scrubbed' }, reported()[0]);
+            });
+    });
+});
@@ -0,0 +1,112 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+
+describe('error handling', function () {
+    "use strict";
+    var fetch = null;
+    afterEach(() => { fetch.restore(); });
+
+    function rejection(promise) {
+        return promise.then(() => { assert.fail('expected the request to fail'); }, error => error);
+    }
+
+    describe('typed errors', () => {
+        it('should raise NotFoundError for 404', () => {
+            fetch = stubs.stubFetch(() => stubs.response(404, { message: 'No such chunk' }));
+            var client = new Blackstar.Client('http://localhost:2999');
+            return rejection(client.get({ ids: [99] })).then(error => {
+                assert.ok(error instanceof Blackstar.NotFoundError);
+                assert.ok(error instanceof Blackstar.BlackstarError);
+                assert.ok(error instanceof Error);
+                assert.equal(404, error.status);
+                assert.equal('http://localhost:2999/api/content/byids/99', error.url);
+                assert.equal('No such chunk', error.serverMessage);
+            });
+        });
+        it('should raise ValidationError when a create is refused', () => {
+            fetch = stubs.stubFetch(() => stubs.response(422, 'Name is required'));
+            var client = new Blackstar.Client('http://localhost:2999');
+            return rejection(client.create({ id: 0, tags: [], html: '' })).then(error => {
+                assert.ok(error instanceof Blackstar.ValidationError);
+                assert.equal('Name is required', error.serverMessage);
+            });
+        });
+        it('should raise ConflictError, a ValidationError, for 409', () => {
+            fetch = stubs.stubFetch(() => stubs.response(409, 'Chunk was modified'));
+            var client = new Blackstar.Client('http://localhost:2999');
+            return rejection(client.update({ id: 3, tags: [], html: '' })).then(error => {
+                assert.ok(error instanceof Blackstar.ConflictError);
+                assert.ok(error instanceof Blackstar.ValidationError);
+                assert.equal('ConflictError', error.name);
+            });
+        });
+        it('should raise AuthError and call authCallback for 401', () => {
+            fetch = stubs.stubFetch(() => stubs.response(401, ''));
+            var unauthorised = null;
+            var client = new Blackstar.Client('http://localhost:2999', { authCallback: response => { unauthorised = response; } });
+            return rejection(client.delete(1)).then(error => {
+                assert.ok(error instanceof Blackstar.AuthError);
+                assert.equal(401, unauthorised.status);
+            });
+        });
+        it('should raise BlackstarError for other failures', () => {
+            fetch = stubs.stubFetch(() => stubs.response(500, 'boom'));
+            var client = new Blackstar.Client('http://localhost:2999');
+            return rejection(client.getAll()).then(error => {
+                assert.equal('BlackstarError', error.name);
+                assert.equal(500, error.status);
+            });
+        });
+        it('should raise NetworkError when the server is unreachable', () => {
+            fetch = stubs.stubFetch(() => Promise.reject(new Error('ECONNREFUSED')));
+            var client = new Blackstar.Client('http://localhost:2999');
+            return rejection(client.getAllTags()).then(error => {
+                assert.ok(error instanceof Blackstar.NetworkError);
+                assert.equal('ECONNREFUSED', error.cause.message);
+            });
+        });
+        it('should raise TimeoutError when the server is too slow', () => {
+            fetch = stubs.stubFetch(() => new Promise(() => {}));
+            var client = new Blackstar.Client('http://localhost:2999', { timeout: 10 });
+            return rejection(client.getAll()).then(error => {
+                assert.ok(error instanceof Blackstar.TimeoutError);
+                assert.ok(fetch.calls[0].options.signal);
+            });
+        });
+    });
+
+    describe('retries', () => {
+        var retry = { retries: 2, minDelay: 1 };
+        it('should retry idempotent requests after a retryable status', () => {
+            fetch = stubs.stubFetch((url, options, n) => n < 3 ? stubs.response(503, '') : stubs.response(200, []));
+            var client = new Blackstar.Client('http://localhost:2999', { retry: retry });
+            return client.getAll().then(chunks => {
+                assert.equal(3, fetch.calls.length);
+                assert.equal(0, chunks.length);
+            });
+        });
+        it('should retry after network failures', () => {
+            fetch = stubs.stubFetch((url, options, n) => n === 1 ? Promise.reject(new Error('reset')) : stubs.response(200, []));
+            var client = new Blackstar.Client('http://localhost:2999', { retry: retry });
+            return client.getAll().then(() => { assert.equal(2, fetch.calls.length); });
+        });
+        it('should give up after the configured number of retries', () => {
+            fetch = stubs.stubFetch(() => stubs.response(503, ''));
+            var client = new Blackstar.Client('http://localhost:2999', { retry: retry });
+            return rejection(client.getAll()).then(error => {
+                assert.equal(503, error.status);
+                assert.equal(3, fetch.calls.length);
+            });
+        });
+        it('should not retry posts', () => {
+            fetch = stubs.stubFetch(() => stubs.response(503, ''));
+            var client = new Blackstar.Client('http://localhost:2999', { retry: retry });
+            return rejection(client.update({ id: 1 })).then(() => { assert.equal(1, fetch.calls.length); });
+        });
+        it('should back off exponentially', () => {
+            var policy = new Blackstar.RetryPolicy({ minDelay: 100, maxDelay: 300 });
+            assert.deepEqual([100, 200, 300], [0, 1, 2].map(n => policy.delay(n)));
+        });
+    });
+});
@@ -1,5 +1,6 @@
 var assert = require('assert');
 var Blackstar = require('../blackstar');
+var MockServer = require('../lib/mock').MockServer;
 var fetch = require('node-fetch');
 global.fetch = fetch;
 
@@ -90,9 +91,14 @@ describe('javascript client', function () {
 
     describe('integration', function () {
         var blackstar = null;
+        var server = new MockServer();
         before(function () {
-            //blackstar = new Blackstar.Client('http://demo.blackstarcms.net');
-            blackstar = new Blackstar.Client('http://localhost:2999');
+            return server.listen().then(url => {
+                blackstar = new Blackstar.Client(url);
+            });
+        });
+        after(function () {
+            return server.close();
         });
 
         describe('create, edit, delete', function () {
@@ -155,18 +161,18 @@ describe('javascript client', function () {
                 return blackstar.getAll().then(chunks => {
                     assert.ok(chunks);
                     assert.ok(chunks.length > 0);
-                }).catch(err => { console.error(err); assert(false, 'Failed calling the API. This test expects the blackstar server to be running on port 2999.'); });
+                }).catch(err => { console.error(err); assert(false, 'Failed calling the API. This test expects the mock server to be running.'); });
             });
             it('should be filterable by name', function () {
                 return blackstar.getAll().then(chunks => {
                     var chunk = chunks.byName(chunks[0].name);
                     assert.ok(chunk);
-                }).catch(err => { console.error(err); assert(false, 'Failed calling the API. This test expects the blackstar server to be running on port 2999.'); });;
+                }).catch(err => { console.error(err); assert(false, 'Failed calling the API. This test expects the mock server to be running.'); });
             });
         });
         describe('fetching by id', () => {
             it('should find the correct content', () => {
-                blackstar.get({ ids: [29, 30] }).then(chunks => {
+                return blackstar.get({ ids: [29, 30] }).then(chunks => {
                     assert.ok(chunks.byName('main-content'));
                     assert.ok(chunks.byName('smaller-heading'));
                     assert.equal(2, chunks.length);
@@ -175,7 +181,7 @@ describe('javascript client', function () {
         });
         describe('fetching by name', () => {
             it('should find the correct content', () => {
-                blackstar.get({ names: ['main-content', 'smaller-heading'] }).then(chunks => {
+                return blackstar.get({ names: ['main-content', 'smaller-heading'] }).then(chunks => {
                     assert.ok(chunks.byName('main-content'));
                     assert.ok(chunks.byName('smaller-heading'));
                     assert.equal(2, chunks.length);
@@ -184,7 +190,7 @@ describe('javascript client', function () {
         });
         describe('fetching by tag', () => {
             it('should find the correct content', () => {
-                blackstar.get({ tags: ['blackstarpedia'] }).then(chunks => {
+                return blackstar.get({ tags: ['blackstarpedia'] }).then(chunks => {
                     assert.ok(chunks.length > 3);
                 });
             });
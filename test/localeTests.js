@@ -0,0 +1,96 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+var installDom = require('./support/dom').installDom;
+
+describe('localisation', function () {
+    "use strict";
+    var chunks = [
+        { id: 1, name: 'heading', tags: ['english'], html: 'Welcome' },
+        { id: 2, name: 'heading', tags: ['fr'], html: 'Bienvenue' },
+        { id: 3, name: 'heading', tags: ['fr-CA'], html: 'Bienvenue au Canada' },
+        { id: 4, name: 'footer', tags: ['english'], html: 'Bye' },
+        { id: 5, name: 'footer', tags: ['fr'], html: 'Au revoir' },
+        { id: 6, name: 'logo', tags: [], html: '<img src="logo.png" alt="">' },
+        { id: 7, name: 'promo', tags: ['de'], html: 'Angebot' }
+    ];
+    var localeOptions = { fallbacks: ['en'], tags: { en: 'english' }, locales: ['en', 'fr', 'de'] };
+    var fetch;
+    afterEach(() => { fetch.restore(); });
+
+    function serve() {
+        fetch = stubs.stubFetch(url => {
+            var names = url.replace('http://localhost:2999/api/content/bynames/', '').split('/');
+            return stubs.response(200, chunks.filter(chunk => names.indexOf(chunk.name) !== -1));
+        });
+    }
+
+    describe('LocaleResolver', () => {
+        beforeEach(serve);
+
+        it('should build the fallback chain from subtags and configured fallbacks', () => {
+            var resolver = new Blackstar.LocaleResolver('fr-CA', { fallbacks: { fr: ['en'], '*': ['de'] } });
+            assert.deepEqual(['fr-CA', 'fr', 'en', 'de'], resolver.chain);
+            assert.deepEqual(['en', 'de'], resolver.chainFor('en'));
+        });
+        it('should pick the best variant of each name, falling back through the chain', () => {
+            var resolver = new Blackstar.LocaleResolver('fr-CA', localeOptions);
+            assert.deepEqual([3, 5, 6], resolver.resolve(chunks).map(chunk => chunk.id));
+            resolver.setLocale('en-GB');
+            assert.deepEqual([1, 4, 6], resolver.resolve(chunks).map(chunk => chunk.id));
+            resolver.setLocale('de');
+            assert.deepEqual([1, 4, 6, 7], resolver.resolve(chunks).map(chunk => chunk.id));
+        });
+    });
+
+    describe('client', () => {
+        beforeEach(serve);
+
+        it('should resolve names requests and byName to the current locale', () => {
+            var client = new Blackstar.Client('http://localhost:2999', { locale: 'fr-CA', localeOptions: localeOptions });
+            return client.get({ names: ['heading', 'footer', 'promo'] }).then(found => {
+                assert.deepEqual([3, 5], found.map(chunk => chunk.id));
+                assert.equal('Bienvenue au Canada', found.byName('heading').html);
+            });
+        });
+        it('should leave clients without a locale alone', () => {
+            var client = new Blackstar.Client('http://localhost:2999');
+            return client.get({ names: ['heading'] }).then(found => {
+                assert.equal(3, found.length);
+                assert.equal(1, found.byName('heading').id);
+            });
+        });
+        it('should resolve byName on collections enriched by the client', () => {
+            var client = new Blackstar.Client('http://localhost:2999', { locale: 'fr', localeOptions: localeOptions });
+            assert.equal(2, client.enrichCollectionWithByMethods(chunks.slice()).byName('heading').id);
+        });
+    });
+
+    describe('binding', () => {
+        var dom;
+        beforeEach(() => {
+            serve();
+            dom = installDom('<!DOCTYPE html><html><body><h1 data-blackstar-name="heading"></h1><footer data-blackstar-name="footer"></footer><p id="auto"><span data-blackstar-name="heading"></span></p></body></html>');
+        });
+        afterEach(() => { dom.restore(); });
+
+        it('should bind the variant for the locale and rebind the page when it changes', () => {
+            var client = new Blackstar.Client('http://localhost:2999', { locale: 'fr-CA', localeOptions: localeOptions });
+            client.bind(chunks.filter(chunk => [1, 2, 4, 5].indexOf(chunk.id) !== -1));
+            assert.equal('Bienvenue', dom.document.querySelector('h1').innerHTML);
+            assert.equal('Au revoir', dom.document.querySelector('footer').innerHTML);
+            var binder = client.autoBind(dom.document.querySelector('#auto'));
+            return binder.ready.then(() => {
+                assert.equal('Bienvenue au Canada', dom.document.querySelector('span').innerHTML);
+                return client.setLocale('en-US');
+            }).then(() => {
+                assert.equal('en-US', client.options.locale);
+                assert.equal('Welcome', dom.document.querySelector('h1').innerHTML);
+                assert.equal('1', dom.document.querySelector('h1').getAttribute('data-blackstar-id'));
+                assert.equal('Bye', dom.document.querySelector('footer').innerHTML);
+                assert.equal('Welcome', dom.document.querySelector('span').innerHTML);
+                client.destroy();
+            });
+        });
+    });
+});
@@ -0,0 +1,187 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+
+describe('media', function () {
+    "use strict";
+    var client = new Blackstar.Client('http://localhost:2999');
+    var fetch = null;
+    afterEach(() => {
+        if (fetch)
+            fetch.restore();
+        fetch = null;
+    });
+
+    function file(name, type, size) {
+        var blob = new Blob([new Uint8Array(size)], { type: type });
+        blob.name = name;
+        return blob;
+    }
+
+    it('should build media urls', () => {
+        assert.equal('http://localhost:2999/api/media/ab%2Fc', client.mediaUrlFor('ab/c'));
+    });
+    it('should parse search results', () => {
+        fetch = stubs.stubFetch(() => stubs.response(200, [{ hash: 'abc', name: 'logo.png', type: 'image/png' }]));
+        return client.mediaSearch('logo').then(items => {
+            assert.deepEqual([{ hash: 'abc', name: 'logo.png', type: 'image/png', url: 'http://localhost:2999/api/media/abc' }], items);
+        });
+    });
+    it('should fetch a single media item', () => {
+        fetch = stubs.stubFetch(() => stubs.response(200, [{ hash: 'abcd' }, { hash: 'abc' }]));
+        return client.getMedia('abc').then(item => {
+            assert.equal('abc', item.hash);
+            return client.getMedia('missing').then(() => { assert.fail('expected a NotFoundError'); }, error => {
+                assert.ok(error instanceof Blackstar.NotFoundError);
+            });
+        });
+    });
+
+    describe('uploading', () => {
+        it('should reject invalid files before uploading', () => {
+            fetch = stubs.stubFetch(() => stubs.response(200, []));
+            var upload = client.uploadMedia([file('big.png', 'image/png', 20), file('notes.txt', 'text/plain', 1)], { maxSize: 10, accept: ['image/*'] });
+            return upload.then(() => { assert.fail('expected a ValidationError'); }, error => {
+                assert.ok(error instanceof Blackstar.ValidationError);
+                assert.ok(/big.png/.test(error.message));
+                assert.ok(/notes.txt/.test(error.message));
+                assert.equal(0, fetch.calls.length);
+            });
+        });
+        it('should upload each file and report progress', () => {
+            fetch = stubs.stubFetch((url, options) => {
+                var name = options.body.get('0filename');
+                return stubs.response(200, [{ hash: 'hash-' + name, name: name }]);
+            });
+            var events = [];
+            var completed = [];
+            return client.uploadMedia([file('a.png', 'image/png', 3), file('b.png', 'image/png', 4)])
+                .on('progress', event => { events.push([event.index, event.loaded, event.total]); })
+                .on('complete', event => { completed.push(event.index); })
+                .then(items => {
+                    assert.equal(2, fetch.calls.length);
+                    assert.equal('http://localhost:2999/api/media', fetch.calls[0].url);
+                    assert.equal('image/png', fetch.calls[0].options.body.get('0type'));
+                    assert.deepEqual([[0, 3, 3], [1, 4, 4]], events);
+                    assert.deepEqual([0, 1], completed);
+                    assert.deepEqual(['hash-a.png', 'hash-b.png'], items.map(item => item.hash));
+                    assert.equal('http://localhost:2999/api/media/hash-b.png', items[1].url);
+                });
+        });
+        it('should upload large files in chunks and resume after a failure', () => {
+            var received = [];
+            var failNext = true;
+            fetch = stubs.stubFetch((url, options) => {
+                if (options.method === 'POST')
+                    return stubs.response(200, { id: 'u1', offset: 0 });
+                if (!options.method || options.method === 'GET')
+                    return stubs.response(200, { offset: received.length * 4 });
+                if (received.length === 1 && failNext) {
+                    failNext = false;
+                    return stubs.response(500, 'disk full');
+                }
+                received.push(options.headers['Content-Range']);
+                return stubs.response(200, received.length === 3 ? [{ hash: 'big' }] : {});
+            });
+            var upload = client.uploadMedia([file('big.bin', 'application/octet-stream', 10)], { chunkSize: 4 });
+            return upload.then(() => { assert.fail('expected the second chunk to fail'); }, error => {
+                assert.equal(500, error.status);
+                return upload.resume();
+            }).then(items => {
+                assert.deepEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10'], received);
+                assert.equal('http://localhost:2999/api/media/uploads/u1', fetch.calls[fetch.calls.length - 1].url);
+                assert.equal('big', items[0].hash);
+            });
+        });
+
+        describe('in the browser', () => {
+            var requests = [];
+            function FakeXMLHttpRequest() {
+                this.headers = {};
+                this.upload = {};
+                requests.push(this);
+            }
+            FakeXMLHttpRequest.prototype.open = function (method, url) { this.method = method; this.url = url; };
+            FakeXMLHttpRequest.prototype.setRequestHeader = function (name, value) { this.headers[name] = value; };
+            FakeXMLHttpRequest.prototype.getResponseHeader = function () { return null; };
+            FakeXMLHttpRequest.prototype.send = function (body) { this.body = body; };
+            FakeXMLHttpRequest.prototype.abort = function () { this.onabort(); };
+            FakeXMLHttpRequest.prototype.respond = function (status, body) {
+                this.status = status;
+                this.responseText = JSON.stringify(body);
+                this.onload();
+            };
+            beforeEach(() => {
+                requests = [];
+                global.XMLHttpRequest = FakeXMLHttpRequest;
+            });
+            afterEach(() => { delete global.XMLHttpRequest; });
+
+            function sent() {
+                return new Promise(resolve => setTimeout(resolve, 1));
+            }
+
+            it('should report progress while uploading', () => {
+                var progress = [];
+                var upload = client.uploadMedia([file('a.png', 'image/png', 100)], { onProgress: event => { progress.push(event.loaded); } });
+                return sent().then(() => {
+                    requests[0].upload.onprogress({ loaded: 40 });
+                    requests[0].upload.onprogress({ loaded: 100 });
+                    requests[0].respond(200, [{ hash: 'a' }]);
+                    return upload;
+                }).then(items => {
+                    assert.equal('POST', requests[0].method);
+                    assert.deepEqual([40, 100, 100], progress);
+                    assert.equal('a', items[0].hash);
+                });
+            });
+            it('should send uploads through middleware and refresh a rejected token', () => {
+                var seen = [];
+                var signedIn = new Blackstar.Client('http://localhost:2999', {
+                    tokenProvider: { getToken: () => 'old', refreshToken: () => 'new' },
+                    tokenStorage: 'none',
+                    middleware: [{ request: request => { seen.push(request.method + ' ' + request.url); } }]
+                });
+                var upload = signedIn.uploadMedia([file('a.png', 'image/png', 100)]);
+                return sent().then(() => {
+                    requests[0].respond(401, 'expired');
+                    return sent();
+                }).then(() => {
+                    requests[1].respond(200, [{ hash: 'a' }]);
+                    return upload;
+                }).then(items => {
+                    assert.deepEqual(['POST http://localhost:2999/api/media'], seen);
+                    assert.deepEqual(['Bearer old', 'Bearer new'], requests.map(request => request.headers.Authorization));
+                    assert.equal('a', items[0].hash);
+                });
+            });
+            it('should retry chunks that fail with a retryable status', () => {
+                fetch = stubs.stubFetch(() => stubs.response(200, { id: 'u1', offset: 0 }));
+                var retrying = new Blackstar.Client('http://localhost:2999', { retry: { minDelay: 1 } });
+                var upload = retrying.uploadMedia([file('big.bin', 'application/octet-stream', 12)], { chunkSize: 10 });
+                return sent().then(() => {
+                    requests[0].respond(503, 'busy');
+                    return sent().then(sent);
+                }).then(() => {
+                    requests[1].respond(200, {});
+                    return sent();
+                }).then(() => {
+                    requests[2].respond(200, [{ hash: 'big' }]);
+                    return upload;
+                }).then(items => {
+                    assert.deepEqual(['bytes 0-9/12', 'bytes 0-9/12', 'bytes 10-11/12'], requests.map(request => request.headers['Content-Range']));
+                    assert.equal('big', items[0].hash);
+                });
+            });
+            it('should cancel an upload', () => {
+                var upload = client.uploadMedia([file('a.png', 'image/png', 100)]);
+                return sent().then(() => {
+                    upload.cancel();
+                    return upload.then(() => { assert.fail('expected a CancelledError'); }, error => {
+                        assert.ok(error instanceof Blackstar.CancelledError);
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,137 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+
+describe('middleware', function () {
+    "use strict";
+    var fetch = null;
+    afterEach(() => {
+        if (fetch)
+            fetch.restore();
+        fetch = null;
+    });
+
+    // A fetch that records its calls without touching the global one.
+    function customFetch(handler) {
+        var calls = [];
+        var impl = (url, options) => {
+            calls.push({ url: url, options: options });
+            return Promise.resolve(handler(url, options));
+        };
+        impl.calls = calls;
+        return impl;
+    }
+
+    it('sends requests with the client\'s own fetch', () => {
+        fetch = stubs.stubFetch(() => stubs.response(500, ''));
+        var own = customFetch(() => stubs.response(200, ['english']));
+        var client = new Blackstar.Client('http://localhost:2999', { fetch: own, token: 'abc', tokenStorage: 'none' });
+        return client.getAllTags().then(tags => {
+            assert.deepEqual(tags, ['english']);
+            assert.equal(fetch.calls.length, 0);
+            assert.equal(own.calls[0].url, 'http://localhost:2999/api/tags');
+            assert.equal(own.calls[0].options.headers.Authorization, 'Bearer abc');
+        });
+    });
+
+    it('lets request hooks change the url, headers and body', () => {
+        var own = customFetch(() => stubs.response(200, {}));
+        var client = new Blackstar.Client('http://localhost:2999', { fetch: own });
+        client.use({
+            request: request => {
+                request.headers['X-Trace'] = 'trace-1';
+                return Promise.resolve(Object.assign({}, request, { url: request.url.replace('localhost:2999', 'proxy') }));
+            }
+        });
+        client.use({
+            request: request => {
+                assert.equal(request.method, 'POST');
+                assert.equal(request.url, 'http://proxy/api/content');
+                request.body = JSON.stringify(Object.assign(JSON.parse(request.body), { tags: ['stamped'] }));
+            }
+        });
+        return client.create({ name: 'banner', tags: [] }).then(() => {
+            assert.equal(own.calls[0].url, 'http://proxy/api/content');
+            assert.equal(own.calls[0].options.method, 'POST');
+            assert.equal(own.calls[0].options.headers['X-Trace'], 'trace-1');
+            assert.deepEqual(JSON.parse(own.calls[0].options.body), { name: 'banner', tags: ['stamped'] });
+        });
+    });
+
+    it('passes responses through response hooks, last added first', () => {
+        var seen = [];
+        var own = customFetch(() => stubs.response(404, { message: 'gone' }));
+        var client = new Blackstar.Client('http://localhost:2999', {
+            fetch: own,
+            middleware: [{ response: (response, request) => { seen.push('outer ' + response.status + ' ' + request.method); } }]
+        });
+        client.use({
+            response: response => {
+                seen.push('inner');
+                return response.status === 404 ? stubs.response(200, []) : response;
+            }
+        });
+        return client.getAll().then(chunks => {
+            assert.equal(chunks.length, 0);
+            assert.deepEqual(seen, ['inner', 'outer 200 GET']);
+        });
+    });
+
+    it('lets error hooks recover from failures', () => {
+        var own = customFetch(() => Promise.reject(new TypeError('offline')));
+        var client = new Blackstar.Client('http://localhost:2999', { fetch: own });
+        var errors = [];
+        client.use({ error: error => { errors.push(error); return stubs.response(200, ['cached']); } });
+        client.use({ error: (error, request) => { errors.push(request.url); } });
+        return client.getAllTags().then(tags => {
+            assert.deepEqual(tags, ['cached']);
+            assert.equal(errors[0], 'http://localhost:2999/api/tags');
+            assert.ok(errors[1] instanceof Blackstar.NetworkError);
+        });
+    });
+
+    it('passes errors thrown by request hooks to the error hooks', () => {
+        var own = customFetch(() => stubs.response(200, ['english']));
+        var client = new Blackstar.Client('http://localhost:2999', { fetch: own });
+        var failures = [];
+        client.use({ error: (error, request) => { failures.push({ error: error, url: request.url }); } });
+        client.use({ request: () => { throw new Error('no session'); } });
+        return client.getAllTags().then(() => assert.fail('expected the request hook\'s error'), error => {
+            assert.equal(error.message, 'no session');
+            assert.equal(failures.length, 1);
+            assert.equal(failures[0].error, error);
+            assert.equal(failures[0].url, 'http://localhost:2999/api/tags');
+            assert.equal(own.calls.length, 0);
+        });
+    });
+
+    it('rejects with the error when no error hook recovers', () => {
+        var own = customFetch(() => stubs.response(404, { message: 'gone' }));
+        var client = new Blackstar.Client('http://localhost:2999', { fetch: own });
+        client.use({ error: () => undefined });
+        return client.get({ ids: [9] }).then(() => assert.fail('expected a NotFoundError'), error => {
+            assert.ok(error instanceof Blackstar.NotFoundError);
+        });
+    });
+
+    it('stops calling a middleware once it is removed', () => {
+        var calls = 0;
+        var own = customFetch(() => stubs.response(200, []));
+        var client = new Blackstar.Client('http://localhost:2999', { fetch: own });
+        var remove = client.use({ request: () => { calls++; } });
+        return client.getAllTags().then(() => {
+            remove();
+            return client.getAllTags();
+        }).then(() => assert.equal(calls, 1));
+    });
+
+    it('runs request hooks once for a request that is retried', () => {
+        var own = customFetch(() => own.calls.length === 1 ? stubs.response(503, '') : stubs.response(200, []));
+        var requests = 0;
+        var client = new Blackstar.Client('http://localhost:2999', { fetch: own, retry: { minDelay: 1 }, middleware: [{ request: () => { requests++; } }] });
+        return client.getAllTags().then(() => {
+            assert.equal(own.calls.length, 2);
+            assert.equal(requests, 1);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var installDom = require('./support/dom').installDom;
+
+describe('edit overlay', function () {
+    "use strict";
+    var chunks = [{ id: 6, name: 'heading', tags: [], html: 'Welcome' }, { id: 7, name: 'footer', tags: [], html: 'Bye' }];
+    var dom;
+    var client;
+
+    beforeEach(() => {
+        dom = installDom('<!DOCTYPE html><html><head></head><body><h1 data-blackstar-name="heading"></h1><p data-blackstar-name="footer"></p></body></html>');
+        client = new Blackstar.Client('http://localhost:2999', { showEditControls: true });
+    });
+    afterEach(() => {
+        client.destroy();
+        dom.restore();
+    });
+
+    function editLinks() {
+        return dom.document.querySelectorAll('[data-blackstar-overlay="edit-link"]');
+    }
+    function keydown(target, key) {
+        target.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: key, bubbles: true }));
+    }
+
+    it('should add one edit link per element and one toolbox however often bind is called', () => {
+        client.bind(chunks);
+        client.bind(chunks);
+        client.addEditLinks();
+        client.addToolbox();
+        assert.equal(2, editLinks().length);
+        assert.equal(1, dom.document.querySelectorAll('#blackstar-toolbox').length);
+        assert.equal(1, dom.document.head.querySelectorAll('link[rel="stylesheet"]').length);
+        var link = dom.document.querySelector('h1 .blackstar-edit-link');
+        assert.equal('http://localhost:2999/chunk/6', link.getAttribute('href'));
+        assert.equal('Edit "heading" in Blackstar CMS', link.getAttribute('aria-label'));
+        assert.equal('', link.querySelector('img').getAttribute('alt'));
+    });
+    it('should not add edit links without showEditControls', () => {
+        client = new Blackstar.Client('http://localhost:2999');
+        client.bind(chunks);
+        assert.equal(0, editLinks().length);
+        assert.ok(dom.document.querySelector('#blackstar-toolbox'));
+    });
+    it('should label the toolbox and toggle the edit links from it', () => {
+        client.bind(chunks);
+        var toolbox = dom.document.querySelector('#blackstar-toolbox');
+        assert.equal('toolbar', toolbox.getAttribute('role'));
+        var toggle = toolbox.querySelector('button');
+        assert.equal('Toggle edit links', toggle.getAttribute('aria-label'));
+        assert.equal('true', toggle.getAttribute('aria-pressed'));
+        toggle.click();
+        assert.equal('false', toggle.getAttribute('aria-pressed'));
+        Array.prototype.forEach.call(editLinks(), link => assert.ok(link.hidden));
+        client.bind(chunks);
+        Array.prototype.forEach.call(editLinks(), link => assert.ok(link.hidden));
+        toggle.click();
+        Array.prototype.forEach.call(editLinks(), link => assert.ok(!link.hidden));
+    });
+    it('should move focus between toolbox controls with the arrow keys', () => {
+        client.bind(chunks);
+        var controls = dom.document.querySelectorAll('#blackstar-toolbox a, #blackstar-toolbox button');
+        assert.deepEqual(['0', '-1', '-1', '-1', '-1'], Array.prototype.map.call(controls, control => control.getAttribute('tabindex')));
+        controls[0].focus();
+        keydown(controls[0], 'ArrowRight');
+        assert.equal(controls[1], dom.document.activeElement);
+        keydown(controls[1], 'ArrowLeft');
+        keydown(controls[0], 'ArrowLeft');
+        assert.equal(controls[4], dom.document.activeElement);
+        assert.equal('0', controls[4].getAttribute('tabindex'));
+        keydown(controls[4], 'Home');
+        assert.equal(controls[0], dom.document.activeElement);
+    });
+    it('should use the theme and custom renderers', () => {
+        client = new Blackstar.Client('http://localhost:2999', {
+            showEditControls: true,
+            overlay: {
+                theme: { background: 'rgb(1, 2, 3)' },
+                iconStylesheet: false,
+                renderEditLink: (chunkId, overlay) => {
+                    var link = dom.document.createElement('a');
+                    link.className = 'custom-edit';
+                    link.href = overlay.client.urlFor({ id: chunkId });
+                    return link;
+                }
+            }
+        });
+        client.bind(chunks);
+        assert.equal(2, dom.document.querySelectorAll('.custom-edit').length);
+        assert.equal('rgb(1, 2, 3)', dom.document.querySelector('#blackstar-toolbox').style.backgroundColor);
+        assert.equal(0, dom.document.querySelectorAll('link').length);
+
+        client.destroy();
+        client = new Blackstar.Client('http://localhost:2999', {
+            overlay: { renderToolbox: () => dom.document.createElement('nav') }
+        });
+        client.bind(chunks);
+        assert.ok(dom.document.querySelector('nav[data-blackstar-overlay="toolbox"]'));
+    });
+    it('should remove everything it added when destroyed', () => {
+        client.bind(chunks);
+        client.destroy();
+        assert.equal(0, dom.document.querySelectorAll('[data-blackstar-overlay]').length);
+        assert.equal('Welcome', dom.document.querySelector('h1').innerHTML);
+        client.bind(chunks);
+        assert.equal(1, dom.document.querySelectorAll('#blackstar-toolbox').length);
+    });
+});
@@ -0,0 +1,74 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+
+describe('composable queries', function () {
+    "use strict";
+    var chunks = [
+        { id: 1, name: 'heading', tags: ['blog', 'en'], html: '' },
+        { id: 2, name: 'heading', tags: ['blog', 'fr'], html: '' },
+        { id: 3, name: 'heading', tags: ['blog', 'de'], html: '' },
+        { id: 4, name: 'footer', tags: ['blog', 'en'], html: '' },
+        { id: 5, name: 'footer', tags: ['shop', 'fr'], html: '' },
+        { id: 6, name: 'sidebar', tags: ['blog', 'en'], html: '' }
+    ];
+    var fetch = null;
+    var client = null;
+    beforeEach(() => {
+        fetch = stubs.stubFetch(url => {
+            var match = /\/(byids|bynames|bytags)\/(.*)$/.exec(url);
+            if (!match)
+                return stubs.response(200, chunks);
+            var values = match[2].split('/');
+            return stubs.response(200, chunks.filter(chunk => {
+                switch (match[1]) {
+                    case 'byids': return values.indexOf(String(chunk.id)) !== -1;
+                    case 'bynames': return values.indexOf(chunk.name) !== -1;
+                    default: return values.every(tag => chunk.tags.indexOf(tag) !== -1);
+                }
+            }));
+        });
+        client = new Blackstar.Client('http://localhost:2999');
+    });
+    afterEach(() => { fetch.restore(); });
+
+    function ids(result) {
+        return result.map(chunk => chunk.id);
+    }
+
+    it('should combine tags and names with AND', () => {
+        return client.query().tags.all('blog').tags.any('en', 'fr').names('heading', 'footer').exec().then(result => {
+            assert.deepEqual([1, 2, 4], ids(result));
+            assert.equal(1, fetch.calls.length);
+            assert.equal('http://localhost:2999/api/content/bynames/heading/footer', fetch.calls[0].url);
+        });
+    });
+    it('should OR the tags of tags.any', () => {
+        return client.query().tags.any('fr', 'de').exec().then(result => {
+            assert.deepEqual([2, 5, 3], ids(result));
+            assert.equal(2, fetch.calls.length);
+        });
+    });
+    it('should exclude with tags.none and not', () => {
+        return client.query().tags.all('blog').tags.none('de').not.names('sidebar').not.ids(4).exec().then(result => {
+            assert.deepEqual([1, 2], ids(result));
+        });
+    });
+    it('should fetch everything when there is no positive clause', () => {
+        return client.query().tags.none('blog').exec().then(result => {
+            assert.deepEqual([5], ids(result));
+            assert.equal('http://localhost:2999/api/content', fetch.calls[0].url);
+        });
+    });
+    it('should sort and page the combined result', () => {
+        return client.query().tags.any('en', 'fr').sortBy('name').sortBy('id', 'desc').offset(1).limit(3).exec().then(result => {
+            assert.deepEqual([4, 2, 1], ids(result));
+            assert.ok(result.byId(2));
+        });
+    });
+    it('should leave get requests unchanged', () => {
+        return client.get({ tags: ['blog', 'en'] }).then(result => {
+            assert.deepEqual([1, 4, 6], ids(result));
+        });
+    });
+});
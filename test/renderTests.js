@@ -0,0 +1,77 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+
+describe('server-side binding', function () {
+    "use strict";
+    var chunks = Blackstar.Client.prototype.enrichCollectionWithByMethods([
+        { id: 6, name: 'heading', tags: [], html: 'Welcome <b>home</b>' },
+        { id: 7, name: 'footer', tags: [], html: '</script><script>alert(1)</script>' }
+    ]);
+    var client = new Blackstar.Client('http://localhost:2999');
+
+    it('should replace the contents of named elements and stamp their ids', () => {
+        var html = client.bindToString('<h1 class="title" data-blackstar-name="heading">Loading...</h1><p>Other</p>', chunks);
+        assert.equal('<h1 class="title" data-blackstar-name="heading" data-blackstar-id="6">Welcome <b>home</b></h1><p>Other</p>', html);
+    });
+    it('should replace nested content up to the matching end tag', () => {
+        var html = client.bindToString('<div data-blackstar-name="heading"><div>a</div><div>b</div></div><div>after</div>', chunks);
+        assert.equal('<div data-blackstar-name="heading" data-blackstar-id="6">Welcome <b>home</b></div><div>after</div>', html);
+    });
+    it('should bind every element with the name and leave unknown names alone', () => {
+        var html = client.bindToString("<span data-blackstar-name='heading'></span><span data-blackstar-name=heading data-blackstar-id=1>x</span><i data-blackstar-name=\"missing\">keep</i>", chunks);
+        assert.equal('<span data-blackstar-name="heading" data-blackstar-id="6">Welcome <b>home</b></span><span data-blackstar-name="heading" data-blackstar-id="6">Welcome <b>home</b></span><i data-blackstar-name="missing">keep</i>', html);
+    });
+    it('should ignore markup inside scripts and comments', () => {
+        var template = '<script>var s = "<div data-blackstar-name=\\"heading\\">";</script><!-- <p data-blackstar-name="heading"> -->';
+        assert.equal(template, client.bindToString(template, chunks));
+    });
+    it('should serialise chunks for hydration before the end of the body', () => {
+        var html = client.bindToString('<body><div data-blackstar-name="footer"></div></body>', chunks, { hydrate: true });
+        var script = /<script>window.__BLACKSTAR_CHUNKS__=(.*);<\/script><\/body>$/.exec(html);
+        assert.ok(script);
+        assert.equal(-1, script[1].indexOf('</script>'));
+        assert.deepEqual(JSON.parse(JSON.stringify(chunks)), JSON.parse(script[1]));
+    });
+    it('should bind markup read from a stream', done => {
+        var output = '';
+        var stream = client.bindStream(chunks);
+        stream.on('data', data => { output += data; });
+        stream.on('end', () => {
+            assert.equal('<p data-blackstar-name="heading" data-blackstar-id="6">Welcome <b>home</b></p>', output);
+            done();
+        });
+        stream.write('<p data-blackstar-na');
+        stream.end(Buffer.from('me="heading">old</p>'));
+    });
+
+    describe('hydration', () => {
+        var fetch = null;
+        beforeEach(() => { fetch = stubs.stubFetch(() => stubs.response(200, [])); });
+        afterEach(() => { fetch.restore(); });
+
+        it('should answer get from hydrated chunks without fetching', () => {
+            var hydrated = new Blackstar.Client('http://localhost:2999');
+            hydrated.hydrate(chunks);
+            return hydrated.get({ names: ['footer', 'heading'] }).then(result => {
+                assert.equal(0, fetch.calls.length);
+                assert.equal(2, result.length);
+                assert.equal(6, result.byName('heading').id);
+            });
+        });
+        it('should fetch when a requested chunk was not hydrated', () => {
+            var hydrated = new Blackstar.Client('http://localhost:2999');
+            hydrated.hydrate(chunks);
+            return hydrated.get({ ids: [6, 8] }).then(() => {
+                assert.equal(1, fetch.calls.length);
+            });
+        });
+        it('should forget hydrated chunks that are changed', () => {
+            var hydrated = new Blackstar.Client('http://localhost:2999');
+            hydrated.hydrate(chunks);
+            return hydrated.update({ id: 6, name: 'heading', tags: [], html: 'changed' })
+                .then(() => hydrated.get({ ids: [6] }))
+                .then(() => { assert.equal(2, fetch.calls.length); });
+        });
+    });
+});
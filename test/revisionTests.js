@@ -0,0 +1,168 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var MockServer = require('../lib/mock').MockServer;
+var revisions = require('../lib/revisions');
+var installDom = require('./support/dom').installDom;
+
+describe('revisions, drafts and preview', function () {
+    "use strict";
+    var server;
+    var client;
+
+    beforeEach(() => {
+        server = new MockServer({ tokens: ['secret'], previewTokens: ['share'] });
+        client = new Blackstar.Client(server.url, { fetch: server.fetch, token: 'secret', tokenStorage: 'none' });
+    });
+
+    function footer(html) {
+        return { id: 31, name: 'footer', tags: ['english'], value: html, html: html };
+    }
+
+    describe('diffs', () => {
+        it('should diff text line by line', () => {
+            assert.deepEqual(revisions.diffLines('a\nb\nc', 'a\nB\nc\nd'), [
+                { type: 'unchanged', text: 'a' },
+                { type: 'removed', text: 'b' },
+                { type: 'added', text: 'B' },
+                { type: 'unchanged', text: 'c' },
+                { type: 'added', text: 'd' }
+            ]);
+        });
+        it('should list changed fields, ignoring revision metadata', () => {
+            var changes = Blackstar.diffChunks(
+                { id: 1, revision: 1, savedAt: 'then', name: 'footer', html: 'Bye', tags: ['english', 'old'] },
+                { id: 1, revision: 2, savedAt: 'now', name: 'footer', html: 'Goodbye', tags: ['english', 'new'], value: 'Goodbye' });
+            assert.deepEqual(changes.map(change => change.field), ['html', 'tags', 'value']);
+            assert.deepEqual(changes[0].lines, [{ type: 'removed', text: 'Bye' }, { type: 'added', text: 'Goodbye' }]);
+            assert.deepEqual([changes[1].added, changes[1].removed], [['new'], ['old']]);
+            assert.deepEqual(changes[2].lines, [{ type: 'removed', text: '' }, { type: 'added', text: 'Goodbye' }]);
+        });
+    });
+
+    describe('revisions', () => {
+        beforeEach(() => client.update(footer('Bye')).then(() => client.update(footer('See you'))));
+
+        it('should list revisions newest first', () => {
+            return client.revisions(31).then(list => {
+                assert.deepEqual(list.map(r => r.revision + ':' + r.status), ['3:published', '2:published', '1:published']);
+                assert.ok(list[0].savedAt);
+            });
+        });
+        it('should fetch and diff revisions', () => {
+            return client.getRevision(31, 2).then(revision => {
+                assert.equal(revision.html, 'Bye');
+                assert.equal(revision.revision, 2);
+                return client.diffRevisions(31, 2, 3);
+            }).then(changes => {
+                assert.deepEqual(changes.map(change => change.field), ['value', 'html']);
+                assert.equal(changes[1].after, 'See you');
+            });
+        });
+        it('should restore a revision with update', () => {
+            return client.restoreRevision(31, 1).then(() => client.get({ ids: [31] })).then(chunks => {
+                assert.equal(chunks[0].html, '<p>Powered by Blackstar</p>');
+                assert.equal(chunks[0].revision, undefined);
+                return client.revisions(31);
+            }).then(list => assert.equal(list.length, 4));
+        });
+        it('should reject missing revisions with a NotFoundError', () => {
+            return client.getRevision(31, 99).then(() => assert.fail('expected a NotFoundError'), error => {
+                assert.ok(error instanceof Blackstar.NotFoundError);
+            });
+        });
+    });
+
+    describe('drafts and preview', () => {
+        it('should keep drafts out of published reads', () => {
+            return client.saveDraft(footer('Draft')).then(() => client.get({ names: ['footer'] })).then(chunks => {
+                assert.equal(chunks[0].html, '<p>Powered by Blackstar</p>');
+                return client.revisions(31);
+            }).then(list => assert.equal(list[0].status, 'draft'));
+        });
+        it('should return drafts from get, getAll and getAllTags in preview mode', () => {
+            var preview = new Blackstar.Client(server.url, { fetch: server.fetch, token: 'secret', tokenStorage: 'none', preview: true });
+            var draft = Object.assign(footer('Draft'), { tags: ['english', 'drafted'] });
+            return client.saveDraft(draft).then(() => Promise.all([
+                preview.get({ names: ['footer'] }),
+                preview.getAll(),
+                preview.getAllTags()
+            ])).then(results => {
+                assert.equal(results[0][0].html, 'Draft');
+                assert.equal(results[1].byName('footer').html, 'Draft');
+                assert.ok(results[2].indexOf('drafted') !== -1);
+                assert.ok(/\?preview=true$/.test(server.requests[server.requests.length - 1].url));
+            });
+        });
+        it('should publish drafts with update and throw them away with discardDraft', () => {
+            client.options.preview = true;
+            return client.saveDraft(footer('First draft'))
+                .then(() => client.update(footer('First draft')))
+                .then(() => client.saveDraft(footer('Second draft')))
+                .then(() => client.discardDraft(31))
+                .then(() => client.get({ ids: [31] }))
+                .then(chunks => assert.equal(chunks[0].html, 'First draft'));
+        });
+        it('should accept a preview token instead of signing in', () => {
+            var reader = new Blackstar.Client(server.url, { fetch: server.fetch, tokenStorage: 'none', preview: 'share' });
+            var stranger = new Blackstar.Client(server.url, { fetch: server.fetch, tokenStorage: 'none', preview: 'guess' });
+            return client.saveDraft(footer('Draft')).then(() => reader.get({ ids: [31] })).then(chunks => {
+                assert.equal(chunks[0].html, 'Draft');
+                return stranger.get({ ids: [31] });
+            }).then(() => assert.fail('expected an AuthError'), error => assert.ok(error instanceof Blackstar.AuthError));
+        });
+        it('should cache previews apart from published content and invalidate them when a draft is saved', () => {
+            client = new Blackstar.Client(server.url, { fetch: server.fetch, token: 'secret', tokenStorage: 'none', cache: true });
+            return client.get({ ids: [31] })
+                .then(() => client.setPreview(true))
+                .then(() => client.get({ ids: [31] }))
+                .then(chunks => {
+                    assert.equal(chunks[0].html, '<p>Powered by Blackstar</p>');
+                    return client.saveDraft(footer('Draft'));
+                })
+                .then(() => client.get({ ids: [31] }))
+                .then(chunks => {
+                    assert.equal(chunks[0].html, 'Draft');
+                    return client.setPreview(false);
+                })
+                .then(() => client.get({ ids: [31] }))
+                .then(chunks => assert.equal(chunks[0].html, '<p>Powered by Blackstar</p>'));
+        });
+        it('should not answer previews from hydrated chunks', () => {
+            client.hydrate([footer('Rendered on the server')]);
+            client.options.preview = true;
+            return client.get({ ids: [31] }).then(chunks => assert.equal(chunks[0].html, '<p>Powered by Blackstar</p>'));
+        });
+    });
+
+    describe('toolbox', () => {
+        var dom;
+        beforeEach(() => {
+            dom = installDom('<!DOCTYPE html><html><head></head><body><p data-blackstar-name="footer"></p></body></html>');
+            client = new Blackstar.Client(server.url, {
+                fetch: server.fetch, token: 'secret', tokenStorage: 'none', showEditControls: true, overlay: { iconStylesheet: false }
+            });
+        });
+        afterEach(() => {
+            client.destroy();
+            dom.restore();
+        });
+
+        it('should show that preview mode is on and switch it from the toolbox', () => {
+            return client.saveDraft(footer('Draft')).then(() => client.get({ names: ['footer'] })).then(chunks => {
+                client.bind(chunks);
+                var toolbox = dom.document.getElementById('blackstar-toolbox');
+                var status = toolbox.querySelector('[role="status"]');
+                var button = toolbox.querySelector('button[aria-label="Preview drafts"]');
+                assert.ok(status.hidden);
+                assert.equal(button.getAttribute('aria-pressed'), 'false');
+                button.click();
+                assert.equal(toolbox.getAttribute('data-blackstar-preview'), 'true');
+                assert.equal(status.textContent, 'Preview: showing drafts');
+                assert.equal(button.getAttribute('aria-pressed'), 'true');
+                return client.rebind();
+            }).then(() => {
+                assert.equal(dom.document.querySelector('p').firstChild.textContent, 'Draft');
+            });
+        });
+    });
+});
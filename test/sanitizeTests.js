@@ -0,0 +1,109 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var installDom = require('./support/dom').installDom;
+
+describe('html sanitisation', function () {
+    "use strict";
+    var sanitizeHtml = Blackstar.sanitizeHtml;
+
+    describe('sanitizeHtml', () => {
+        it('should keep allowed markup', () => {
+            var markup = '<h2 class="title">Hi &amp; welcome</h2><p>Read <a href="/about" title="About us">about</a> us.<br /></p><img src="https://cdn.example.com/a.png" alt="A" />';
+            assert.equal(markup, sanitizeHtml(markup));
+        });
+        it('should drop scripts, styles and their content', () => {
+            assert.equal('<p>Hi</p>', sanitizeHtml('<p>Hi<script>steal()</script><style>p { display: none }</style></p>'));
+            assert.equal('after', sanitizeHtml('<svg><script>steal()</script></svg>after'));
+        });
+        it('should unwrap disallowed elements and drop comments', () => {
+            assert.equal('<p>click me</p>', sanitizeHtml('<p><button type="submit">click <!-- note -->me</button></p>'));
+        });
+        it('should drop event handlers and unknown attributes', () => {
+            assert.equal('<img src="a.png" alt="" />', sanitizeHtml('<img src="a.png" onerror="steal()" alt="" style="x:expression(steal())">'));
+            assert.equal('<div aria-label="Menu" role="menu"></div>', sanitizeHtml('<div aria-label="Menu" role="menu" data-x="1" onclick="steal()"></div>'));
+        });
+        it('should drop urls with disallowed schemes, however they are encoded', () => {
+            [
+                'javascript:steal()',
+                ' JavaScript:steal()',
+                'java\tscript:steal()',
+                'javascript&colon;steal()',
+                '&#106;avascript:steal()',
+                'jav&#x09;ascript:steal()',
+                'data:text/html;base64,PHNjcmlwdD4='
+            ].forEach(url => {
+                assert.equal('<a>x</a>', sanitizeHtml('<a href="' + url + '">x</a>'), url);
+            });
+            assert.equal('<img alt="" />', sanitizeHtml('<img srcset="a.png 1x, javascript:steal() 2x" alt="">'));
+            assert.equal('<a href="mailto:a@example.com">mail</a>', sanitizeHtml('<a href="mailto:a@example.com">mail</a>'));
+        });
+        it('should write checked urls so that the browser reads the same url', () => {
+            assert.equal('<a href="/search?q=1&amp;colon;2">x</a>', sanitizeHtml('<a href="/search?q=1&amp;colon;2">x</a>'));
+        });
+        it('should add noopener to links opening another window', () => {
+            assert.equal('<a href="/x" target="_blank" rel="noopener">x</a>', sanitizeHtml('<a href="/x" target="_blank">x</a>'));
+            assert.equal('<a href="/x" target="_blank" rel="external noopener">x</a>', sanitizeHtml('<a href="/x" target="_blank" rel="external">x</a>'));
+        });
+        it('should balance tags so markup cannot escape the bound element', () => {
+            assert.equal('<div><b>bold</b></div>', sanitizeHtml('<div><b>bold</div></p></section>'));
+            assert.equal('a &lt; b', sanitizeHtml('a < b'));
+        });
+        it('should accept a custom allow-list', () => {
+            var options = {
+                tags: sanitizeHtml.defaults.tags.concat(['video']),
+                attributes: { video: ['src', 'controls'] },
+                schemes: ['https']
+            };
+            assert.equal('<video src="https://cdn.example.com/a.mp4" controls=""></video><a>x</a>',
+                sanitizeHtml('<video src="https://cdn.example.com/a.mp4" controls autoplay></video><a href="http://example.com">x</a>', options));
+        });
+    });
+
+    describe('binding', () => {
+        var chunks = [{ id: 6, name: 'heading', tags: [], html: 'Hi<img src="x" onerror="steal()"><script>steal()</script>' }];
+        var dom;
+        afterEach(() => {
+            if (dom)
+                dom.restore();
+            dom = null;
+        });
+
+        it('should sanitise html bound to the page', () => {
+            dom = installDom('<!DOCTYPE html><html><body><h1 data-blackstar-name="heading"></h1></body></html>');
+            new Blackstar.Client('http://localhost:2999').bind(chunks);
+            assert.equal('Hi<img src="x">', dom.document.querySelector('h1').innerHTML);
+        });
+        it('should let the client and each binding opt out for trusted content', () => {
+            dom = installDom('<!DOCTYPE html><html><body><h1 data-blackstar-name="heading"></h1></body></html>');
+            var trusting = new Blackstar.Client('http://localhost:2999', { sanitize: false });
+            trusting.bind(chunks);
+            assert.ok(dom.document.querySelector('h1 script'));
+            new Blackstar.Client('http://localhost:2999').bind(chunks, null, { sanitize: false });
+            assert.ok(dom.document.querySelector('h1 [onerror]'));
+            trusting.bind(chunks, null, { sanitize: true });
+            assert.equal(null, dom.document.querySelector('h1 script'));
+        });
+        it('should sanitise chunks bound into strings', () => {
+            var client = new Blackstar.Client('http://localhost:2999');
+            assert.equal('<h1 data-blackstar-name="heading" data-blackstar-id="6">Hi<img src="x" /></h1>',
+                client.bindToString('<h1 data-blackstar-name="heading"></h1>', chunks));
+            assert.equal('<h1 data-blackstar-name="heading" data-blackstar-id="6">' + chunks[0].html + '</h1>',
+                client.bindToString('<h1 data-blackstar-name="heading"></h1>', chunks, { sanitize: false }));
+        });
+        it('should write through a Trusted Types policy where supported', () => {
+            dom = installDom('<!DOCTYPE html><html><body><h1 data-blackstar-name="heading"></h1></body></html>');
+            var created = [];
+            dom.window.trustedTypes = {
+                createPolicy: (name, rules) => {
+                    created.push(name);
+                    return { createHTML: (html, options) => rules.createHTML(html, options) };
+                }
+            };
+            var client = new Blackstar.Client('http://localhost:2999', { trustedTypesPolicy: 'blackstar-test' });
+            client.bind(chunks);
+            client.bind(chunks);
+            assert.deepEqual(['blackstar-test'], created);
+            assert.equal('Hi<img src="x">', dom.document.querySelector('h1').innerHTML);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Blackstar = require('../blackstar');
+var build = require('../lib/build');
+var stubs = require('./support/stubFetch');
+
+describe('static bundles', function () {
+    "use strict";
+    var chunks = [
+        { id: 6, name: 'heading', tags: ['home', 'english'], value: 'Welcome', html: 'Welcome' },
+        { id: 7, name: 'logo', tags: ['home'], value: '', html: '<img src="http://localhost:2999/api/media/abc123" alt="">' },
+        { id: 8, name: 'footer', tags: ['english'], value: '[gone](/api/media/gone)', html: '<a href="/api/media/gone">gone</a>' }
+    ];
+    var media = [{ hash: 'abc123', name: 'logo.png', type: 'image/png' }];
+    var fetch;
+    var outDir;
+
+    beforeEach(() => {
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blackstar-'));
+        fetch = stubs.stubFetch(url => {
+            if (url === 'http://localhost:2999/api/content')
+                return stubs.response(200, chunks);
+            if (url === 'http://localhost:2999/api/tags')
+                return stubs.response(200, ['home', 'english']);
+            var search = /api\/mediaSearch\/(.*)$/.exec(url);
+            if (search)
+                return stubs.response(200, media.filter(item => item.hash === decodeURIComponent(search[1])));
+            return stubs.response(404, 'Not found');
+        });
+    });
+    afterEach(() => {
+        fetch.restore();
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    function bundle() {
+        return build.buildBundle(new Blackstar.Client('http://localhost:2999'));
+    }
+
+    describe('build', () => {
+        it('should bundle chunks, tags and the media they reference', () => bundle().then(result => {
+            assert.equal(1, result.format);
+            assert.equal('http://localhost:2999/', result.serverUrl);
+            assert.deepEqual(chunks, result.chunks);
+            assert.deepEqual(['home', 'english'], result.tags);
+            assert.deepEqual(media, result.media);
+            assert.ok(/^[0-9a-f]{16}$/.test(result.hash));
+        }));
+        it('should hash the content, not the build time', () => bundle().then(first => {
+            return bundle().then(second => {
+                assert.equal(first.hash, second.hash);
+                chunks[0].html = 'Changed';
+                return bundle().then(third => {
+                    chunks[0].html = 'Welcome';
+                    assert.notEqual(first.hash, third.hash);
+                });
+            });
+        }));
+        it('should write a content-hashed file and a manifest that loads it', () => {
+            return build.build(new Blackstar.Client('http://localhost:2999'), outDir, { name: 'site' }).then(result => {
+                assert.equal(path.join(outDir, 'site.' + result.hash + '.json'), result.file);
+                assert.deepEqual({ format: 1, hash: result.hash, file: 'site.' + result.hash + '.json' }, JSON.parse(fs.readFileSync(result.manifest, 'utf8')));
+                return build.loadBundle(result.manifest);
+            }).then(loaded => {
+                assert.deepEqual(chunks, loaded.chunks);
+            });
+        });
+        it('should refuse a bundle whose content does not match its hash', () => {
+            return build.build(new Blackstar.Client('http://localhost:2999'), outDir).then(result => {
+                var tampered = JSON.parse(fs.readFileSync(result.file, 'utf8'));
+                tampered.chunks[0].html = '<script>steal()</script>';
+                fs.writeFileSync(result.file, JSON.stringify(tampered));
+                return build.loadBundle(result.manifest);
+            }).then(() => assert.fail('expected the bundle to be refused'), error => {
+                assert.ok(error instanceof Blackstar.BlackstarError);
+            });
+        });
+    });
+
+    describe('StaticClient', () => {
+        var client;
+        beforeEach(() => bundle().then(result => {
+            fetch.restore();
+            fetch = stubs.stubFetch(() => { throw new Error('a static client must not fetch'); });
+            client = new Blackstar.StaticClient(result);
+        }));
+
+        it('should answer get, getAll and getAllTags from the bundle', () => Promise.all([
+            client.getAll(),
+            client.get({ ids: [6, 8] }),
+            client.get({ names: ['logo'] }),
+            client.get({ tags: ['home', 'english'] }),
+            client.getAllTags()
+        ]).then(results => {
+            assert.equal(3, results[0].length);
+            assert.equal('footer', results[0].byId(8).name);
+            assert.deepEqual([6, 8], results[1].map(chunk => chunk.id));
+            assert.equal(7, results[2].byName('logo').id);
+            assert.deepEqual([6], results[3].map(chunk => chunk.id));
+            assert.deepEqual(['home', 'english'], results[4]);
+            assert.equal(0, fetch.calls.length);
+        }));
+        it('should search chunks and media in the bundle', () => Promise.all([
+            client.adminSearch('WELCOME'),
+            client.mediaSearch('logo'),
+            client.getMedia('abc123')
+        ]).then(results => {
+            assert.deepEqual([6], results[0].map(chunk => chunk.id));
+            assert.equal('http://localhost:2999/api/media/abc123', results[1][0].url);
+            assert.equal('logo.png', results[2].name);
+        }));
+        it('should use the url option for links', () => {
+            client = new Blackstar.StaticClient(client.bundle, { url: 'https://cdn.example.com' });
+            return client.getMedia('abc123').then(item => {
+                assert.equal('https://cdn.example.com/api/media/abc123', item.url);
+            });
+        });
+        it('should refuse writes and report missing chunks', () => Promise.all([
+            client.update({ id: 6, html: 'x' }).then(() => assert.fail('expected the update to fail'), error => error),
+            client.getMedia('gone').then(() => assert.fail('expected no media'), error => error)
+        ]).then(errors => {
+            assert.ok(errors[0] instanceof Blackstar.BlackstarError);
+            assert.equal(405, errors[0].status);
+            assert.ok(errors[1] instanceof Blackstar.NotFoundError);
+        }));
+    });
+});
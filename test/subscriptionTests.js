@@ -0,0 +1,158 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+var installDom = require('./support/dom').installDom;
+
+describe('live subscriptions', function () {
+    "use strict";
+    var client = new Blackstar.Client('http://localhost:2999');
+    var sockets = [];
+    function FakeEventSource(url, options) {
+        this.url = url;
+        this.options = options;
+        this.closed = false;
+        sockets.push(this);
+    }
+    FakeEventSource.prototype.close = function () { this.closed = true; };
+    FakeEventSource.prototype.send = function (event) { this.onmessage({ data: JSON.stringify(event) }); };
+    function FakeWebSocket(url) {
+        FakeEventSource.call(this, url);
+    }
+    FakeWebSocket.prototype = Object.create(FakeEventSource.prototype);
+
+    var subscription = null;
+    beforeEach(() => { sockets = []; });
+    afterEach(() => { subscription.unsubscribe(); });
+
+    function delay(milliseconds) {
+        return new Promise(resolve => setTimeout(resolve, milliseconds));
+    }
+
+    it('should deliver events matching the query over server-sent events', () => {
+        var events = [];
+        subscription = client.subscribe({ tags: ['english'] }, event => { events.push(event); }, { EventSource: FakeEventSource });
+        assert.equal('sse', subscription.mode);
+        return delay(0).then(() => {
+            assert.equal('http://localhost:2999/api/events', sockets[0].url);
+            sockets[0].onopen();
+            sockets[0].send({ type: 'created', chunk: { id: 1, name: 'a', tags: ['english'] } });
+            sockets[0].send({ type: 'created', chunk: { id: 2, name: 'b', tags: ['french'] } });
+            sockets[0].send({ type: 'updated', chunk: { id: 1, name: 'a', tags: ['french'] } });
+            sockets[0].send({ type: 'deleted', chunk: { id: 2 } });
+            assert.deepEqual([['created', 1], ['deleted', 1]], events.map(event => [event.type, event.chunk.id]));
+        });
+    });
+    it('should use a WebSocket when EventSource is unavailable', () => {
+        var events = [];
+        subscription = client.subscribe(client.query().names('heading'), event => { events.push(event); }, { EventSource: null, WebSocket: FakeWebSocket });
+        assert.equal('websocket', subscription.mode);
+        return delay(0).then(() => {
+            assert.equal('ws://localhost:2999/api/events', sockets[0].url);
+            sockets[0].send({ type: 'updated', chunk: { id: 3, name: 'heading', tags: [] } });
+            assert.equal(1, events.length);
+        });
+    });
+    it('should send the client\'s token with both transports', () => {
+        var signedIn = new Blackstar.Client('http://localhost:2999', { token: 'a b', tokenStorage: 'none' });
+        subscription = signedIn.subscribe(null, () => {}, { EventSource: FakeEventSource });
+        var websocket = signedIn.subscribe(null, () => {}, { EventSource: null, WebSocket: FakeWebSocket });
+        return delay(0).then(() => {
+            websocket.unsubscribe();
+            assert.deepEqual(['http://localhost:2999/api/events?access_token=a%20b', 'ws://localhost:2999/api/events?access_token=a%20b'],
+                sockets.map(socket => socket.url));
+        });
+    });
+    it('should reconnect with backoff', () => {
+        subscription = client.subscribe(null, () => {}, { WebSocket: FakeWebSocket, EventSource: null, minDelay: 5 });
+        return delay(0).then(() => {
+            sockets[0].onopen();
+            sockets[0].onclose();
+            assert.ok(sockets[0].closed);
+            return delay(15);
+        }).then(() => {
+            assert.equal(2, sockets.length);
+            sockets[1].onclose();
+            return delay(7);
+        }).then(() => {
+            assert.equal(2, sockets.length);
+            return delay(10);
+        }).then(() => {
+            assert.equal(3, sockets.length);
+        });
+    });
+
+    it('should re-render every element bound to a pushed chunk', () => {
+        var dom = installDom('<!DOCTYPE html><html><body><h1 data-blackstar-id="1">old</h1><p data-blackstar-id="1">old</p>' +
+            '<b data-blackstar-name="b"></b><i data-blackstar-name="b"></i></body></html>');
+        subscription = client.subscribe(null, () => {}, { EventSource: FakeEventSource, bind: true });
+        return delay(0).then(() => {
+            sockets[0].send({ type: 'updated', chunk: { id: 1, name: 'a', tags: [], html: 'new' } });
+            sockets[0].send({ type: 'created', chunk: { id: 2, name: 'b', tags: [], html: 'bee' } });
+            var html = selector => Array.prototype.map.call(dom.document.querySelectorAll(selector), el => el.innerHTML);
+            assert.deepEqual(html('[data-blackstar-id="1"]'), ['new', 'new']);
+            assert.deepEqual(html('[data-blackstar-id="2"]'), ['bee', 'bee']);
+        }).then(() => dom.restore(), error => {
+            dom.restore();
+            throw error;
+        });
+    });
+
+    describe('polling', () => {
+        var fetch = null;
+        var chunks = [];
+        beforeEach(() => {
+            chunks = [{ id: 1, name: 'a', tags: [], html: 'one' }, { id: 2, name: 'b', tags: [], html: 'two' }];
+            fetch = stubs.stubFetch(() => stubs.response(200, chunks));
+        });
+        afterEach(() => { fetch.restore(); });
+
+        it('should diff getAll results', () => {
+            var events = [];
+            subscription = new Blackstar.Subscription(client, null, event => { events.push(event); }, { transport: 'poll', pollInterval: 60000 });
+            return subscription.poll().then(() => {
+                chunks = [{ id: 1, name: 'a', tags: [], html: 'changed' }, { id: 3, name: 'c', tags: [], html: 'three' }];
+                return subscription.poll();
+            }).then(() => {
+                assert.deepEqual([['updated', 1], ['created', 3], ['deleted', 2]], events.map(event => [event.type, event.chunk.id]));
+            });
+        });
+        it('should poll past the client\'s cache', () => {
+            var cached = new Blackstar.Client('http://localhost:2999', { cache: true });
+            var events = [];
+            subscription = new Blackstar.Subscription(cached, null, event => { events.push(event); }, { transport: 'poll', pollInterval: 60000 });
+            return cached.getAll().then(() => subscription.poll()).then(() => {
+                chunks = [{ id: 1, name: 'a', tags: [], html: 'changed' }];
+                return subscription.poll();
+            }).then(() => {
+                assert.equal(3, fetch.calls.length);
+                assert.deepEqual([['updated', 1], ['deleted', 2]], events.map(event => [event.type, event.chunk.id]));
+            });
+        });
+        it('should keep polling when a callback throws', () => {
+            var errors = [];
+            fetch.restore();
+            fetch = stubs.stubFetch(() => stubs.response(200, [{ id: 1, name: 'a', tags: [], html: 'poll ' + fetch.calls.length }]));
+            subscription = client.subscribe(null, () => { throw new Error('render failed'); }, {
+                transport: 'poll', pollInterval: 5, onError: error => { errors.push(error.message); }
+            });
+            return delay(60).then(() => {
+                assert.ok(fetch.calls.length >= 4, 'polled ' + fetch.calls.length + ' times');
+                assert.ok(errors.length >= 2);
+                assert.ok(errors.every(message => message === 'render failed'));
+            });
+        });
+        it('should fall back to polling when push never connects', () => {
+            subscription = client.subscribe(null, () => {}, { EventSource: FakeEventSource, minDelay: 1, maxAttempts: 2 });
+            return delay(0).then(() => {
+                sockets[0].onerror();
+                return delay(5);
+            }).then(() => {
+                sockets[1].onerror();
+                assert.equal('poll', subscription.mode);
+                return delay(1);
+            }).then(() => {
+                assert.equal(1, fetch.calls.length);
+            });
+        });
+    });
+});
@@ -0,0 +1,32 @@
+"use strict";
+
+var JSDOM = require('jsdom').JSDOM;
+
+var GLOBALS = ['window', 'document', 'MutationObserver'];
+
+// Give the tests a browser-like `window`, `document` and `MutationObserver` built from `html`. Call `restore()` when done.
+function installDom(html) {
+    var dom = new JSDOM(html || '<!DOCTYPE html><html><head></head><body></body></html>', { url: 'http://localhost/' });
+    var previous = {};
+    GLOBALS.forEach(function (name) {
+        previous[name] = global[name];
+        global[name] = name === 'window' ? dom.window : dom.window[name];
+    });
+    return {
+        window: dom.window,
+        document: dom.window.document,
+        restore: function () {
+            GLOBALS.forEach(function (name) {
+                if (previous[name] === undefined)
+                    delete global[name];
+                else
+                    global[name] = previous[name];
+            });
+            dom.window.close();
+        }
+    };
+}
+
+module.exports = {
+    installDom: installDom
+};
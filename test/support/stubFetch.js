@@ -0,0 +1,39 @@
+"use strict";
+
+var Promise = require('es6-promise').Promise;
+
+// Build a minimal fetch Response from a status, body and header map.
+function response(status, body, headers) {
+    headers = headers || {};
+    var text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+        status: status,
+        ok: status >= 200 && status < 300,
+        headers: {
+            get: function (name) {
+                var key = Object.keys(headers).filter(function (h) { return h.toLowerCase() === name.toLowerCase(); })[0];
+                return key ? headers[key] : null;
+            }
+        },
+        text: function () { return Promise.resolve(text); },
+        json: function () { return Promise.resolve(JSON.parse(text)); }
+    };
+}
+
+// Replace global.fetch with `handler(url, options)` and record every call. Call `restore()` when done.
+function stubFetch(handler) {
+    var original = global.fetch;
+    var stub = function (url, options) {
+        stub.calls.push({ url: url, options: options || {} });
+        return Promise.resolve(handler(url, options || {}, stub.calls.length));
+    };
+    stub.calls = [];
+    stub.restore = function () { global.fetch = original; };
+    global.fetch = stub;
+    return stub;
+}
+
+module.exports = {
+    response: response,
+    stubFetch: stubFetch
+};
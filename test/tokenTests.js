@@ -0,0 +1,118 @@
+var assert = require('assert');
+var Blackstar = require('../blackstar');
+var stubs = require('./support/stubFetch');
+var jwtExpiry = require('../lib/token').jwtExpiry;
+
+describe('token lifecycle', function () {
+    "use strict";
+    var fetch = null;
+    afterEach(() => {
+        if (fetch)
+            fetch.restore();
+        fetch = null;
+    });
+
+    function jwt(exp) {
+        var payload = Buffer.from(JSON.stringify({ sub: 'editor', exp: exp })).toString('base64').replace(/=+$/, '');
+        return 'e30.' + payload + '.signature';
+    }
+    function provider(initial, refreshed) {
+        var tokens = {
+            refreshes: 0,
+            getToken: () => initial,
+            refreshToken: () => {
+                tokens.refreshes++;
+                return new Promise(resolve => setTimeout(() => resolve(refreshed), 5));
+            }
+        };
+        return tokens;
+    }
+    function acceptOnly(accepted) {
+        return (url, options) => options.headers.Authorization === 'Bearer ' + accepted ? stubs.response(200, []) : stubs.response(401, '');
+    }
+
+    it('should send a static token', () => {
+        fetch = stubs.stubFetch(() => stubs.response(200, []));
+        var client = new Blackstar.Client('http://localhost:2999', { token: 'abc', tokenStorage: 'none' });
+        return client.getAll().then(() => {
+            assert.equal('Bearer abc', fetch.calls[0].options.headers.Authorization);
+        });
+    });
+    it('should refresh once and replay requests rejected with 401', () => {
+        fetch = stubs.stubFetch(acceptOnly('new'));
+        var tokens = provider('old', 'new');
+        var client = new Blackstar.Client('http://localhost:2999', { tokenProvider: tokens, tokenStorage: 'memory' });
+        return Promise.all([client.getAll(), client.getAllTags(), client.get({ ids: [1] })]).then(() => {
+            assert.equal(1, tokens.refreshes);
+            assert.equal(6, fetch.calls.length);
+            assert.equal('new', client.tokens.store.get());
+        });
+    });
+    it('should call authCallback when the refreshed token is rejected too', () => {
+        fetch = stubs.stubFetch(acceptOnly('nobody'));
+        var rejected = 0;
+        var tokens = provider('old', 'new');
+        var client = new Blackstar.Client('http://localhost:2999', { tokenProvider: tokens, tokenStorage: 'none', authCallback: () => { rejected++; } });
+        return client.getAll().then(() => { assert.fail('expected an AuthError'); }, error => {
+            assert.ok(error instanceof Blackstar.AuthError);
+            assert.equal(1, rejected);
+            assert.equal(1, tokens.refreshes);
+            assert.equal(2, fetch.calls.length);
+        });
+    });
+    it('should refresh expired JWTs before sending them', () => {
+        var fresh = jwt(Date.now() / 1000 + 3600);
+        fetch = stubs.stubFetch(acceptOnly(fresh));
+        var tokens = provider(jwt(Date.now() / 1000 - 10), fresh);
+        var client = new Blackstar.Client('http://localhost:2999', { tokenProvider: tokens, tokenStorage: 'none' });
+        return client.getAll().then(() => {
+            assert.equal(1, tokens.refreshes);
+            assert.equal(1, fetch.calls.length);
+        });
+    });
+    it('should reject with an AuthError when an expired JWT cannot be refreshed', () => {
+        fetch = stubs.stubFetch(() => stubs.response(200, []));
+        var failure = new Error('session ended');
+        var client = new Blackstar.Client('http://localhost:2999', {
+            tokenProvider: { getToken: () => jwt(Date.now() / 1000 - 10), refreshToken: () => Promise.reject(failure) },
+            tokenStorage: 'none'
+        });
+        return client.getAll().then(() => { assert.fail('expected an AuthError'); }, error => {
+            assert.ok(error instanceof Blackstar.AuthError);
+            assert.equal(failure, error.cause);
+            assert.equal(0, fetch.calls.length);
+        });
+    });
+    it('should read the expiry of a JWT', () => {
+        assert.equal(1700000000, jwtExpiry(jwt(1700000000)));
+        assert.equal(null, jwtExpiry('opaque-token'));
+    });
+    it('should fall back to the stored token with restoreToken', () => {
+        fetch = stubs.stubFetch(() => stubs.response(200, []));
+        var store = new Blackstar.MemoryTokenStore();
+        store.set('remembered');
+        return new Blackstar.Client('http://localhost:2999', { tokenStorage: store }).getAll().then(() => {
+            assert.equal(undefined, fetch.calls[0].options.headers.Authorization);
+            return new Blackstar.Client('http://localhost:2999', { tokenStorage: store, restoreToken: true }).getAll();
+        }).then(() => {
+            assert.equal('Bearer remembered', fetch.calls[1].options.headers.Authorization);
+        });
+    });
+    it('should keep the token in memory when there is no sessionStorage', () => {
+        fetch = stubs.stubFetch(() => stubs.response(200, []));
+        var client = new Blackstar.Client('http://localhost:2999', { token: 'abc', tokenStorage: 'sessionStorage' });
+        assert.ok(client.tokens.store instanceof Blackstar.MemoryTokenStore);
+        return client.getAll().then(() => {
+            assert.equal('Bearer abc', fetch.calls[0].options.headers.Authorization);
+        });
+    });
+    it('should write cookies with the configured attributes', () => {
+        global.document = { cookie: '' };
+        try {
+            new Blackstar.CookieTokenStore({ path: '/', secure: true, sameSite: 'Strict' }).set('abc');
+            assert.equal('t=abc; path=/; secure; samesite=Strict', global.document.cookie);
+        } finally {
+            delete global.document;
+        }
+    });
+});
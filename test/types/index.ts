@@ -0,0 +1,241 @@
+// Type-level tests: this file only has to compile. Lines marked @ts-expect-error must fail to compile.
+import {
+    AuthError,
+    AutoBinder,
+    BlackstarError,
+    BulkReport,
+    Chunk,
+    ChunkCollection,
+    ChunkEvent,
+    ConflictError,
+    FieldChange,
+    Client,
+    EditOverlay,
+    ImageData,
+    LinkData,
+    MediaItem,
+    MemoryStore,
+    NotFoundError,
+    Query,
+    RequestKind,
+    StaticClient,
+    Subscription,
+    TypeRegistry,
+    bindHtml,
+    renderMarkdown,
+    sanitizeHtml
+} from 'blackstar-cms-client';
+import { buildBundle, loadBundle } from 'blackstar-cms-client/lib/build';
+import { MockServer, fixtures } from 'blackstar-cms-client/lib/mock';
+
+interface Seo {
+    description: string
+}
+
+const client = new Client('http://localhost:2999');
+const typed = new Client<Seo>('http://localhost:2999', {
+    showEditControls: true,
+    cache: { ttl: 1000, store: new MemoryStore() },
+    batch: { wait: 10 },
+    retry: true,
+    timeout: 5000,
+    tokenProvider: { getToken: () => 'token', refreshToken: () => Promise.resolve('fresh') },
+    tokenStorage: 'memory',
+    restoreToken: true,
+    cookie: { path: '/', secure: true, sameSite: 'Strict' },
+    authCallback: (response:Response) => { response.status; }
+});
+
+// options are optional
+new Client('http://localhost:2999', {});
+new Client('http://localhost:2999', { token: 'abc' });
+
+// get accepts exactly one kind of request
+client.get({ ids: [1, 2, 3] });
+client.get({ names: ['heading', 'footer'] });
+client.get({ tags: ['blackstarpedia', 'english'] });
+// @ts-expect-error
+client.get({ ids: [1], names: ['heading'] });
+// @ts-expect-error
+client.get({});
+// @ts-expect-error
+client.get({ names: 'heading' });
+
+const kind:RequestKind = client.requestKind({ tags: ['a'] });
+const url:string = client.requestToUrl({ names: ['a'] });
+
+// results are enriched collections of chunks
+client.get({ names: ['heading'] }).then((chunks:ChunkCollection<Chunk>) => {
+    const heading:Chunk | undefined = chunks.byName('heading');
+    const byId:Chunk | undefined = chunks.byId(1);
+    const tagged:Chunk[] = chunks.byTag('english');
+    const html:string = chunks[0].html;
+    const tags:string[] = chunks[0].tags;
+    // @ts-expect-error
+    chunks.byId('1');
+    return [heading, byId, tagged, html, tags];
+});
+
+// custom metadata flows through every result
+typed.getAll().then(chunks => {
+    const description:string = chunks[0].description;
+    const found = chunks.byName('heading');
+    return found ? found.description : description;
+});
+typed.adminSearch('heading').then(chunks => chunks.map(chunk => chunk.description));
+typed.create({ name: 'heading', tags: [], value: '', html: '', description: 'The heading' });
+// @ts-expect-error
+typed.create({ name: 'heading' });
+typed.update({ id: 1, html: '<b>updated</b>' });
+// @ts-expect-error
+typed.update({ html: '<b>no id</b>' });
+
+client.getAllTags().then((tags:string[]) => tags.length);
+client.delete(1).then((response:Response) => response.ok);
+client.mediaSearch('logo').then((media:MediaItem[]) => media.map(item => item.hash));
+client.deleteMedia('abc123');
+client.getMedia('abc123').then((item:MediaItem) => item.url);
+const logoUrl:string = client.mediaUrlFor('abc123');
+const upload = client.uploadMedia([new Blob(['x'])], { maxSize: 1024, accept: ['image/*'], chunkSize: 0 })
+    .on('progress', event => event.loaded / event.total)
+    .on('complete', event => event.media[0].hash)
+    .on('error', error => error.status);
+upload.then(items => items.map(item => item.url));
+upload.cancel();
+
+// enrichCollectionWithByMethods preserves the element type
+const enriched = client.enrichCollectionWithByMethods([{ id: 1, name: 'a', tags: [], value: '', html: '', extra: true }]);
+const extra:boolean | undefined = enriched.byId(1) && enriched.byId(1)!.extra;
+
+// queries
+const query:Query<Chunk<Seo>> = typed.query().tags.all('blog').tags.any('en', 'fr').names('heading').not.ids(3);
+query.sortBy('name', 'desc').sortBy(chunk => chunk.description).offset(10).limit(10);
+// @ts-expect-error
+query.sortBy('colour');
+query.exec().then(chunks => chunks.byName('heading'));
+
+// subscriptions
+const subscription:Subscription<Chunk<Seo>> = typed.subscribe({ names: ['heading'] }, (event:ChunkEvent<Chunk<Seo>>) => {
+    const type:'created' | 'updated' | 'deleted' = event.type;
+    return [type, event.chunk.description];
+}, { transport: 'poll', bind: true, onError: error => console.error(error) });
+subscription.unsubscribe();
+
+// binding
+const markup:string = client.bindToString('<h1 data-blackstar-name="heading"></h1>', [], { hydrate: true });
+bindHtml(markup, []);
+client.bind([], chunk => document.querySelector('#' + chunk.name));
+client.bind([]);
+client.bind([], null, { sanitize: false });
+const binder = client.autoBind(document.body, { placeholder: '<span class="spinner"></span>', onError: error => console.error(error) });
+// @ts-expect-error autoBind returns undefined without a DOM
+binder.ready.then(() => binder.disconnect());
+if (binder)
+    binder.ready.then(() => binder.disconnect());
+const headless:AutoBinder | undefined = client.autoBind();
+const localised = new Client<Seo>('http://localhost:2999', { locale: 'fr-CA', localeOptions: { fallbacks: { fr: ['en'] }, tags: { en: 'english' } } });
+localised.setLocale('en').then(() => localised.rebind());
+const descriptions:string[] = localised.localise(localised.hydrated || []).map(chunk => chunk.description);
+const safe:string = sanitizeHtml('<p onclick="x()">hi</p>', { tags: sanitizeHtml.defaults.tags.concat(['video']), attributes: { video: ['src'] } });
+client.bindToString(safe, [], { sanitize: { schemes: ['https'] } });
+// @ts-expect-error
+sanitizeHtml('<p></p>', { tags: 'p' });
+const editUrl:string = client.urlFor({ id: 3 });
+client.addEditLinks();
+client.addToolbox();
+const overlay:EditOverlay = new Client('http://localhost:2999', {
+    overlay: {
+        theme: { background: '#000', opacity: 0.8 },
+        renderEditLink: (chunkId, editOverlay) => {
+            const link = document.createElement('a');
+            link.href = editOverlay.client.urlFor({ id: chunkId });
+            return link;
+        },
+        iconStylesheet: false,
+        inlineEditing: {
+            editor: element => ({ html: () => element.textContent || '', destroy: () => undefined }),
+            onError: (error, chunk) => chunk.id
+        }
+    }
+}).editOverlay();
+overlay.toggleEditing(true);
+overlay.editor.save(3, { force: true }).then(chunk => chunk.html, (error:unknown) => error instanceof ConflictError && error.current);
+const visible:boolean = overlay.toggleEditLinks();
+// @ts-expect-error
+new Client('http://localhost:2999', { overlay: { iconStylesheet: true } });
+client.destroy();
+
+// bulk writes
+typed.bulk({ concurrency: 2, rollback: true, onResult: result => result.status })
+    .create({ name: 'banner', description: 'A banner' })
+    .update({ id: 4, description: 'Updated' })
+    .delete(5)
+    .renameTag('english', 'en')
+    .addTag('archived', ['news'])
+    .removeTag('draft')
+    .run()
+    .then((report:BulkReport<Seo>) => report.results.filter(result => result.status === 'failed').map(result => result.error));
+// @ts-expect-error
+typed.bulk().update({ description: 'no id' });
+
+// static bundles
+buildBundle(typed, { media: false }).then(bundle => {
+    const offline:StaticClient<Seo> = new StaticClient(bundle, { url: 'https://cdn.example.com' });
+    return offline.get({ names: ['heading'] }).then(chunks => chunks.byName('heading')!.description);
+});
+loadBundle<Seo>('content/blackstar.json').then(bundle => bundle.chunks[0].description);
+
+// middleware
+const proxied = new Client('http://localhost:2999', {
+    fetch: (url, options) => fetch(url.replace('localhost:2999', 'proxy.example.com'), options),
+    middleware: [{ request: request => { request.headers['X-Trace'] = '1'; } }]
+});
+const stopTiming:() => void = proxied.use({
+    request: request => { request.startedAt = Date.now(); return request; },
+    response: (response, request) => { console.log(request.method, request.url, Date.now() - request.startedAt); },
+    error: (error:unknown) => error instanceof NotFoundError ? new Response('[]') : undefined
+});
+stopTiming();
+// @ts-expect-error
+proxied.use({ response: (response:Response) => 'not a response' });
+
+// revisions, drafts and preview
+typed.revisions(4).then(list => typed.getRevision(4, list[list.length - 1].revision)).then(revision => revision.description + revision.savedAt);
+typed.diffRevisions(4, 1, 2).then((changes:FieldChange[]) => changes.map(change => change.lines ? change.lines.length : change.added));
+typed.restoreRevision(4, 1).then(response => response.ok);
+typed.saveDraft({ id: 4, description: 'Draft' }).then(() => typed.discardDraft(4));
+typed.setPreview('share-token').then(() => typed.setPreview(false));
+new Client('http://localhost:2999', { preview: true });
+// @ts-expect-error
+typed.saveDraft({ description: 'no id' });
+
+// mock server
+const mockServer = new MockServer({ chunks: fixtures().chunks, tokens: ['secret'], latency: { min: 5, max: 20 } });
+const mocked = new Client<Seo>(mockServer.url, { fetch: mockServer.fetch, token: 'secret' });
+mockServer.clearFault(mockServer.fault({ path: /^api\/tags/, status: 503, times: 1 }));
+mockServer.listen().then(url => mocked.getAll().then(() => mockServer.requests.map(request => request.path + url))).then(() => mockServer.close());
+// @ts-expect-error
+mockServer.fault({ status: '503' });
+
+// chunk types
+const typedChunks = new Client('http://localhost:2999', {
+    types: { price: { structured: true, schema: { amount: { type: 'number', required: true } }, render: (chunk, c, data) => String(data.amount) } }
+});
+typedChunks.types.define('shout', { validate: chunk => chunk.value ? [] : ['value is required'], render: chunk => chunk.value.toUpperCase() });
+typedChunks.create({ name: 'logo', tags: [], type: 'image', data: { hash: '5f3a1c', alt: 'Logo' } as ImageData });
+typedChunks.get({ names: ['nav-home'] }).then(chunks => (chunks[0].data as LinkData).href + typedChunks.chunkHtml(chunks[0]));
+const markdownHtml:string = renderMarkdown('# Title');
+new TypeRegistry().problems({ type: 'markdown' }).join('; ');
+// @ts-expect-error
+typedChunks.types.define('bad', { schema: { amount: { type: 'money' } } });
+
+// errors
+client.getAll().catch((error:unknown) => {
+    if (error instanceof NotFoundError || error instanceof AuthError)
+        return error.status;
+    if (error instanceof BlackstarError)
+        return error.serverMessage;
+    return undefined;
+});
+
+export { kind, url, extra, editUrl, logoUrl, visible, safe, descriptions, markdownHtml };